@@ -1,4 +1,7 @@
-import { jest } from '@jest/globals';
+import { jest, afterAll } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 import axios from 'axios';
 
 // Import comprehensive mock utilities
@@ -19,6 +22,12 @@ import {
 
 import MockServer from './mocks/mockServer.js';
 
+// File-backed stores (idempotency keys, ledger, outbox, ...) write to a temporary data dir per test
+// file instead of the repo's ./data, so no run sees what an earlier one stored
+const testDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adapter-test-'));
+process.env.ADAPTER_DATA_DIR = testDataDir;
+afterAll(() => fs.rmSync(testDataDir, { recursive: true, force: true }));
+
 // Global test setup
 global.beforeAll = async () => {
   // Set test environment variables
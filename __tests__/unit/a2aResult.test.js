@@ -0,0 +1,32 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseA2aResult, resultRedirect, isWebUrl, deepLinkPage } from '../../src/a2aResult.js';
+
+describe('a2aResult', () => {
+  test('outcome from status words, success flag or error fields', () => {
+    expect(parseA2aResult({ basketReferenceCode: 'R1', status: 'SUCCEEDED', transactionId: 'T1', amount: '12.50' }))
+      .toEqual({ referenceCode: 'R1', outcome: 'success', transactionId: 'T1', resultCode: undefined, message: undefined, amount: 12.5, paymentType: undefined });
+    expect(parseA2aResult({ referenceCode: 'R1', result: 'user-cancelled' }).outcome).toBe('cancelled');
+    expect(parseA2aResult({ referenceCode: 'R1', success: 'false' }).outcome).toBe('failure');
+    expect(parseA2aResult({ referenceCode: 'R1', errorCode: '51', errorMessage: 'Yetersiz bakiye' })).toMatchObject({ outcome: 'failure', resultCode: '51', message: 'Yetersiz bakiye' });
+    expect(parseA2aResult({ referenceCode: 'R1' }).outcome).toBe('unknown');
+  });
+
+  test('redirect templates and the failure target', () => {
+    const ok = { referenceCode: 'R 1', outcome: 'success', transactionId: 'T1' };
+    const failed = { referenceCode: 'R 1', outcome: 'failure', message: 'Red & iptal' };
+    const env = { A2A_RESULT_REDIRECT_URL: 'mypos://odeal/result?s={status}&ref={referenceCode}&m={message}' };
+    expect(resultRedirect(ok, env)).toBe('mypos://odeal/result?s=success&ref=R%201&m=');
+    expect(resultRedirect(failed, { ...env, A2A_RESULT_FAILURE_REDIRECT_URL: 'https://pos.example.com/failed' }))
+      .toBe('https://pos.example.com/failed?status=failure&referenceCode=R%201');
+    expect(resultRedirect(failed, env)).toBe('mypos://odeal/result?s=failure&ref=R%201&m=Red%20%26%20iptal');
+    expect(resultRedirect(ok, {})).toBeUndefined();
+  });
+
+  test('app schemes get a page instead of a redirect', () => {
+    expect(isWebUrl('https://pos.example.com')).toBe(true);
+    expect(isWebUrl('mypos://result')).toBe(false);
+    const html = deepLinkPage('mypos://result?a=1&b="x"', { outcome: 'success' });
+    expect(html).toContain('content="0;url=mypos://result?a=1&amp;b=&quot;x&quot;"');
+    expect(html).toContain('Ödeme tamamlandı');
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { buildBasket, BasketValidationError } from '../../src/basketBuilder.js';
+import { ropLinesToBasket } from '../../src/basketProvider.js';
+import { toMinor } from '../../src/money.js';
+
+const base = { referenceCode: 'UT_DISCOUNT', employeeRef: 'emp' };
+
+function lineTotals(basket) {
+  const totals = {};
+  for (const p of basket.products) {
+    totals[p.referenceCode] = (totals[p.referenceCode] || 0) + Math.round(toMinor(p.price.grossPrice) * p.quantity);
+  }
+  return totals;
+}
+
+describe('basketBuilder discounts and surcharges', () => {
+  test('applies a line-level discount to its own line', () => {
+    const basket = buildBasket({
+      ...base,
+      items: [
+        { referenceCode: 'A', name: 'A', quantity: 2, lineGross: 100, discount: 10, vatRatio: 10 },
+        { referenceCode: 'B', name: 'B', quantity: 1, lineGross: 50, vatRatio: 20 },
+      ],
+    });
+    expect(basket.basketPrice.grossPrice).toBe(140);
+    expect(lineTotals(basket)).toEqual({ A: 9000, B: 5000 });
+  });
+
+  test('spreads a basket-level discount proportionally', () => {
+    const basket = buildBasket({
+      ...base,
+      items: [
+        { referenceCode: 'FOOD', name: 'Food', quantity: 1, lineGross: 300, vatRatio: 10 },
+        { referenceCode: 'RAKI', name: 'Rakı', quantity: 1, lineGross: 100, vatRatio: 20, sctRatio: 25 },
+      ],
+      adjustments: [{ type: 'discount', percent: 10 }],
+    });
+    expect(basket.basketPrice.grossPrice).toBe(360);
+    expect(lineTotals(basket)).toEqual({ FOOD: 27000, RAKI: 9000 });
+    expect(basket.products.find((p) => p.referenceCode === 'RAKI').price).toMatchObject({ vatRatio: 20, sctRatio: 25 });
+  });
+
+  test('spreads surcharges and keeps totals exact', () => {
+    const basket = buildBasket({
+      ...base,
+      items: [
+        { referenceCode: 'A', name: 'A', quantity: 3, lineGross: 10 },
+        { referenceCode: 'B', name: 'B', quantity: 1, lineGross: 20 },
+      ],
+      adjustments: [{ type: 'surcharge', amount: 3.01 }],
+    });
+    expect(basket.basketPrice.grossPrice).toBe(33.01);
+    const sum = Object.values(lineTotals(basket)).reduce((s, x) => s + x, 0);
+    expect(sum).toBe(3301);
+  });
+
+  test('negative items become basket-level discounts instead of being dropped', () => {
+    const basket = buildBasket({
+      ...base,
+      items: [
+        { referenceCode: 'A', name: 'A', quantity: 1, lineGross: 80 },
+        { referenceCode: 'DISC', name: 'İndirim', quantity: 1, lineGross: -8 },
+      ],
+    });
+    expect(basket.basketPrice.grossPrice).toBe(72);
+    expect(basket.products.map((p) => p.referenceCode)).toEqual(['A']);
+  });
+
+  test('a lower expected total is spread as a discount', () => {
+    const basket = buildBasket({
+      ...base,
+      items: [{ referenceCode: 'A', name: 'A', quantity: 1, lineGross: 100 }],
+      expectedTotal: 95,
+    });
+    expect(basket.basketPrice.grossPrice).toBe(95);
+  });
+
+  test('rejects discounts larger than what they apply to', () => {
+    expect(() => buildBasket({
+      ...base,
+      items: [{ referenceCode: 'A', name: 'A', quantity: 1, lineGross: 10, discount: 11 }],
+    })).toThrow(new BasketValidationError('discount_exceeds_line'));
+    expect(() => buildBasket({
+      ...base,
+      items: [{ referenceCode: 'A', name: 'A', quantity: 1, lineGross: 10 }],
+      adjustments: [{ type: 'discount', amount: 11 }],
+    })).toThrow(new BasketValidationError('discount_exceeds_total'));
+    expect(() => buildBasket({
+      ...base,
+      items: [{ referenceCode: 'A', name: 'A', quantity: 1, lineGross: 10 }],
+      adjustments: [{ type: 'bogus', amount: 1 }],
+    })).toThrow(new BasketValidationError('adjustment_invalid'));
+  });
+});
+
+describe('ropLinesToBasket discount lines', () => {
+  const OLD_ENV = { ...process.env };
+
+  beforeAll(() => {
+    process.env.ODEAL_EMPLOYEE_REF = 'emp';
+  });
+
+  afterAll(() => {
+    process.env = OLD_ENV;
+  });
+
+  test('recognises discount, comp and service-charge data on a ROP check', () => {
+    const basket = ropLinesToBasket('ABC002_1566000740_3215799', {
+      Details: [
+        { Id: 1, Name: 'Adana', Quantity: 2, Total: 400, Code: 'ADANA' },
+        { Id: 2, Name: 'Ayran', Quantity: 2, Total: 60, Code: 'AYRAN' },
+        { Id: 3, Name: 'Ayran ikram', ParentId: 2, IsComp: true, Code: 'AYRAN' },
+        { Id: 4, Name: 'Kampanya', Quantity: 1, Total: -40, Code: 'DISC' },
+      ],
+      ServiceCharge: 36,
+      Total: 396,
+    });
+    expect(basket.products.map((p) => p.referenceCode)).toEqual(['ADANA', 'AYRAN']);
+    expect(basket.basketPrice.grossPrice).toBe(396);
+    expect(lineTotals(basket).AYRAN).toBe(0);
+  });
+});
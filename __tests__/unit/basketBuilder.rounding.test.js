@@ -0,0 +1,74 @@
+import { describe, test, expect } from '@jest/globals';
+import { buildBasket, BasketValidationError } from '../../src/basketBuilder.js';
+import { toMinor } from '../../src/money.js';
+
+const base = { referenceCode: 'UT_ROUNDING', employeeRef: 'emp' };
+
+function productsTotal(basket) {
+  return basket.products.reduce((s, p) => s + Math.round(toMinor(p.price.grossPrice) * p.quantity), 0);
+}
+
+describe('basketBuilder kuruş arithmetic', () => {
+  test('splits a line whose total is not divisible by its quantity', () => {
+    const basket = buildBasket({
+      ...base,
+      items: [{ referenceCode: 'CAY', name: 'Çay', quantity: 3, lineGross: 10 }],
+    });
+    expect(basket.basketPrice.grossPrice).toBe(10);
+    expect(basket.products).toEqual([
+      expect.objectContaining({ referenceCode: 'CAY', quantity: 2, price: expect.objectContaining({ grossPrice: 3.33 }) }),
+      expect.objectContaining({ referenceCode: 'CAY', quantity: 1, price: expect.objectContaining({ grossPrice: 3.34 }) }),
+    ]);
+    expect(productsTotal(basket)).toBe(1000);
+  });
+
+  test('keeps a single row when the line divides evenly', () => {
+    const basket = buildBasket({
+      ...base,
+      items: [{ referenceCode: 'PIZZA', name: 'Pizza', quantity: 2, lineGross: 150 }],
+    });
+    expect(basket.products).toHaveLength(1);
+    expect(basket.products[0].price.grossPrice).toBe(75);
+  });
+
+  test('adds a rounding line for fractional quantities', () => {
+    const basket = buildBasket({
+      ...base,
+      items: [{ referenceCode: 'PEYNIR', name: 'Peynir', quantity: 2.5, lineGross: 10.01, vatRatio: 10 }],
+    });
+    expect(basket.basketPrice.grossPrice).toBe(10.01);
+    const rounding = basket.products.find((p) => p.referenceCode === 'ROUNDING');
+    expect(rounding).toMatchObject({ quantity: 1, price: { grossPrice: 0.01, vatRatio: 10 } });
+    expect(productsTotal(basket)).toBe(1001);
+  });
+
+  test('reconciles a small difference against the expected total', () => {
+    const basket = buildBasket({
+      ...base,
+      items: [{ referenceCode: 'A', name: 'A', quantity: 1, unitGross: 9.99 }],
+      expectedTotal: 10,
+    });
+    expect(basket.basketPrice.grossPrice).toBe(10);
+    expect(basket.products[1]).toMatchObject({ referenceCode: 'ROUNDING', price: { grossPrice: 0.01 } });
+  });
+
+  test('refuses to absorb large differences as rounding', () => {
+    expect(() => buildBasket({
+      ...base,
+      items: [{ referenceCode: 'A', name: 'A', quantity: 1, unitGross: 50 }],
+      expectedTotal: 75,
+    })).toThrow(new BasketValidationError('basket_total_mismatch'));
+  });
+
+  test('payment amount follows the exact total', () => {
+    const basket = buildBasket({
+      ...base,
+      items: [
+        { referenceCode: 'A', name: 'A', quantity: 3, lineGross: 0.1 },
+        { referenceCode: 'B', name: 'B', quantity: 7, lineGross: 0.2 },
+      ],
+    });
+    expect(basket.basketPrice.grossPrice).toBe(0.3);
+    expect(basket.paymentOptions[0].amount).toBe(0.3);
+  });
+});
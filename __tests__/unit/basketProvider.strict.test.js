@@ -0,0 +1,103 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+
+jest.mock('../../src/ropClient.js', () => ({
+  getCheckDetail: jest.fn(),
+}));
+
+const REF = 'dev1_1566000740_42';
+
+async function load() {
+  const { getCheckDetail } = await import('../../src/ropClient.js');
+  const mod = await import('../../src/basketProvider.js');
+  return { getCheckDetail, ...mod };
+}
+
+function httpError(status) {
+  const e = new Error(`Request failed with status code ${status}`);
+  e.response = { status };
+  return e;
+}
+
+describe('basketProvider strict mode', () => {
+  const OLD_ENV = { ...process.env };
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...OLD_ENV };
+    delete process.env.BASKET_STRICT_MODE;
+    delete process.env.BASKET_MOCK_FALLBACK;
+    delete process.env.BASKET_PROVIDER_ROUTES;
+    process.env.BASKET_PROVIDER = 'rop';
+    process.env.NODE_ENV = 'production';
+  });
+
+  afterEach(() => {
+    process.env = OLD_ENV;
+  });
+
+  test('mock fallback only in development/test profiles', async () => {
+    const { mockFallbackAllowed } = await load();
+    expect(mockFallbackAllowed()).toBe(false);
+    process.env.NODE_ENV = 'development';
+    expect(mockFallbackAllowed()).toBe(true);
+    process.env.BASKET_MOCK_FALLBACK = 'false';
+    expect(mockFallbackAllowed()).toBe(false);
+    delete process.env.BASKET_MOCK_FALLBACK;
+    process.env.BASKET_STRICT_MODE = 'true';
+    expect(mockFallbackAllowed()).toBe(false);
+    delete process.env.NODE_ENV;
+    delete process.env.BASKET_STRICT_MODE;
+    expect(mockFallbackAllowed()).toBe(false);
+  });
+
+  test('ROP 404 → check_not_found', async () => {
+    const { getCheckDetail, resolveBasket } = await load();
+    getCheckDetail.mockRejectedValue(httpError(404));
+    await expect(resolveBasket(REF)).rejects.toMatchObject({ code: 'check_not_found', status: 404, displayMessage: 'Adisyon bulunamadı' });
+  });
+
+  test('ROP timeout / 5xx → upstream_unavailable', async () => {
+    const { getCheckDetail, resolveBasket } = await load();
+    const timeout = new Error('timeout of 15000ms exceeded');
+    timeout.code = 'ECONNABORTED';
+    getCheckDetail.mockRejectedValueOnce(timeout).mockRejectedValueOnce(httpError(502));
+    await expect(resolveBasket(REF)).rejects.toMatchObject({ code: 'upstream_unavailable', status: 503 });
+    await expect(resolveBasket(REF)).rejects.toMatchObject({ code: 'upstream_unavailable', status: 503 });
+  });
+
+  test('check without lines → check_empty', async () => {
+    const { getCheckDetail, resolveBasket } = await load();
+    getCheckDetail.mockResolvedValue({ Details: [] });
+    await expect(resolveBasket(REF)).rejects.toMatchObject({ code: 'check_empty', status: 422 });
+  });
+
+  test('non-composite reference → reference_invalid', async () => {
+    const { getCheckDetail, resolveBasket, BasketResolutionError } = await load();
+    const p = resolveBasket('12345');
+    await expect(p).rejects.toBeInstanceOf(BasketResolutionError);
+    await expect(resolveBasket('12345')).rejects.toMatchObject({ code: 'reference_invalid', status: 400 });
+    expect(getCheckDetail).not.toHaveBeenCalled();
+  });
+
+  test('check total the lines cannot reach → basket_invalid', async () => {
+    const { getCheckDetail, resolveBasket } = await load();
+    getCheckDetail.mockResolvedValue({ Total: 500, Details: [{ ProductCode: 'P1', ProductName: 'Çay', Quantity: 1, Price: 10 }] });
+    await expect(resolveBasket(REF)).rejects.toMatchObject({ code: 'basket_invalid', status: 422 });
+  });
+
+  test('unknown provider is an error', async () => {
+    process.env.BASKET_PROVIDER = 'nope';
+    const { resolveBasket } = await load();
+    await expect(resolveBasket(REF)).rejects.toMatchObject({ code: 'provider_unknown', status: 500 });
+  });
+
+  test('development profile still falls back to a mock basket', async () => {
+    process.env.NODE_ENV = 'development';
+    process.env.BASKET_DEFAULT_TOTAL = '77.00';
+    const { getCheckDetail, resolveBasket } = await load();
+    getCheckDetail.mockRejectedValue(httpError(404));
+    const basket = await resolveBasket(REF);
+    expect(basket.referenceCode).toBe(REF);
+    expect(basket.basketPrice.grossPrice).toBe(77);
+  });
+});
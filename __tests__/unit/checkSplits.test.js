@@ -0,0 +1,134 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { CheckSplitStore, SplitError, summarizeSplit } from '../../src/checkSplits.js';
+import { buildBasket } from '../../src/basketBuilder.js';
+import { parseSplitReference, parseCompositeReference } from '../../src/referenceParser.js';
+import { toMinor } from '../../src/money.js';
+
+const PARENT = 'ABC002_1566000740_3215799';
+
+function parentBasket() {
+  return buildBasket({
+    referenceCode: PARENT,
+    employeeRef: 'emp',
+    items: [
+      { referenceCode: 'KEBAP', name: 'Kebap', quantity: 2, lineGross: 400, vatRatio: 10 },
+      { referenceCode: 'RAKI', name: 'Rakı', quantity: 1, lineGross: 200.01, vatRatio: 20, sctRatio: 25 },
+    ],
+  });
+}
+
+function basketTotalMinor(basket) {
+  return basket.products.reduce((s, p) => s + Math.round(toMinor(p.price.grossPrice) * p.quantity), 0);
+}
+
+describe('checkSplits', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new CheckSplitStore({ persist: false });
+  });
+
+  test('parses child references', () => {
+    expect(parseSplitReference(`${PARENT}-S2`)).toEqual({ parentReference: PARENT, index: 2 });
+    expect(parseSplitReference(PARENT)).toBeNull();
+    expect(parseSplitReference(`${PARENT}-S0`)).toBeNull();
+    expect(parseCompositeReference(`${PARENT}-S2`)).toBeNull();
+  });
+
+  test('equal shares add up to the check and keep the tax mix', () => {
+    const split = store.create(parentBasket(), { mode: 'equal', parts: 3 });
+    expect(split.children.map((c) => c.referenceCode)).toEqual([`${PARENT}-S1`, `${PARENT}-S2`, `${PARENT}-S3`]);
+    expect(split.children.map((c) => c.amountMinor)).toEqual([20001, 20000, 20000]);
+    for (const c of split.children) {
+      expect(basketTotalMinor(c.basket)).toBe(c.amountMinor);
+      expect(c.basket.referenceCode).toBe(c.referenceCode);
+      expect(new Set(c.basket.products.map((p) => p.price.vatRatio))).toEqual(new Set([10, 20]));
+    }
+  });
+
+  test('item selections share line totals by quantity', () => {
+    const split = store.create(parentBasket(), {
+      mode: 'items',
+      selections: [
+        [{ referenceCode: 'KEBAP', quantity: 1 }, { referenceCode: 'RAKI', quantity: 1 }],
+        [{ referenceCode: 'KEBAP', quantity: 1 }],
+      ],
+    });
+    expect(split.children.map((c) => c.amountMinor)).toEqual([40001, 20000]);
+    expect(() => store.create(parentBasket(), {
+      mode: 'items',
+      selections: [[{ referenceCode: 'KEBAP', quantity: 3 }]],
+    })).toThrow(new SplitError('split_selection_exceeds_check'));
+  });
+
+  test('units nobody selected go to a remainder share', () => {
+    const split = store.create(parentBasket(), { mode: 'items', selections: [[{ referenceCode: 'KEBAP', quantity: 1 }]] });
+    expect(split.children.map((c) => c.amountMinor)).toEqual([20000, 40001]);
+    expect(split.children[1]).toMatchObject({ referenceCode: `${PARENT}-S2`, remainder: true });
+    expect(split.children[1].basket.products.map((p) => p.referenceCode)).toEqual(expect.arrayContaining(['KEBAP', 'RAKI']));
+    store.recordPayment(`${PARENT}-S1`, { transactionId: 'tx1' });
+    expect(store.recordPayment(`${PARENT}-S2`, { transactionId: 'tx2' }).settled).toBe(true);
+  });
+
+  test('tracks paid and remaining balance until settled', () => {
+    store.create(parentBasket(), { mode: 'equal', parts: 2 });
+    const first = store.recordPayment(`${PARENT}-S1`, { transactionId: 'tx1' });
+    expect(first).toMatchObject({ alreadyPaid: false, settled: false });
+    expect(summarizeSplit(first.split)).toMatchObject({ total: 600.01, paid: 300.01, remaining: 300 });
+    expect(store.recordPayment(`${PARENT}-S1`, { transactionId: 'tx1' })).toMatchObject({ alreadyPaid: true, settled: false });
+    const second = store.recordPayment(`${PARENT}-S2`, { transactionId: 'tx2' });
+    expect(second.settled).toBe(true);
+    expect(summarizeSplit(second.split).remaining).toBe(0);
+  });
+
+  test('a cancelled share payment opens the share again', () => {
+    store.create(parentBasket(), { mode: 'equal', parts: 2 });
+    store.recordPayment(`${PARENT}-S1`, { transactionId: 'tx1' });
+    store.recordPayment(`${PARENT}-S2`, { transactionId: 'tx2' });
+    expect(store.voidPayment(`${PARENT}-S1`, { transactionId: 'other' })).toMatchObject({ voided: false });
+    const result = store.voidPayment(`${PARENT}-S1`, { transactionId: 'tx1' });
+    expect(result).toMatchObject({ voided: true, voidedTransactionId: 'tx1', child: { status: 'open', paidMinor: 0 } });
+    expect(summarizeSplit(result.split)).toMatchObject({ paid: 300, remaining: 300.01, settled: false });
+    expect(store.voidPayment(`${PARENT}-S1`, {}).voided).toBe(false);
+  });
+
+  test('splits survive a restart', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'splits-')), 'splits.json');
+    const a = new CheckSplitStore({ file });
+    a.create(parentBasket(), { mode: 'equal', parts: 2 });
+    a.recordPayment(`${PARENT}-S1`, { transactionId: 'tx1' });
+    const b = new CheckSplitStore({ file });
+    expect(b.findChild(`${PARENT}-S1`).child).toMatchObject({ status: 'paid', transactionId: 'tx1' });
+    expect(b.recordPayment(`${PARENT}-S2`, { transactionId: 'tx2' }).settled).toBe(true);
+  });
+
+  test('refuses to replace a split once a share is paid', () => {
+    store.create(parentBasket(), { mode: 'equal', parts: 2 });
+    store.recordPayment(`${PARENT}-S2`, {});
+    expect(() => store.create(parentBasket(), { mode: 'equal', parts: 3 })).toThrow(new SplitError('split_in_progress'));
+    expect(() => store.delete(PARENT)).toThrow(new SplitError('split_in_progress'));
+  });
+
+  test('keeps at most maxSplits; a split being paid is never dropped', () => {
+    const capped = new CheckSplitStore({ persist: false, maxSplits: 2 });
+    const basketFor = (ref) => ({ ...parentBasket(), referenceCode: ref });
+    capped.create(basketFor('A_1_1'), { mode: 'equal', parts: 2 });
+    capped.create(basketFor('A_1_2'), { mode: 'equal', parts: 2 });
+    capped.recordPayment('A_1_1-S1', { transactionId: 'tx1' });
+    capped.create(basketFor('A_1_3'), { mode: 'equal', parts: 2 });
+    expect(capped.get('A_1_2')).toBeUndefined();
+    capped.create(basketFor('A_1_4'), { mode: 'equal', parts: 2 });
+    expect(capped.get('A_1_1').paidMinor).toBe(30001);
+    expect(capped.get('A_1_3')).toBeUndefined();
+    expect(capped.get('A_1_4')).toBeDefined();
+  });
+
+  test('validates modes and part counts', () => {
+    expect(() => store.create(parentBasket(), { mode: 'equal', parts: 1 })).toThrow(new SplitError('split_parts_invalid'));
+    expect(() => store.create(parentBasket(), { mode: 'weird' })).toThrow(new SplitError('split_mode_invalid'));
+    expect(store.recordPayment('UNKNOWN-S1', {})).toBeUndefined();
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, test, expect } from '@jest/globals';
+import { CircuitBreaker, CircuitBreakerRegistry, CircuitOpenError } from '../../src/circuitBreaker.js';
+
+function clock(start = 0) {
+  const c = { t: start, now: () => c.t };
+  return c;
+}
+
+const fail = () => Promise.reject(new Error('ECONNRESET'));
+const ok = () => Promise.resolve('ok');
+
+describe('CircuitBreaker', () => {
+  test('opens after the failure threshold and fails fast', async () => {
+    const c = clock();
+    const b = new CircuitBreaker('1566', { failureThreshold: 2, resetTimeoutMs: 1000, now: c.now });
+    await expect(b.exec(fail)).rejects.toThrow('ECONNRESET');
+    expect(b.state).toBe('closed');
+    await expect(b.exec(fail)).rejects.toThrow('ECONNRESET');
+    expect(b.state).toBe('open');
+    let called = false;
+    await expect(b.exec(() => { called = true; return ok(); })).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(called).toBe(false);
+  });
+
+  test('half-open probe closes on success and reopens on failure', async () => {
+    const c = clock();
+    const b = new CircuitBreaker('1566', { failureThreshold: 1, resetTimeoutMs: 1000, now: c.now });
+    await expect(b.exec(fail)).rejects.toThrow();
+    c.t = 1000;
+    await expect(b.exec(fail)).rejects.toThrow('ECONNRESET');
+    expect(b.state).toBe('open');
+    c.t = 2500;
+    await expect(b.exec(ok)).resolves.toBe('ok');
+    expect(b.state).toBe('closed');
+    expect(b.snapshot()).toMatchObject({ key: '1566', state: 'closed', failures: 0 });
+  });
+
+  test('only one probe at a time while half-open', async () => {
+    const c = clock();
+    const b = new CircuitBreaker('1', { failureThreshold: 1, resetTimeoutMs: 10, now: c.now });
+    await expect(b.exec(fail)).rejects.toThrow();
+    c.t = 20;
+    let release;
+    const probe = b.exec(() => new Promise((r) => { release = r; }));
+    await expect(b.exec(ok)).rejects.toBeInstanceOf(CircuitOpenError);
+    release('done');
+    await expect(probe).resolves.toBe('done');
+    expect(b.state).toBe('closed');
+  });
+
+  test('errors not counted as failures keep the breaker closed', async () => {
+    const b = new CircuitBreaker('1', { failureThreshold: 1 });
+    await expect(b.exec(fail, { isFailure: () => false })).rejects.toThrow();
+    expect(b.state).toBe('closed');
+  });
+
+  test('registry keeps one breaker per key and reports open ones', async () => {
+    const r = new CircuitBreakerRegistry({ failureThreshold: 1 });
+    expect(r.get(1)).toBe(r.get('1'));
+    await expect(r.get('2').exec(fail)).rejects.toThrow();
+    expect(r.anyOpen()).toBe(true);
+    expect(r.snapshot().map((s) => [s.key, s.state])).toEqual([['1', 'closed'], ['2', 'open']]);
+  });
+});
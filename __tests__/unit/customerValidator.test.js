@@ -0,0 +1,67 @@
+import { describe, test, expect } from '@jest/globals';
+import { validateCustomer, blockingErrors, isValidTckn, isValidVkn, normalizeGsm } from '../../src/customerValidator.js';
+import { buildBasket, BasketValidationError } from '../../src/basketBuilder.js';
+
+const codes = (errors) => errors.map((e) => `${e.field}:${e.code}`);
+const ADDRESS = { city: 'İstanbul', town: 'Kadıköy' };
+
+describe('customerValidator', () => {
+  test('TCKN and VKN checksums', () => {
+    expect(isValidTckn('10000000146')).toBe(true);
+    expect(isValidTckn('10000000147')).toBe(false);
+    expect(isValidTckn('01234567890')).toBe(false);
+    expect(isValidTckn('11111111111')).toBe(true); // GİB anonymous end consumer
+    expect(isValidVkn('1234567890')).toBe(true);
+    expect(isValidVkn('1234567891')).toBe(false);
+    expect(isValidVkn('123456789')).toBe(false);
+  });
+
+  test('GSM numbers normalise to 905XXXXXXXXX', () => {
+    for (const v of ['+90 555 111 22 33', '0555 111 22 33', '5551112233', '00905551112233', '905551112233']) {
+      expect(normalizeGsm(v)).toBe('905551112233');
+    }
+    expect(normalizeGsm('0212 111 22 33')).toBeUndefined();
+    expect(normalizeGsm('555')).toBeUndefined();
+  });
+
+  test('person needs a valid TCKN, company a valid VKN and tax office', () => {
+    expect(validateCustomer({ type: 'PERSON', title: 'Ali Veli', identityNumber: '10000000146', ...ADDRESS }).errors).toEqual([]);
+    expect(codes(validateCustomer({ type: 'PERSON', identityNumber: '12345678901', ...ADDRESS }).errors)).toEqual(['identityNumber:identity_number_invalid']);
+    expect(codes(validateCustomer({ type: 'PERSON' }).errors)).toEqual(['identityNumber:identity_number_required', 'city:city_required', 'town:town_required']);
+    expect(codes(validateCustomer({ type: 'COMPANY', taxNumber: '1234567891', ...ADDRESS }).errors)).toEqual(['taxNumber:tax_number_invalid', 'taxOffice:tax_office_required']);
+    expect(validateCustomer({ type: 'KURUMSAL', taxNumber: '123 456 7890', taxOffice: 'Kadıköy', ...ADDRESS })).toMatchObject({ errors: [], customer: { taxNumber: '1234567890' } });
+    expect(codes(validateCustomer({ type: 'ALIEN', identityNumber: '10000000146', ...ADDRESS }).errors)).toEqual(['type:type_invalid']);
+  });
+
+  test('contact fields are normalised or rejected', () => {
+    const ok = validateCustomer({ identityNumber: '10000000146', gsmNumber: '0555 111 22 33', email: 'a@example.com', ...ADDRESS });
+    expect(ok).toMatchObject({ errors: [], customer: { gsmNumber: '905551112233' } });
+    const bad = validateCustomer({ identityNumber: '10000000146', gsmNumber: '123', email: 'a@b', ...ADDRESS });
+    expect(codes(bad.errors)).toEqual(['gsmNumber:gsm_number_invalid', 'email:email_invalid']);
+  });
+
+  test('only wrong data blocks outside strict mode', () => {
+    const { errors } = validateCustomer({ type: 'PERSON', identityNumber: '12345678901' });
+    expect(codes(blockingErrors(errors, { strict: false }))).toEqual(['identityNumber:identity_number_invalid']);
+    expect(blockingErrors(errors, { strict: true })).toHaveLength(3);
+  });
+
+  test('buildBasket runs the validator on embedded customers', () => {
+    const base = { referenceCode: 'R1', items: [{ referenceCode: 'A', name: 'A', quantity: 1, unitGross: 10, vatRatio: 10, sctRatio: 0 }], employeeRef: 'E1', paymentAmount: 10 };
+    const basket = buildBasket({ ...base, customer: { referenceCode: 'C1', type: 'PERSON', title: 'Ali', identityNumber: '10000000146', gsmNumber: '5551112233' } });
+    expect(basket.customer.gsmNumber).toBe('905551112233');
+    expect(() => buildBasket({ ...base, customerInfo: { type: 'INDIVIDUAL', identityNumber: '12345678901' } })).toThrow(BasketValidationError);
+    expect(() => buildBasket({ ...base, customerInfo: { type: 'INDIVIDUAL', identityNumber: '12345678901' } })).toThrow('customer_info_invalid: identityNumber identity_number_invalid');
+  });
+
+  test('missing data does not reject a basket, even in strict mode', () => {
+    process.env.ODEAL_CUSTOMER_STRICT = 'true';
+    try {
+      const base = { referenceCode: 'R1', items: [{ referenceCode: 'A', name: 'A', quantity: 1, unitGross: 10, vatRatio: 10, sctRatio: 0 }], employeeRef: 'E1', paymentAmount: 10 };
+      const basket = buildBasket({ ...base, customerInfo: { type: 'INDIVIDUAL', name: 'Ali', identityNumber: '10000000146' } });
+      expect(basket.customerInfo).toEqual({ type: 'INDIVIDUAL', name: 'Ali', identityNumber: '10000000146' });
+    } finally {
+      delete process.env.ODEAL_CUSTOMER_STRICT;
+    }
+  });
+});
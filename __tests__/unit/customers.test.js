@@ -0,0 +1,122 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { JsonFileStore } from '../../src/jsonFileStore.js';
+import { resolveCustomer, customerStore, toCustomerInfo, normalizeCustomerType, CustomerStore } from '../../src/customers.js';
+
+const REF = 'dev_1566000740_42';
+const ENV_KEYS = ['ODEAL_CUSTOMER_REFERENCE_CODE', 'ODEAL_CUSTOMER_TYPE', 'ODEAL_CUSTOMER_TITLE', 'ODEAL_CUSTOMER_NAME', 'ODEAL_CUSTOMER_SURNAME', 'ODEAL_CUSTOMER_TAX_NUMBER', 'ODEAL_CUSTOMER_IDENTITY_NUMBER'];
+
+describe('resolveCustomer', () => {
+  let saved;
+  beforeEach(() => {
+    saved = Object.fromEntries(ENV_KEYS.map((k) => [k, process.env[k]]));
+    for (const k of ENV_KEYS) delete process.env[k];
+    customerStore.backend = undefined; // keep the singleton off disk
+    customerStore.store.clear();
+    customerStore.links.clear();
+  });
+  afterEach(() => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+
+  test('anonymous end consumer when nothing is configured', () => {
+    expect(resolveCustomer({ referenceCode: REF })).toEqual({ source: 'anonymous', customer: undefined, customerInfo: {} });
+  });
+
+  test('ROP check customer wins over store and env', () => {
+    process.env.ODEAL_CUSTOMER_NAME = 'Env';
+    customerStore.set(REF, { referenceCode: REF, type: 'PERSON', title: 'Stored' });
+    const r = resolveCustomer({ referenceCode: REF, rop: { Customer: { Code: 'C9', Type: 'Kurumsal', Title: 'Acme A.Ş.', Vkn: '1234567890', TaxOffice: 'Kadıköy' } } });
+    expect(r.source).toBe('rop');
+    expect(r.customer).toEqual({ referenceCode: 'C9', type: 'COMPANY', title: 'Acme A.Ş.', taxOffice: 'Kadıköy', taxNumber: '1234567890' });
+    expect(r.customerInfo).toEqual({ type: 'COMPANY', title: 'Acme A.Ş.', taxOffice: 'Kadıköy', taxNumber: '1234567890' });
+  });
+
+  test('a ROP check customer with wrong data gives way to the next source', () => {
+    const rop = { Customer: { Type: 'Bireysel', Name: 'Ali', Tckn: '12345678901' } };
+    expect(resolveCustomer({ referenceCode: REF, rop }).source).toBe('anonymous');
+    customerStore.set(REF, { referenceCode: REF, type: 'PERSON', title: 'Stored' });
+    expect(resolveCustomer({ referenceCode: REF, rop })).toMatchObject({ source: 'store', customer: { title: 'Stored' } });
+  });
+
+  test('store by basket reference, then env', () => {
+    process.env.ODEAL_CUSTOMER_NAME = 'Ali';
+    process.env.ODEAL_CUSTOMER_SURNAME = 'Veli';
+    process.env.ODEAL_CUSTOMER_IDENTITY_NUMBER = '10000000146';
+    expect(resolveCustomer({ referenceCode: REF })).toMatchObject({
+      source: 'env',
+      customer: { type: 'PERSON', title: 'Ali Veli', name: 'Ali', surname: 'Veli', identityNumber: '10000000146' },
+      customerInfo: { type: 'INDIVIDUAL', name: 'Ali', surname: 'Veli', identityNumber: '10000000146' },
+    });
+    customerStore.set(REF, { referenceCode: REF, type: 'INDIVIDUAL', title: 'Ayşe Kaya', email: 'a@example.com' });
+    const r = resolveCustomer({ referenceCode: REF });
+    expect(r.source).toBe('store');
+    expect(r.customerInfo).toEqual({ type: 'INDIVIDUAL', name: 'Ayşe Kaya', email: 'a@example.com' });
+  });
+
+  test('type mapping', () => {
+    expect(normalizeCustomerType('individual')).toBe('PERSON');
+    expect(normalizeCustomerType('Tüzel Kişi')).toBe('COMPANY');
+    expect(normalizeCustomerType(undefined, { taxNumber: '1234567890' })).toBe('COMPANY');
+    expect(normalizeCustomerType(undefined, { taxNumber: '1234567890', identityNumber: '10000000146' })).toBe('PERSON');
+    expect(toCustomerInfo(undefined)).toEqual({});
+  });
+});
+
+describe('CustomerStore', () => {
+  // In-memory stand-in for the file backend
+  const memoryBackend = () => {
+    let data = { customers: [], links: [] };
+    return { load: () => structuredClone(data), save: (d) => { data = structuredClone(d); } };
+  };
+
+  test('survives a reload through its backend, links included', () => {
+    const backend = memoryBackend();
+    const a = new CustomerStore({ backend });
+    a.set('C1', { type: 'PERSON', title: 'Ayşe Kaya' }, { basketReferenceCode: REF });
+    const b = new CustomerStore({ backend });
+    expect(b.get('C1')).toMatchObject({ referenceCode: 'C1', title: 'Ayşe Kaya' });
+    expect(b.forBasket(REF).referenceCode).toBe('C1');
+  });
+
+  test('instances sharing a file see each other\'s writes', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'customers-')), 'customers.json');
+    const backend = () => new JsonFileStore(file, { customers: [], links: [] });
+    const a = new CustomerStore({ backend: backend() });
+    const b = new CustomerStore({ backend: backend() });
+    a.set('C1', { type: 'PERSON', title: 'Ayşe Kaya' }, { basketReferenceCode: REF });
+    expect(b.forBasket(REF)?.referenceCode).toBe('C1');
+    b.set('C2', { type: 'COMPANY', title: 'Acme' });
+    expect(a.list().map((c) => c.referenceCode).sort()).toEqual(['C1', 'C2']);
+    a.delete('C1');
+    expect(b.get('C1')).toBeUndefined();
+    expect(b.get('C2').title).toBe('Acme');
+  });
+
+  test('search, update and delete', () => {
+    let t = 0;
+    const s = new CustomerStore({ now: () => (t += 1000) });
+    s.set('C1', { type: 'PERSON', title: 'Ayşe Kaya', identityNumber: '10000000146', gsmNumber: '+90 555 111 22 33' });
+    s.set('C2', { type: 'COMPANY', title: 'Acme Gıda A.Ş.', taxNumber: '1234567890' });
+    expect(s.list().map((c) => c.referenceCode)).toEqual(['C2', 'C1']);
+    expect(s.list({ title: 'acme' }).map((c) => c.referenceCode)).toEqual(['C2']);
+    expect(s.list({ taxNumber: '1234567890' })).toHaveLength(1);
+    expect(s.list({ identityNumber: '10000000146' })[0].referenceCode).toBe('C1');
+    expect(s.list({ gsmNumber: '5551112233' })[0].referenceCode).toBe('C1');
+    expect(s.list({ q: 'kaya' })[0].referenceCode).toBe('C1');
+
+    const updated = s.set('C1', s.patched('C1', { email: 'a@example.com', gsmNumber: null, createdAt: 'x' }));
+    expect(updated).toMatchObject({ email: 'a@example.com', createdAt: new Date(1000).toISOString() });
+    expect(updated.gsmNumber).toBeUndefined();
+    expect(s.patched('nope', { title: 'x' })).toBeUndefined();
+
+    expect(s.delete('C1')).toBe(true);
+    expect(s.get('C1')).toBeUndefined();
+    expect(s.delete('C1')).toBe(false);
+  });
+});
@@ -50,12 +50,13 @@ describe('IdempotencyStore', () => {
       expect(key).toBe('payment-succeeded:n/a:TXN_001');
     });
 
-    test('should handle missing transaction info', () => {
+    test('should fall back to a payload hash without transaction info', () => {
       const payload = {
         basketReferenceCode: 'REF_001'
       };
       const key = makeEventKey('payment-succeeded', payload);
-      expect(key).toBe('payment-succeeded:REF_001:n/a');
+      expect(key).toMatch(/^payment-succeeded:REF_001:#[0-9a-f]{16}$/);
+      expect(makeEventKey('payment-succeeded', { ...payload, reason: 'x' })).not.toBe(key);
     });
 
     test('should handle empty payload', () => {
@@ -0,0 +1,48 @@
+import { describe, test, expect } from '@jest/globals';
+import { InvoiceStore, invoiceFromWebhook, toRopInvoice } from '../../src/invoiceStore.js';
+
+const REF = 'dev_1566000740_42';
+
+describe('InvoiceStore', () => {
+  test('reads invoice fields from the body or a nested invoice object', () => {
+    expect(invoiceFromWebhook({ ettn: 'E1', invoiceNumber: 'GIB2025000000001', invoiceType: 'e-archive', invoiceUrl: 'https://x/1.pdf', invoiceDate: '2025-01-02T10:00:00Z' }))
+      .toEqual({ ettn: 'E1', number: 'GIB2025000000001', type: 'E_ARCHIVE', url: 'https://x/1.pdf', date: '2025-01-02T10:00:00.000Z' });
+    expect(invoiceFromWebhook({ referenceCode: REF, invoice: { uuid: 'U1', documentNumber: 'N1', pdfUrl: 'u' } }))
+      .toMatchObject({ ettn: 'U1', number: 'N1', url: 'u' });
+  });
+
+  test('created then cancelled; a re-issued invoice becomes current', () => {
+    const s = new InvoiceStore({ persist: false });
+    s.created(REF, { ettn: 'E1', invoiceNumber: 'N1' }, { transactionId: 'T1' });
+    s.created(REF, { ettn: 'E1', invoiceNumber: 'N1', invoiceUrl: 'https://x/1.pdf' });
+    expect(s.get(REF).invoices).toHaveLength(1);
+    expect(s.current(REF)).toMatchObject({ ettn: 'E1', url: 'https://x/1.pdf', status: 'created', transactionId: 'T1' });
+
+    const c = s.cancelled(REF, { cancelReason: 'wrong buyer' });
+    expect(c).toMatchObject({ ettn: 'E1', status: 'cancelled', cancelReason: 'wrong buyer' });
+    expect(s.current(REF)).toBeUndefined();
+
+    s.created(REF, { ettn: 'E2', invoiceNumber: 'N2' });
+    expect(s.get(REF).current.ettn).toBe('E2');
+    expect(s.get(REF).invoices.map((i) => i.status)).toEqual(['cancelled', 'created']);
+  });
+
+  test('cancel of an unknown invoice is kept; ROP Invoice omits missing fields', () => {
+    const s = new InvoiceStore({ persist: false });
+    const c = s.cancelled(REF, { ettn: 'E9' });
+    expect(c).toMatchObject({ ettn: 'E9', status: 'cancelled' });
+    expect(toRopInvoice(c)).toEqual({ Ettn: 'E9', Status: 'cancelled' });
+    expect(s.created('', { ettn: 'E1' })).toBeUndefined();
+  });
+
+  test('keeps at most maxReferences, the least recently updated dropped first', () => {
+    const s = new InvoiceStore({ persist: false, maxReferences: 2 });
+    s.created('A', { ettn: 'E1' });
+    s.created('B', { ettn: 'E2' });
+    s.cancelled('A', { ettn: 'E1' });
+    s.created('C', { ettn: 'E3' });
+    expect(s.get('B')).toBeUndefined();
+    expect(s.get('A').invoices[0].status).toBe('cancelled');
+    expect(s.current('C').ettn).toBe('E3');
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, test, expect } from '@jest/globals';
+import { toMinor, fromMinor, allocate } from '../../src/money.js';
+
+describe('money', () => {
+  test('toMinor converts without float drift', () => {
+    expect(toMinor(10)).toBe(1000);
+    expect(toMinor('3.33')).toBe(333);
+    expect(toMinor(1.005)).toBe(101);
+    expect(toMinor(0.1 + 0.2)).toBe(30);
+    expect(toMinor(-12.345)).toBe(-1235);
+    expect(toMinor('abc')).toBe(0);
+  });
+
+  test('fromMinor converts back to major units', () => {
+    expect(fromMinor(999)).toBe(9.99);
+    expect(fromMinor(-50)).toBe(-0.5);
+  });
+
+  test('allocate keeps the exact total', () => {
+    expect(allocate(1000, [1, 1, 1])).toEqual([334, 333, 333]);
+    expect(allocate(-100, [3, 1])).toEqual([-75, -25]);
+    expect(allocate(5, [0, 0])).toEqual([3, 2]);
+    const parts = allocate(1234, [17.5, 3, 99]);
+    expect(parts.reduce((s, x) => s + x, 0)).toBe(1234);
+    expect(allocate(100, [])).toEqual([]);
+  });
+});
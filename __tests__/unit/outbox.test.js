@@ -0,0 +1,140 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { Outbox, OutboxError } from '../../src/outbox.js';
+
+function httpError(status) {
+  const e = new Error(`status ${status}`);
+  e.response = { status };
+  return e;
+}
+
+describe('Outbox', () => {
+  let dir;
+  let clock;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    clock = { t: 1_000_000, now: () => clock.t };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function make(opts = {}) {
+    return new Outbox({ file: path.join(dir, 'outbox.json'), baseDelayMs: 100, maxDelayMs: 1000, now: clock.now, ...opts });
+  }
+
+  test('delivered entries leave the outbox', async () => {
+    const ob = make();
+    const sent = [];
+    ob.handle('rop', async (p) => { sent.push(p); return { ok: 1 }; });
+    const e = ob.enqueue('rop', { CheckId: 1 });
+    const r = await ob.deliver(e.id);
+    expect(r).toMatchObject({ ok: true, result: { ok: 1 } });
+    expect(sent).toEqual([{ CheckId: 1 }]);
+    expect(ob.list()).toEqual([]);
+  });
+
+  test('failed entries are retried with backoff and dead-lettered after max attempts', async () => {
+    const ob = make({ maxAttempts: 3 });
+    let calls = 0;
+    ob.handle('rop', async () => { calls += 1; throw httpError(503); });
+    const e = ob.enqueue('rop', { CheckId: 2 });
+    await ob.deliver(e.id);
+    expect(ob.get(e.id)).toMatchObject({ status: 'pending', attempts: 1, lastError: 'HTTP 503' });
+    expect(ob.get(e.id).nextAttemptAt).toBeGreaterThan(clock.t);
+    expect(await ob.drain()).toBe(0); // not due yet
+    clock.t += 10_000;
+    await ob.drain();
+    clock.t += 10_000;
+    await ob.drain();
+    expect(calls).toBe(3);
+    expect(ob.get(e.id).status).toBe('dead');
+    expect(ob.list('dead')).toHaveLength(1);
+  });
+
+  test('permanent 4xx failures are dead-lettered at once', async () => {
+    const ob = make();
+    ob.handle('rop', async () => { throw httpError(400); });
+    const e = ob.enqueue('rop', {});
+    await ob.deliver(e.id);
+    expect(ob.get(e.id)).toMatchObject({ status: 'dead', attempts: 1 });
+  });
+
+  test('entries survive a restart', async () => {
+    const ob = make();
+    ob.handle('rop', async () => { throw new Error('ECONNREFUSED'); });
+    const e = ob.enqueue('rop', { CheckId: 3 }, { ref: 'A_1_3' });
+    await ob.deliver(e.id);
+    const again = make();
+    expect(again.get(e.id)).toMatchObject({ status: 'pending', attempts: 1, payload: { CheckId: 3 }, meta: { ref: 'A_1_3' } });
+  });
+
+  test('replay sends a dead letter again; discard removes it', async () => {
+    const ob = make({ maxAttempts: 1 });
+    let up = false;
+    ob.handle('rop', async () => { if (!up) throw httpError(500); return 'ok'; });
+    const a = ob.enqueue('rop', { CheckId: 4 });
+    const b = ob.enqueue('rop', { CheckId: 5 });
+    await ob.drain();
+    expect(ob.list('dead')).toHaveLength(2);
+    up = true;
+    await expect(ob.replay(a.id)).resolves.toMatchObject({ ok: true });
+    expect(ob.get(a.id)).toBeUndefined();
+    expect(ob.discard(b.id).id).toBe(b.id);
+    expect(ob.list()).toEqual([]);
+    await expect(ob.replay('nope')).rejects.toBeInstanceOf(OutboxError);
+  });
+
+  test('entries of one key are sent in order; later ones wait behind an undelivered one', async () => {
+    const ob = make();
+    const sent = [];
+    let up = false;
+    ob.handle('rop', async (p) => {
+      if (!up) throw httpError(503);
+      sent.push(p.Status);
+      return 'ok';
+    });
+    const paid = ob.enqueue('rop', { Status: 1 }, {}, { key: 'D_1_9' });
+    await ob.deliver(paid.id);
+    up = true;
+    const other = ob.enqueue('rop', { Status: 7 }, {}, { key: 'D_1_10' });
+    const cancelled = ob.enqueue('rop', { Status: 0 }, {}, { key: 'D_1_9' });
+    await expect(ob.deliver(cancelled.id)).resolves.toMatchObject({ ok: false, blockedBy: paid.id });
+    await expect(ob.deliver(other.id)).resolves.toMatchObject({ ok: true });
+    expect(sent).toEqual([7]);
+    clock.t += 10_000;
+    await ob.drain();
+    expect(sent).toEqual([7, 1, 0]);
+    expect(ob.list()).toEqual([]);
+  });
+
+  test('a dead letter holds its key until replayed or discarded', async () => {
+    const ob = make();
+    const sent = [];
+    ob.handle('rop', async (p) => {
+      if (p.Status === 1 && !sent.length) throw httpError(400);
+      sent.push(p.Status);
+      return 'ok';
+    });
+    const dead = ob.enqueue('rop', { Status: 1 }, {}, { key: 'K' });
+    await ob.deliver(dead.id);
+    const next = ob.enqueue('rop', { Status: 0 }, {}, { key: 'K' });
+    await ob.drain();
+    expect(ob.get(next.id)).toMatchObject({ status: 'pending', attempts: 0 });
+    ob.discard(dead.id);
+    await ob.drain();
+    expect(sent).toEqual([0]);
+  });
+
+  test('replay refuses entries that are not dead', async () => {
+    const ob = make();
+    ob.handle('rop', async () => 'ok');
+    const e = ob.enqueue('rop', {});
+    await expect(ob.replay(e.id)).rejects.toThrow('outbox_entry_not_dead');
+    expect(() => ob.enqueue('other', {})).toThrow('outbox_kind_unknown');
+  });
+});
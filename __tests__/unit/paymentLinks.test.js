@@ -0,0 +1,90 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { PaymentLinkStore, PaymentLinkError } from '../../src/paymentLinks.js';
+import { odealClient, setOdealClient, stubOdealClient } from '../../src/odealClient.js';
+
+const CHECK = 'ABC002_1566000740_3215799';
+const basket = { referenceCode: CHECK, basketPrice: { grossPrice: 150 }, products: [] };
+const original = odealClient();
+
+afterEach(() => setOdealClient(original));
+
+describe('PaymentLinkStore', () => {
+  test('creates the link on Ödeal and serves a copy of the check basket', async () => {
+    const calls = [];
+    setOdealClient({
+      name: 'fake',
+      async createPaymentLink(req) {
+        calls.push(req);
+        return { id: 'L1', url: `https://pay.example/${req.referenceCode}` };
+      },
+    });
+    const store = new PaymentLinkStore({ persist: false });
+    const link = await store.create(basket, { checkReference: CHECK, channel: 'delivery', ttlMs: 60 * 60 * 1000 });
+    expect(link.referenceCode).toMatch(/^EC-[0-9A-F]{12}$/);
+    expect(calls[0]).toMatchObject({ referenceCode: link.referenceCode, amount: 150, currency: 'TRY', expiresAt: link.expiresAt });
+    expect(link).toMatchObject({ status: 'active', odealLinkId: 'L1', url: `https://pay.example/${link.referenceCode}`, channel: 'delivery' });
+    expect(store.basketFor(link.referenceCode)).toEqual({ ...basket, referenceCode: link.referenceCode });
+    expect(store.basketFor(CHECK)).toBeUndefined();
+    expect(store.checkOf(link.referenceCode)).toBe(CHECK);
+  });
+
+  test('one open link per check; non-composite checks are rejected', async () => {
+    setOdealClient(stubOdealClient({ baseUrl: 'https://stub.test/pay' }));
+    const store = new PaymentLinkStore({ persist: false });
+    const link = await store.create(basket, { checkReference: CHECK });
+    expect(link.url).toBe(`https://stub.test/pay/${link.referenceCode}`);
+    await expect(store.create(basket, { checkReference: CHECK })).rejects.toThrow('payment_link_active');
+    await expect(store.create(basket, { checkReference: 'table-7' })).rejects.toThrow(PaymentLinkError);
+    await store.cancel(link.referenceCode);
+    expect(() => store.basketFor(link.referenceCode)).toThrow('payment_link_cancelled');
+    expect((await store.create(basket, { checkReference: CHECK })).status).toBe('active');
+  });
+
+  test('concurrent requests for one check open a single link; a failed call frees the check', async () => {
+    let calls = 0;
+    let fail = true;
+    setOdealClient({
+      name: 'fake',
+      async createPaymentLink(req) {
+        calls += 1;
+        await new Promise((r) => setTimeout(r, 5));
+        if (fail) throw new Error('odeal down');
+        return { id: `L${calls}`, url: `https://pay.example/${req.referenceCode}` };
+      },
+    });
+    const store = new PaymentLinkStore({ persist: false });
+    const first = store.create(basket, { checkReference: CHECK });
+    await expect(store.create(basket, { checkReference: CHECK })).rejects.toThrow('payment_link_pending');
+    await expect(first).rejects.toThrow('odeal down');
+    fail = false;
+    const [a, b] = await Promise.allSettled([store.create(basket, { checkReference: CHECK }), store.create(basket, { checkReference: CHECK })]);
+    expect(a).toMatchObject({ status: 'fulfilled', value: { status: 'active' } });
+    expect(b.reason.message).toBe('payment_link_pending');
+    expect(calls).toBe(2);
+    expect(store.list({ checkReference: CHECK })).toHaveLength(1);
+  });
+
+  test('expires, survives a restart and tracks the payment', async () => {
+    setOdealClient(stubOdealClient());
+    let t = Date.parse('2026-01-01T10:00:00Z');
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'links-')), 'payment-links.json');
+    const a = new PaymentLinkStore({ file, now: () => t });
+    const paid = await a.create(basket, { checkReference: CHECK, ttlMs: 60 * 60 * 1000 });
+    const late = await a.create({ ...basket, referenceCode: 'D1_5_7' }, { checkReference: 'D1_5_7', ttlMs: 60 * 1000 });
+    a.paymentEvent('payment-failed', paid.referenceCode);
+    a.paymentEvent('payment-succeeded', paid.referenceCode, { transactionId: 'tx-1' });
+
+    t += 2 * 60 * 1000;
+    const b = new PaymentLinkStore({ file, now: () => t });
+    expect(b.get(paid.referenceCode)).toMatchObject({ status: 'paid', transactionId: 'tx-1', attempts: 1 });
+    expect(() => b.basketFor(paid.referenceCode)).toThrow('payment_link_paid');
+    expect(b.sweep()).toBe(1);
+    expect(() => b.basketFor(late.referenceCode)).toThrow('payment_link_expired');
+    await expect(b.cancel(paid.referenceCode)).rejects.toThrow('payment_link_paid');
+    expect(b.list({ status: 'expired' }).map((l) => l.referenceCode)).toEqual([late.referenceCode]);
+    expect(b.list()[0].basket).toBeUndefined();
+  });
+});
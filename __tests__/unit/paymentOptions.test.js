@@ -0,0 +1,92 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  resolvePaymentOptions,
+  normalizeType,
+  isMealCardEligible,
+  paymentPlans,
+  PaymentOptionsError,
+} from '../../src/paymentOptions.js';
+import { buildBasket, BasketValidationError } from '../../src/basketBuilder.js';
+
+describe('paymentOptions', () => {
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('normalizes option types and aliases', () => {
+    expect(normalizeType('CREDITCARD')).toBe('CREDITCARD');
+    expect(normalizeType('credit card')).toBe('CREDITCARD');
+    expect(normalizeType('Nakit')).toBe('CASH');
+    expect(normalizeType('Pluxee')).toBe('SODEXO');
+    expect(normalizeType('Ticket Restaurant')).toBe('TICKET');
+    expect(normalizeType('BITCOIN')).toBeUndefined();
+  });
+
+  test('defaults to a single CREDITCARD option', () => {
+    expect(resolvePaymentOptions(undefined, { totalMinor: 12345 })).toEqual([{ type: 'CREDITCARD', amount: 123.45 }]);
+  });
+
+  test('fills the open option with the remainder', () => {
+    const options = resolvePaymentOptions(
+      [{ type: 'MULTINET', amount: 40 }, { type: 'CASH', amount: 10.5 }, { type: 'CREDITCARD' }],
+      { totalMinor: 10000 },
+    );
+    expect(options).toEqual([
+      { type: 'MULTINET', amount: 40 },
+      { type: 'CASH', amount: 10.5 },
+      { type: 'CREDITCARD', amount: 49.5 },
+    ]);
+  });
+
+  test('rejects plans that do not add up', () => {
+    expect(() => resolvePaymentOptions([{ type: 'CASH', amount: 10 }], { totalMinor: 2000 }))
+      .toThrow(new PaymentOptionsError('payment_options_sum_mismatch'));
+    expect(() => resolvePaymentOptions([{ type: 'CASH', amount: 30 }, { type: 'CREDITCARD' }], { totalMinor: 2000 }))
+      .toThrow(new PaymentOptionsError('payment_options_sum_mismatch'));
+    expect(() => resolvePaymentOptions([{ type: 'CASH' }, { type: 'CREDITCARD' }], { totalMinor: 2000 }))
+      .toThrow(new PaymentOptionsError('payment_option_amount_invalid'));
+    expect(() => resolvePaymentOptions([{ type: 'GOLD', amount: 20 }], { totalMinor: 2000 }))
+      .toThrow(new PaymentOptionsError('payment_option_type_invalid'));
+  });
+
+  test('meal card eligibility from flags, rules and excluded categories', () => {
+    process.env.PAYMENT_MEAL_CARD_EXCLUDED_CATEGORIES = 'ALKOL, TÜTÜN';
+    expect(isMealCardEligible({ line: { MealCardEligible: false } })).toBe(false);
+    expect(isMealCardEligible({ line: {}, rule: { mealCardEligible: false } })).toBe(false);
+    expect(isMealCardEligible({ line: {}, category: 'alkol' })).toBe(false);
+    expect(isMealCardEligible({ line: {}, category: 'YIYECEK' })).toBe(true);
+  });
+
+  test('buildBasket caps meal cards at eligible lines', () => {
+    const base = {
+      referenceCode: 'UT_SPLIT',
+      employeeRef: 'emp',
+      items: [
+        { referenceCode: 'KEBAP', name: 'Kebap', quantity: 1, lineGross: 300, vatRatio: 10 },
+        { referenceCode: 'RAKI', name: 'Rakı', quantity: 1, lineGross: 200, vatRatio: 20, mealCardEligible: false },
+      ],
+    };
+    const ok = buildBasket({ ...base, paymentOptions: [{ type: 'SODEXO', amount: 300 }, { type: 'CREDITCARD' }] });
+    expect(ok.paymentOptions).toEqual([{ type: 'SODEXO', amount: 300 }, { type: 'CREDITCARD', amount: 200 }]);
+    expect(() => buildBasket({ ...base, paymentOptions: [{ type: 'SODEXO', amount: 350 }, { type: 'CASH' }] }))
+      .toThrow(new BasketValidationError('meal_card_amount_exceeds_eligible'));
+  });
+
+  test('payment plan store expires entries', () => {
+    paymentPlans.set('UT_PLAN', [{ type: 'CASH' }], 1000);
+    expect(paymentPlans.get('UT_PLAN')).toEqual([{ type: 'CASH' }]);
+    const realNow = Date.now;
+    Date.now = () => realNow() + 5000;
+    try {
+      expect(paymentPlans.get('UT_PLAN')).toBeUndefined();
+    } finally {
+      Date.now = realNow;
+    }
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  registerProvider,
+  getProvider,
+  selectProviderName,
+  loadProviderModules,
+} from '../../src/providerRegistry.js';
+import { resolveBasket } from '../../src/basketProvider.js';
+import { storedBaskets } from '../../src/providers.js';
+
+describe('providerRegistry', () => {
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    process.env.ODEAL_EMPLOYEE_REF = 'emp';
+    delete process.env.BASKET_PROVIDER_ROUTES;
+    delete process.env.BASKET_PROVIDER_MODULES;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('selects by prefix, then restaurant, then BASKET_PROVIDER', () => {
+    process.env.BASKET_PROVIDER = 'ROP';
+    process.env.BASKET_PROVIDER_ROUTES = JSON.stringify({
+      prefixes: { 'WEB-': 'stored', 'WEB-FILE-': 'static' },
+      restaurants: { 42: 'http' },
+    });
+    expect(selectProviderName('WEB-123')).toBe('stored');
+    expect(selectProviderName('WEB-FILE-9')).toBe('static');
+    expect(selectProviderName('DEV_42_1001')).toBe('http');
+    expect(selectProviderName('DEV_7_1001')).toBe('rop');
+  });
+
+  test('ignores invalid route JSON', () => {
+    process.env.BASKET_PROVIDER = 'mock';
+    process.env.BASKET_PROVIDER_ROUTES = '{nope';
+    expect(selectProviderName('WEB-1')).toBe('mock');
+  });
+
+  test('rejects providers without name or resolve', () => {
+    expect(() => registerProvider({ name: 'x' })).toThrow(/provider_invalid/);
+    expect(() => registerProvider({ resolve: async () => ({}) })).toThrow(/provider_invalid/);
+  });
+
+  test('loads provider modules by path', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'odeal-providers-'));
+    const file = path.join(dir, 'fixed.js');
+    fs.writeFileSync(file, "exports.register = (register) => register({ name: 'fixed', resolve: async (ref) => ({ referenceCode: ref }) });\n");
+    process.env.BASKET_PROVIDER_MODULES = file;
+    await loadProviderModules();
+    const provider = getProvider('fixed');
+    expect(provider).toBeDefined();
+    await expect(provider.resolve('R1')).resolves.toEqual({ referenceCode: 'R1' });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('routes references to a registered custom provider', async () => {
+    registerProvider({
+      name: 'custom',
+      resolve: async (ref, ctx) => ({ referenceCode: ref, employeeInfo: ctx.defaults.employeeInfo, composite: ctx.composite }),
+    });
+    process.env.BASKET_PROVIDER_ROUTES = JSON.stringify({ prefixes: { 'CUS-': 'custom' } });
+    const basket = await resolveBasket('CUS-1');
+    expect(basket).toEqual({ referenceCode: 'CUS-1', employeeInfo: { employeeReferenceCode: 'emp' }, composite: undefined });
+  });
+
+  test('stored provider serves ad-hoc baskets', async () => {
+    process.env.BASKET_PROVIDER_ROUTES = JSON.stringify({ prefixes: { 'WEB-': 'stored' } });
+    storedBaskets.set('WEB-7', {
+      items: [{ referenceCode: 'PIDE', name: 'Pide', quantity: 2, lineGross: 180, vatRatio: 10 }],
+      paymentOptions: [{ type: 'CASH' }],
+    });
+    const basket = await resolveBasket('WEB-7');
+    expect(basket.basketPrice.grossPrice).toBe(180);
+    expect(basket.paymentOptions).toEqual([{ type: 'CASH', amount: 180 }]);
+    storedBaskets.delete('WEB-7');
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, test, expect } from '@jest/globals';
+import { reconcilePayment, normalizeCurrency } from '../../src/reconciliation.js';
+import { TransactionLedger } from '../../src/transactionLedger.js';
+
+const REF = 'dev_1566000740_42';
+const snapshot = { referenceCode: REF, requestedReference: 'uuid-1', basketPrice: { grossPrice: 123.45 }, products: [] };
+
+describe('reconcilePayment', () => {
+  test('matching amount, currency and reference', () => {
+    const r = reconcilePayment(snapshot, { basketReferenceCode: REF, amount: '123.45', currency: 'TL' });
+    expect(r).toMatchObject({ status: 'matched', issues: [], amount: { expected: 123.45, actual: 123.45, ok: true }, currency: { actual: 'TRY', ok: true } });
+  });
+
+  test('wrong amount is a mismatch; a tip on top is not', () => {
+    expect(reconcilePayment(snapshot, { basketReferenceCode: REF, amount: 100 })).toMatchObject({ status: 'mismatch', issues: ['amount_mismatch'] });
+    expect(reconcilePayment(snapshot, { basketReferenceCode: REF, amount: 133.45, tipAmount: 10 }).status).toBe('matched');
+  });
+
+  test('currency and reference mismatches', () => {
+    const r = reconcilePayment(snapshot, { basketReferenceCode: 'other', referenceCode: 'uuid-1', amount: 123.45, currency: 'EUR' });
+    expect(r.status).toBe('mismatch');
+    expect(r.issues).toEqual(['currency_mismatch', 'reference_mismatch']);
+  });
+
+  test('requested (pre-mapping) reference is accepted', () => {
+    expect(reconcilePayment(snapshot, { referenceCode: 'uuid-1', amount: 123.45 }).status).toBe('matched');
+  });
+
+  test('unverified without snapshot or amount', () => {
+    expect(reconcilePayment(undefined, { amount: 1 })).toEqual({ status: 'unverified', issues: ['basket_not_served'] });
+    expect(reconcilePayment(snapshot, { basketReferenceCode: REF })).toMatchObject({ status: 'unverified', issues: ['amount_missing'] });
+  });
+
+  test('currency aliases', () => {
+    expect(normalizeCurrency('tl')).toBe('TRY');
+    expect(normalizeCurrency(949)).toBe('TRY');
+    expect(normalizeCurrency('')).toBeUndefined();
+  });
+});
+
+describe('ledger reconciliation', () => {
+  test('mismatch is stored, flagged and listed', () => {
+    const l = new TransactionLedger({ persist: false });
+    l.basketServed({ referenceCode: REF, basketPrice: { grossPrice: 50 }, products: [] });
+    l.webhookEvent('payment-succeeded', { basketReferenceCode: REF, transactionId: 'T1', amount: 500 });
+    const result = reconcilePayment(l.servedSnapshot(REF), { basketReferenceCode: REF, amount: 500 });
+    l.attachReconciliation(REF, result, { transactionId: 'T1' });
+    expect(l.get(REF).reconciliation).toMatchObject({ status: 'mismatch', transactionId: 'T1', amount: { expected: 50, actual: 500 } });
+    expect(l.get(REF).flags.map((f) => f.code)).toContain('amount_mismatch');
+    expect(l.list({ reconciliation: 'mismatch' }).map((r) => r.referenceCode)).toEqual([REF]);
+    expect(l.list({ reconciliation: 'matched' })).toEqual([]);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import net from 'node:net';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { RedisClient, parseReply } from '../../src/redisClient.js';
+import {
+  RedisIdempotencyBackend, FileIdempotencyBackend, MemoryIdempotencyBackend,
+  setIdempotencyBackend, claim, complete, release, payloadHash,
+} from '../../src/idempotencyStore.js';
+
+// Local stand-in speaking enough RESP for the idempotency backend
+function fakeRedis() {
+  const data = new Map(); // key -> { value, expiresAt }
+  const live = (k) => {
+    const e = data.get(k);
+    if (e && e.expiresAt && e.expiresAt <= Date.now()) data.delete(k);
+    return data.get(k);
+  };
+  const reply = (cmd, args) => {
+    switch (cmd) {
+      case 'AUTH': return args[0] === 'secret' ? '+OK\r\n' : '-WRONGPASS invalid password\r\n';
+      case 'SELECT': return '+OK\r\n';
+      case 'SET': {
+        const px = args.findIndex((a) => a.toUpperCase() === 'PX');
+        if (args.some((a) => a.toUpperCase() === 'NX') && live(args[0])) return '$-1\r\n';
+        data.set(args[0], { value: args[1], expiresAt: px === -1 ? 0 : Date.now() + Number(args[px + 1]) });
+        return '+OK\r\n';
+      }
+      case 'GET': {
+        const e = live(args[0]);
+        return e ? `$${Buffer.byteLength(e.value)}\r\n${e.value}\r\n` : '$-1\r\n';
+      }
+      case 'EXISTS': return `:${live(args[0]) ? 1 : 0}\r\n`;
+      case 'DEL': return `:${data.delete(args[0]) ? 1 : 0}\r\n`;
+      default: return `-ERR unknown command '${cmd}'\r\n`;
+    }
+  };
+  const server = net.createServer((socket) => {
+    let buf = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buf = Buffer.concat([buf, chunk]);
+      for (;;) {
+        const parsed = parseReply(buf);
+        if (!parsed) break;
+        buf = buf.subarray(parsed.offset);
+        const [cmd, ...args] = parsed.value;
+        socket.write(reply(cmd.toUpperCase(), args));
+      }
+    });
+  });
+  return { server, data };
+}
+
+describe('RedisIdempotencyBackend', () => {
+  let fake;
+  let url;
+  beforeAll(async () => {
+    fake = fakeRedis();
+    await new Promise((resolve) => fake.server.listen(0, '127.0.0.1', resolve));
+    url = `redis://:secret@127.0.0.1:${fake.server.address().port}/1`;
+  });
+  afterAll(() => new Promise((resolve) => fake.server.close(resolve)));
+
+  test('keys are shared between instances and expire in Redis', async () => {
+    const a = new RedisIdempotencyBackend({ client: new RedisClient(url) });
+    const b = new RedisIdempotencyBackend({ client: new RedisClient(url) });
+    try {
+      expect(await a.has('payment-succeeded:R1:T1')).toBe(false);
+      await a.set('payment-succeeded:R1:T1', Date.now() + 60000);
+      expect(await b.has('payment-succeeded:R1:T1')).toBe(true);
+      expect(fake.data.has('odeal-adapter:idem:payment-succeeded:R1:T1')).toBe(true);
+
+      await a.set('short', Date.now() + 20);
+      await new Promise((r) => setTimeout(r, 40));
+      expect(await b.has('short')).toBe(false);
+
+      expect(await a.reserve('R2', { state: 'pending', hash: 'h' }, Date.now() + 60000)).toBeUndefined();
+      expect(await b.reserve('R2', { state: 'pending', hash: 'h' }, Date.now() + 60000)).toEqual({ state: 'pending', hash: 'h' });
+    } finally {
+      a.client.close();
+      b.client.close();
+    }
+  });
+
+  test('wrong password and unreachable server reject', async () => {
+    const port = fake.server.address().port;
+    const bad = new RedisIdempotencyBackend({ client: new RedisClient(`redis://:nope@127.0.0.1:${port}`) });
+    await expect(bad.has('k')).rejects.toThrow('WRONGPASS');
+    bad.client.close();
+    const down = new RedisIdempotencyBackend({ client: new RedisClient('redis://127.0.0.1:9', { timeoutMs: 500 }) });
+    await expect(down.has('k')).rejects.toThrow();
+  });
+});
+
+describe('FileIdempotencyBackend', () => {
+  test('keys survive a restart, expired ones are dropped', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'idem-')), 'idempotency.json');
+    const a = new FileIdempotencyBackend(file);
+    a.set('kept', Date.now() + 60000);
+    a.set('expired', Date.now() - 1);
+    await Promise.resolve(); // writes are flushed once per tick
+    const b = new FileIdempotencyBackend(file);
+    expect(b.has('kept', Date.now())).toBe(true);
+    expect(b.has('expired', Date.now())).toBe(false);
+    expect([...b.seen.keys()]).toEqual(['kept']);
+  });
+
+  test('max keys drops the oldest', () => {
+    const saved = process.env.IDEMPOTENCY_MAX_KEYS;
+    process.env.IDEMPOTENCY_MAX_KEYS = '2';
+    try {
+      const m = new MemoryIdempotencyBackend();
+      for (const k of ['a', 'b', 'c']) m.set(k, Date.now() + 60000);
+      expect([...m.seen.keys()]).toEqual(['b', 'c']);
+    } finally {
+      if (saved === undefined) delete process.env.IDEMPOTENCY_MAX_KEYS;
+      else process.env.IDEMPOTENCY_MAX_KEYS = saved;
+    }
+  });
+});
+
+describe('claim', () => {
+  beforeAll(() => setIdempotencyBackend(new MemoryIdempotencyBackend()));
+
+  test('payload hash ignores key order', () => {
+    expect(payloadHash({ a: 1, b: { c: [1, 2], d: 'x' } })).toBe(payloadHash({ b: { d: 'x', c: [1, 2] }, a: 1 }));
+    expect(payloadHash({ a: 1 })).not.toBe(payloadHash({ a: 2 }));
+  });
+
+  test('duplicates replay the stored response, other payloads conflict', async () => {
+    expect(await claim('k1', 'h1')).toEqual({ status: 'new' });
+    await complete('k1', 'h1', { status: 200, body: { ok: true, eventId: 'E1' } });
+    expect(await claim('k1', 'h1')).toEqual({ status: 'duplicate', response: { status: 200, body: { ok: true, eventId: 'E1' } } });
+    expect(await claim('k1', 'h2')).toEqual({ status: 'conflict' });
+  });
+
+  test('concurrent duplicates wait for the first request', async () => {
+    expect(await claim('k2', 'h')).toEqual({ status: 'new' });
+    const waiting = claim('k2', 'h');
+    await complete('k2', 'h', { status: 200, body: { eventId: 'E2' } });
+    expect(await waiting).toMatchObject({ status: 'duplicate', response: { body: { eventId: 'E2' } } });
+
+    expect(await claim('k3', 'h')).toEqual({ status: 'new' });
+    expect(await claim('k3', 'h', { waitMs: 20 })).toEqual({ status: 'in_flight' });
+    const retry = claim('k3', 'h');
+    await release('k3');
+    expect(await retry).toEqual({ status: 'new' });
+  });
+});
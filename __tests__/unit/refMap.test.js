@@ -0,0 +1,53 @@
+import { describe, test, expect } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { RefMap } from '../../src/refMap.js';
+
+const UUID = '3f1c2a4e-8b7d-4c21-9e0f-5a6b7c8d9e0f';
+
+describe('RefMap', () => {
+  test('entries with credentials expand to composite references', () => {
+    const m = new RefMap({ persist: false });
+    m.set(UUID, 3215799, 60000, { deviceId: 'ABC002', restaurantId: 1566000740 });
+    m.set('legacy-ref', 42);
+    expect(m.get(UUID)).toBe(3215799);
+    expect(m.effectiveReference(UUID)).toBe('ABC002_1566000740_3215799');
+    expect(m.effectiveReference('legacy-ref')).toBe('legacy-ref_42');
+    expect(m.effectiveReference('unknown')).toBeUndefined();
+  });
+
+  test('resolve expands any mapped reference, also one ending in a digit', () => {
+    const m = new RefMap({ persist: false });
+    const uuid = '9b2e7c10-4d5a-4f3b-8e21-0c6d7a8b9e41';
+    m.set(uuid, 3215799, 60000, { deviceId: 'ABC002', restaurantId: 1566000740 });
+    expect(m.resolve(uuid)).toBe('ABC002_1566000740_3215799');
+    expect(m.resolve('ABC002_1566000740_3215800')).toBe('ABC002_1566000740_3215800');
+  });
+
+  test('survives a restart; expired entries are swept', () => {
+    let t = 1_000_000;
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'refs-')), 'refs.json');
+    const a = new RefMap({ file, now: () => t });
+    a.setMany([
+      { referenceCode: UUID, checkId: 7, ttlMs: 60000, deviceId: 'D1', restaurantId: 5 },
+      { referenceCode: 'short', checkId: 8, ttlMs: 1000 },
+    ]);
+    const b = new RefMap({ file, now: () => t });
+    expect(b.entry(UUID)).toMatchObject({ checkId: 7, deviceId: 'D1', restaurantId: 5 });
+    t += 2000;
+    expect(b.store.has('short')).toBe(true);
+    expect(b.sweep()).toBe(1);
+    expect(new RefMap({ file, now: () => t }).list().map((e) => e.referenceCode)).toEqual([UUID]);
+  });
+
+  test('size cap drops the oldest registration', () => {
+    const m = new RefMap({ persist: false, maxEntries: 2 });
+    m.set('a', 1);
+    m.set('b', 2);
+    m.set('a', 3); // renewed, now the newest
+    m.set('c', 4);
+    expect([...m.store.keys()]).toEqual(['a', 'c']);
+    expect(m.list({ restaurantId: 5 })).toEqual([]);
+  });
+});
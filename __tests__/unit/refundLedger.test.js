@@ -0,0 +1,69 @@
+import { describe, test, expect } from '@jest/globals';
+import { RefundLedger, RefundError } from '../../src/refundLedger.js';
+import { mapRefundPayment } from '../../src/ropPaymentMapper.js';
+
+const CHECK = 'dev_1566000740_42';
+
+describe('RefundLedger', () => {
+  test('partial refunds add up to the paid amount, never beyond', () => {
+    const l = new RefundLedger({ persist: false });
+    l.recordPayment(CHECK, { transactionId: 'T1', amountMinor: 10000 });
+    const first = l.recordRefund(CHECK, { refundId: 'R1', amountMinor: 3000 });
+    expect(first).toMatchObject({ duplicate: false, refundedMinor: 3000, paidMinor: 10000, full: false });
+    expect(() => l.recordRefund(CHECK, { refundId: 'R2', amountMinor: 7001 })).toThrow(RefundError);
+    expect(() => l.recordRefund(CHECK, { refundId: 'R2', amountMinor: 7001 })).toThrow('refund_exceeds_paid');
+    const rest = l.recordRefund(CHECK, { refundId: 'R2', amountMinor: 7000 });
+    expect(rest).toMatchObject({ refundedMinor: 10000, full: true });
+    expect(() => l.recordRefund(CHECK, { refundId: 'R3', amountMinor: 1 })).toThrow('refund_exceeds_paid');
+  });
+
+  test('refund without amount takes what is left; repeats are duplicates', () => {
+    const l = new RefundLedger({ persist: false });
+    l.recordPayment(CHECK, { transactionId: 'S1', amountMinor: 3334 });
+    l.recordPayment(CHECK, { transactionId: 'S2', amountMinor: 3333 });
+    l.recordPayment(CHECK, { transactionId: 'S2', amountMinor: 3333 });
+    l.recordRefund(CHECK, { refundId: 'R1', amountMinor: 1000 });
+    const all = l.recordRefund(CHECK, { refundId: 'R2' });
+    expect(all.refund.amountMinor).toBe(5667);
+    expect(all.full).toBe(true);
+    expect(l.recordRefund(CHECK, { refundId: 'R2' })).toMatchObject({ duplicate: true, refundedMinor: 6667 });
+  });
+
+  test('voided payments and unknown checks are not refundable', () => {
+    const l = new RefundLedger({ persist: false });
+    expect(() => l.recordRefund(CHECK, { amountMinor: 100 })).toThrow('refund_without_payment');
+    l.recordPayment(CHECK, { transactionId: 'T1', amountMinor: 500 });
+    l.voidPayment(CHECK, 'T1');
+    expect(l.totals(CHECK)).toEqual({ paidMinor: 0, refundedMinor: 0, refundableMinor: 0 });
+    expect(() => l.recordRefund(CHECK, { amountMinor: 100 })).toThrow('refund_without_payment');
+  });
+
+  test('keeps at most maxChecks, the least recently updated dropped first', () => {
+    const l = new RefundLedger({ persist: false, maxChecks: 2 });
+    l.recordPayment('A', { transactionId: 'T1', amountMinor: 100 });
+    l.recordPayment('B', { transactionId: 'T2', amountMinor: 100 });
+    l.recordRefund('A', { refundId: 'R1', amountMinor: 50 });
+    l.recordPayment('C', { transactionId: 'T3', amountMinor: 100 });
+    expect([...l.checks.keys()]).toEqual(['A', 'C']);
+    expect(l.totals('A')).toMatchObject({ paidMinor: 100, refundedMinor: 50 });
+  });
+});
+
+describe('mapRefundPayment', () => {
+  test('negative payment entry pointing at the original transaction', () => {
+    const m = mapRefundPayment(
+      { paybackId: 'P1', transactionId: 'T1', paymentType: 'CREDITCARD', cardLastFour: '1234' },
+      { amountMinor: 2550, referenceCode: CHECK, originalTransactionId: 'T1' },
+    );
+    expect(m.PaymentType).toBe(1);
+    expect(m.Payments).toEqual([{
+      Amount: -25.5,
+      PaymentType: 1,
+      Type: 'CREDITCARD',
+      TransactionId: 'P1',
+      ReferenceCode: CHECK,
+      CardLastFour: '1234',
+      OriginalTransactionId: 'T1',
+    }]);
+  });
+});
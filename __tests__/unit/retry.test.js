@@ -0,0 +1,47 @@
+import { describe, test, expect } from '@jest/globals';
+import { withRetry, backoffDelay, isRetryableHttpError } from '../../src/retry.js';
+
+function httpError(status) {
+  const e = new Error(`status ${status}`);
+  e.response = { status };
+  return e;
+}
+
+describe('retry', () => {
+  test('retryable: network errors, 429 and 5xx only', () => {
+    expect(isRetryableHttpError(new Error('ECONNREFUSED'))).toBe(true);
+    expect(isRetryableHttpError(httpError(503))).toBe(true);
+    expect(isRetryableHttpError(httpError(429))).toBe(true);
+    expect(isRetryableHttpError(httpError(404))).toBe(false);
+    expect(isRetryableHttpError(Object.assign(new Error('circuit_open'), { code: 'circuit_open' }))).toBe(false);
+  });
+
+  test('backoff grows exponentially, capped, with jitter', () => {
+    const max = () => 0.999999;
+    expect(backoffDelay(0, { baseDelayMs: 100, maxDelayMs: 1000, random: max })).toBe(99);
+    expect(backoffDelay(2, { baseDelayMs: 100, maxDelayMs: 1000, random: max })).toBe(399);
+    expect(backoffDelay(5, { baseDelayMs: 100, maxDelayMs: 1000, random: max })).toBe(999);
+    expect(backoffDelay(3, { baseDelayMs: 100, maxDelayMs: 1000, random: () => 0 })).toBe(0);
+  });
+
+  test('retries transient errors until success', async () => {
+    const seen = [];
+    let n = 0;
+    const result = await withRetry(async () => {
+      n += 1;
+      if (n < 3) throw httpError(502);
+      return 'ok';
+    }, { retries: 2, baseDelayMs: 1, onRetry: (_e, info) => seen.push(info.attempt) });
+    expect(result).toBe('ok');
+    expect(seen).toEqual([1, 2]);
+  });
+
+  test('gives up after the configured retries and on non-retryable errors', async () => {
+    let n = 0;
+    await expect(withRetry(async () => { n += 1; throw httpError(500); }, { retries: 2, baseDelayMs: 1 })).rejects.toThrow('status 500');
+    expect(n).toBe(3);
+    n = 0;
+    await expect(withRetry(async () => { n += 1; throw httpError(400); }, { retries: 2, baseDelayMs: 1 })).rejects.toThrow('status 400');
+    expect(n).toBe(1);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mapWebhookPayment, mapCustomer } from '../../src/ropPaymentMapper.js';
+
+describe('ropPaymentMapper', () => {
+  const OLD_ENV = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.ROP_PAYMENT_TYPE_CODES;
+    delete process.env.ROP_PAYMENT_FIELDS;
+    delete process.env.ROP_CUSTOMER_FIELDS;
+  });
+
+  afterEach(() => {
+    process.env = { ...OLD_ENV };
+  });
+
+  test('card payment with card details and tip', () => {
+    const m = mapWebhookPayment('payment-succeeded', {
+      basketReferenceCode: 'A_1_2',
+      transactionId: 'T1',
+      amount: '160.50',
+      tipAmount: 10.5,
+      paymentType: 'CREDIT_CARD',
+      cardBrand: 'VISA',
+      maskedPan: '4355 08** **** 1234',
+      authCode: '654321',
+      rrn: '123456789012',
+      installment: 1,
+    });
+    expect(m).toEqual({
+      PaymentType: 1,
+      Options: { TipAmount: 10.5 },
+      Payments: [{
+        Amount: 160.5,
+        PaymentType: 1,
+        Type: 'CREDITCARD',
+        TransactionId: 'T1',
+        ReferenceCode: 'A_1_2',
+        CardType: 'VISA',
+        CardLastFour: '1234',
+        AuthCode: '654321',
+        Rrn: '123456789012',
+        Installment: 1,
+      }],
+    });
+  });
+
+  test('meal card and cash codes, configurable', () => {
+    expect(mapWebhookPayment('payment-succeeded', { amount: 10, paymentType: 'SODEXO' }).PaymentType).toBe(3);
+    expect(mapWebhookPayment('payment-succeeded', { amount: 10, paymentType: 'NAKIT', cardNumber: '1111' }).Payments[0]).not.toHaveProperty('CardLastFour');
+    process.env.ROP_PAYMENT_TYPE_CODES = '{"MULTINET":7,"cash":9}';
+    expect(mapWebhookPayment('payment-succeeded', { amount: 10, paymentType: 'MULTINET' }).PaymentType).toBe(7);
+    expect(mapWebhookPayment('payment-succeeded', { amount: 10, paymentType: 'CASH' }).PaymentType).toBe(9);
+    expect(mapWebhookPayment('payment-succeeded', { amount: 10 }).PaymentType).toBe(1);
+  });
+
+  test('several payments: one entry each, largest type wins unless MIXED is set', () => {
+    const body = {
+      transactionId: 'T1',
+      payments: [
+        { type: 'MULTINET', amount: 40, transactionId: 'T1-a' },
+        { type: 'CREDITCARD', amount: 60, cardLastFour: '9876' },
+      ],
+    };
+    const m = mapWebhookPayment('payment-succeeded', body);
+    expect(m.PaymentType).toBe(1);
+    expect(m.Payments.map((p) => [p.Type, p.Amount, p.TransactionId])).toEqual([['MULTINET', 40, 'T1-a'], ['CREDITCARD', 60, 'T1']]);
+    process.env.ROP_PAYMENT_TYPE_CODES = '{"MIXED":5}';
+    expect(mapWebhookPayment('payment-succeeded', body).PaymentType).toBe(5);
+  });
+
+  test('split share uses the share amount and reference', () => {
+    const m = mapWebhookPayment('payment-succeeded', { amount: 999, transactionId: 'T1' }, { split: { amountMinor: 3334, referenceCode: 'A_1_2-S1', transactionId: 'T1' } });
+    expect(m.Payments[0]).toMatchObject({ Amount: 33.34, ReferenceCode: 'A_1_2-S1', TransactionId: 'T1' });
+  });
+
+  test('fields can be renamed or dropped', () => {
+    process.env.ROP_PAYMENT_FIELDS = '{"Rrn":"RetrievalReferenceNumber","Type":null}';
+    const p = mapWebhookPayment('payment-succeeded', { amount: 1, rrn: 'R' }).Payments[0];
+    expect(p.RetrievalReferenceNumber).toBe('R');
+    expect(p).not.toHaveProperty('Rrn');
+    expect(p).not.toHaveProperty('Type');
+  });
+
+  test('failed/cancelled events carry no payments', () => {
+    expect(mapWebhookPayment('payment-cancelled', { amount: 10, paymentType: 'CASH' })).toEqual({ PaymentType: 2, Payments: [], Options: { TipAmount: 0 } });
+  });
+
+  test('adapter customer maps to the ROP customer shape', () => {
+    const customer = { referenceCode: 'C1', type: 'PERSON', title: 'Ali Veli', name: 'Ali', surname: 'Veli', identityNumber: '10000000146', gsmNumber: '905551112233' };
+    expect(mapCustomer(customer)).toEqual({ Code: 'C1', Type: 'PERSON', Title: 'Ali Veli', Name: 'Ali', Surname: 'Veli', IdentityNumber: '10000000146', Phone: '905551112233' });
+    process.env.ROP_CUSTOMER_FIELDS = '{"Phone":"GsmNumber","Type":null}';
+    expect(mapCustomer(customer)).toMatchObject({ GsmNumber: '905551112233' });
+    expect(mapCustomer(customer)).not.toHaveProperty('Type');
+    expect(mapCustomer(undefined)).toBeUndefined();
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  resolveTaxRatios,
+  reloadTaxRules,
+  isLegalVatRatio,
+  isLegalSctRatio,
+  normalizeRatio,
+} from '../../src/taxRules.js';
+import { buildBasket, BasketValidationError } from '../../src/basketBuilder.js';
+
+describe('taxRules', () => {
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    delete process.env.TAX_RULES;
+    delete process.env.TAX_RULES_FILE;
+    delete process.env.TAX_DEFAULT_VAT_RATIO;
+    delete process.env.TAX_DEFAULT_SCT_RATIO;
+    delete process.env.TAX_ALLOWED_VAT_RATIOS;
+    reloadTaxRules();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    reloadTaxRules();
+  });
+
+  describe('normalizeRatio', () => {
+    test('accepts percentages, fractions and strings', () => {
+      expect(normalizeRatio(10)).toBe(10);
+      expect(normalizeRatio(0.2)).toBe(20);
+      expect(normalizeRatio('%20')).toBe(20);
+      expect(normalizeRatio('0,10')).toBe(10);
+      expect(normalizeRatio(1)).toBe(1);
+      expect(normalizeRatio('')).toBeUndefined();
+      expect(normalizeRatio('abc')).toBeUndefined();
+    });
+  });
+
+  describe('resolveTaxRatios', () => {
+    test('defaults to zero when nothing is configured', () => {
+      expect(resolveTaxRatios({ line: { Name: 'X' }, productCode: 'X' })).toMatchObject({
+        vatRatio: 0,
+        sctRatio: 0,
+        source: 'default',
+      });
+    });
+
+    test('ROP line fields win over rules', () => {
+      process.env.TAX_RULES = JSON.stringify({ rules: [{ productCode: 'RAKI', vatRatio: 10 }] });
+      const r = resolveTaxRatios({ line: { VatRate: 20, OtvRate: 0.25 }, productCode: 'RAKI' });
+      expect(r).toMatchObject({ vatRatio: 20, sctRatio: 25, source: 'rop' });
+    });
+
+    test('picks the most specific rule', () => {
+      process.env.TAX_RULES = JSON.stringify({
+        defaults: { vatRatio: 10 },
+        rules: [
+          { restaurantId: 42, vatRatio: 1 },
+          { category: 'alkol', vatRatio: 20, sctRatio: 25 },
+          { productCode: 'SU-05', vatRatio: 1 },
+        ],
+      });
+      expect(resolveTaxRatios({ line: { Category: 'ALKOL' }, productCode: 'BIRA', restaurantId: 7 }))
+        .toMatchObject({ vatRatio: 20, sctRatio: 25, source: 'rule' });
+      expect(resolveTaxRatios({ line: { Category: 'ALKOL' }, productCode: 'SU-05', restaurantId: 7 }))
+        .toMatchObject({ vatRatio: 1, sctRatio: 0 });
+      expect(resolveTaxRatios({ line: {}, productCode: 'KEBAP', restaurantId: 42 }))
+        .toMatchObject({ vatRatio: 1 });
+      expect(resolveTaxRatios({ line: {}, productCode: 'KEBAP', restaurantId: 7 }))
+        .toMatchObject({ vatRatio: 10, source: 'default' });
+    });
+
+    test('env defaults override rule-file defaults', () => {
+      process.env.TAX_RULES = JSON.stringify({ defaults: { vatRatio: 10 } });
+      process.env.TAX_DEFAULT_VAT_RATIO = '20';
+      expect(resolveTaxRatios({ line: {} }).vatRatio).toBe(20);
+    });
+
+    test('invalid rule JSON falls back to defaults', () => {
+      process.env.TAX_RULES = '{not json';
+      expect(resolveTaxRatios({ line: {} })).toMatchObject({ vatRatio: 0, sctRatio: 0 });
+    });
+  });
+
+  describe('legal ratios', () => {
+    test('validates KDV rates', () => {
+      expect(isLegalVatRatio(0)).toBe(true);
+      expect(isLegalVatRatio(10)).toBe(true);
+      expect(isLegalVatRatio(20)).toBe(true);
+      expect(isLegalVatRatio(18)).toBe(false);
+      process.env.TAX_ALLOWED_VAT_RATIOS = '0,1,8,18';
+      expect(isLegalVatRatio(18)).toBe(true);
+    });
+
+    test('validates ÖTV ratios', () => {
+      expect(isLegalSctRatio(0)).toBe(true);
+      expect(isLegalSctRatio(25)).toBe(true);
+      expect(isLegalSctRatio(-1)).toBe(false);
+      expect(isLegalSctRatio(150)).toBe(false);
+    });
+
+    test('buildBasket rejects illegal ratios', () => {
+      const base = { referenceCode: 'UT_TAX', employeeRef: 'emp' };
+      expect(() => buildBasket({
+        ...base,
+        items: [{ referenceCode: 'SKU', name: 'Item', quantity: 1, unitGross: 10, vatRatio: 18 }],
+      })).toThrow(new BasketValidationError('product_vat_ratio_invalid'));
+      expect(() => buildBasket({
+        ...base,
+        items: [{ referenceCode: 'SKU', name: 'Item', quantity: 1, unitGross: 10, vatRatio: 20, sctRatio: 500 }],
+      })).toThrow(new BasketValidationError('product_sct_ratio_invalid'));
+      const ok = buildBasket({
+        ...base,
+        items: [{ referenceCode: 'SKU', name: 'Item', quantity: 1, unitGross: 10, vatRatio: 20, sctRatio: 25 }],
+      });
+      expect(ok.products[0].price).toEqual({ grossPrice: 10, vatRatio: 20, sctRatio: 25 });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, test, expect } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { TransactionLedger } from '../../src/transactionLedger.js';
+
+const REF = 'dev_1566000740_42';
+
+function basket(total = 50) {
+  return {
+    referenceCode: REF,
+    basketPrice: { grossPrice: total },
+    products: [{ referenceCode: 'P1', name: 'Çay', quantity: 1, unitCode: 'ADET', price: { grossPrice: total, vatRatio: 10, sctRatio: 0 } }],
+    paymentOptions: [{ type: 'CREDITCARD', amount: total }],
+    employeeInfo: { employeeReferenceCode: 'EMP' },
+  };
+}
+
+function make() {
+  let t = Date.parse('2025-01-01T10:00:00Z');
+  return new TransactionLedger({ persist: false, now: () => (t += 1000) });
+}
+
+describe('TransactionLedger', () => {
+  test('records the happy path with a basket snapshot', () => {
+    const l = make();
+    l.basketServed(basket());
+    l.webhookEvent('payment-succeeded', { basketReferenceCode: REF, transactionId: 'T1', amount: '50.00' });
+    l.webhookEvent('einvoice-created', { basketReferenceCode: REF, transactionId: 'T1' });
+    const rec = l.get(REF);
+    expect(rec).toMatchObject({ state: 'paid', invoice: 'created', transactionId: 'T1', paidAmount: 50, flags: [] });
+    expect(rec.events.map((e) => e.type)).toEqual(['basket-served', 'payment-succeeded', 'einvoice-created']);
+    expect(rec.events[0].data.products[0]).toMatchObject({ referenceCode: 'P1', quantity: 1 });
+    expect(rec.events[0].data.employeeInfo).toBeUndefined();
+  });
+
+  test('a failed payment can be retried', () => {
+    const l = make();
+    l.basketServed(basket());
+    l.webhookEvent('payment-failed', { basketReferenceCode: REF, transactionId: 'T1' });
+    l.webhookEvent('payment-succeeded', { basketReferenceCode: REF, transactionId: 'T2' });
+    expect(l.get(REF)).toMatchObject({ state: 'paid', transactionId: 'T2', flags: [] });
+  });
+
+  test('invalid transitions are kept, not applied, and flagged', () => {
+    const l = make();
+    l.basketServed(basket());
+    l.webhookEvent('basket-cancelled', { basketReferenceCode: REF });
+    const { event } = l.webhookEvent('payment-succeeded', { basketReferenceCode: REF, transactionId: 'T1' });
+    expect(event).toMatchObject({ applied: false, flags: ['invalid_transition'] });
+    expect(l.get(REF).state).toBe('basket_cancelled');
+    expect(l.get(REF).flags[0]).toMatchObject({ code: 'invalid_transition', detail: 'basket_cancelled → paid' });
+  });
+
+  test('basket cancel invalidates the served snapshot until the basket is served again', () => {
+    const l = make();
+    l.basketServed(basket(), { requestedReference: 'uuid-1' });
+    l.webhookEvent('basket-cancelled', { basketReferenceCode: REF });
+    expect(l.servedSnapshot(REF)).toBeUndefined();
+    expect(l.servedSnapshot(REF, { includeCancelled: true }).requestedReference).toBe('uuid-1');
+    const { event } = l.basketServed(basket());
+    expect(event.applied).toBe(true);
+    expect(l.get(REF).state).toBe('served');
+    expect(l.servedSnapshot(REF).referenceCode).toBe(REF);
+  });
+
+  test('second payment with another transaction and duplicates are flagged', () => {
+    const l = make();
+    l.basketServed(basket());
+    l.webhookEvent('payment-succeeded', { basketReferenceCode: REF, transactionId: 'T1' });
+    l.webhookEvent('payment-succeeded', { basketReferenceCode: REF, transactionId: 'T1' });
+    l.webhookEvent('payment-succeeded', { basketReferenceCode: REF, transactionId: 'T9' });
+    expect(l.get(REF).flags.map((f) => f.code)).toEqual(['duplicate_event', 'conflicting_payment']);
+    expect(l.get(REF).transactionId).toBe('T1');
+  });
+
+  test('events older than the last applied one are flagged out_of_order', () => {
+    const l = make();
+    l.webhookEvent('payment-succeeded', { basketReferenceCode: REF, transactionId: 'T1', createdAt: '2025-01-01T10:05:00Z' });
+    const { event } = l.webhookEvent('payment-cancelled', { basketReferenceCode: REF, transactionId: 'T1', createdAt: '2025-01-01T10:01:00Z' });
+    expect(event.flags).toContain('out_of_order');
+    expect(l.get(REF).flags.map((f) => f.code)).toEqual(['basket_not_served', 'out_of_order']);
+  });
+
+  test('paybacks add up and invoices cannot be cancelled twice', () => {
+    const l = make();
+    l.basketServed(basket(100));
+    l.webhookEvent('payment-succeeded', { basketReferenceCode: REF, transactionId: 'T1' });
+    l.webhookEvent('payback-succeeded', { basketReferenceCode: REF, transactionId: 'R1', amount: 30.1 });
+    l.webhookEvent('payback-succeeded', { basketReferenceCode: REF, transactionId: 'R2', amount: 20.2 });
+    expect(l.get(REF)).toMatchObject({ state: 'refunded', refundedAmount: 50.3 });
+    l.webhookEvent('einvoice-created', { basketReferenceCode: REF, transactionId: 'T1' });
+    l.webhookEvent('einvoice-cancelled', { basketReferenceCode: REF, transactionId: 'T1' });
+    const { event } = l.webhookEvent('einvoice-cancelled', { basketReferenceCode: REF, transactionId: 'T1b' });
+    expect(event.flags).toEqual(['invalid_transition']);
+  });
+
+  test('device-reported results never change the state', () => {
+    const l = make();
+    l.basketServed(basket());
+    l.deviceResult({ referenceCode: REF, outcome: 'success', transactionId: 'T1' });
+    expect(l.get(REF)).toMatchObject({ state: 'served', deviceResult: { outcome: 'success', transactionId: 'T1' }, flags: [] });
+    l.webhookEvent('payment-succeeded', { basketReferenceCode: REF, transactionId: 'T1' });
+    const { event } = l.deviceResult({ referenceCode: REF, outcome: 'failure', resultCode: '51' });
+    expect(event).toMatchObject({ applied: false, flags: ['device_result_mismatch'], data: { outcome: 'failure', resultCode: '51' } });
+    expect(l.get(REF).state).toBe('paid');
+  });
+
+  test('device results for unknown references are not recorded', () => {
+    const l = make();
+    l.basketServed(basket());
+    expect(l.deviceResult({ referenceCode: 'forged-1', outcome: 'success' })).toBeUndefined();
+    expect(l.get('forged-1')).toBeUndefined();
+    expect(l.get(REF).state).toBe('served');
+  });
+
+  test('list filters by state and flags, newest first', () => {
+    const l = make();
+    l.webhookEvent('payment-succeeded', { basketReferenceCode: 'A', transactionId: '1' });
+    l.basketServed({ ...basket(), referenceCode: 'B' });
+    l.basketServed({ ...basket(), referenceCode: 'C' });
+    expect(l.list().map((r) => r.referenceCode)).toEqual(['C', 'B', 'A']);
+    expect(l.list({ state: 'served' }).map((r) => r.referenceCode)).toEqual(['C', 'B']);
+    expect(l.list({ flagged: true }).map((r) => r.referenceCode)).toEqual(['A']);
+    expect(l.list({ limit: 1 })).toHaveLength(1);
+  });
+
+  test('keeps at most maxReferences records', () => {
+    const l = new TransactionLedger({ persist: false, maxReferences: 2 });
+    for (const ref of ['A', 'B', 'C']) l.basketServed({ ...basket(), referenceCode: ref });
+    expect(l.get('A')).toBeUndefined();
+    expect(l.list()).toHaveLength(2);
+  });
+
+  test('evicts the least recently updated record', () => {
+    let t = 0;
+    const l = new TransactionLedger({ persist: false, maxReferences: 2, now: () => (t += 1000) });
+    for (const ref of ['A', 'B']) l.basketServed({ ...basket(), referenceCode: ref });
+    l.webhookEvent('payment-succeeded', { basketReferenceCode: 'A', transactionId: 'T1' });
+    l.basketServed({ ...basket(), referenceCode: 'C' });
+    expect(l.get('B')).toBeUndefined();
+    expect(l.get('A').state).toBe('paid');
+  });
+
+  test('changes in one tick are written once and reload in update order', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-')), 'transactions.json');
+    const l = new TransactionLedger({ file });
+    let saves = 0;
+    const save = l.fileStore.save.bind(l.fileStore);
+    l.fileStore.save = (data) => { saves += 1; save(data); };
+    for (const ref of ['A', 'B', 'C']) l.basketServed({ ...basket(), referenceCode: ref });
+    l.webhookEvent('payment-succeeded', { basketReferenceCode: 'A', transactionId: 'T1' });
+    expect(saves).toBe(0);
+    await Promise.resolve();
+    expect(saves).toBe(1);
+    const again = new TransactionLedger({ file, maxReferences: 2 });
+    again.basketServed({ ...basket(), referenceCode: 'D' });
+    expect([...again.records.keys()]).toEqual(['A', 'D']);
+  });
+});
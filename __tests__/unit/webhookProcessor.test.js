@@ -0,0 +1,170 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { buildBasket } from '../../src/basketBuilder.js';
+
+jest.mock('../../src/ropClient.js', () => ({
+  postPaymentStatus: jest.fn(),
+  getCheckDetail: jest.fn(),
+}));
+
+const REF = 'D1_100_22';
+
+function checkBasket() {
+  return buildBasket({
+    referenceCode: REF,
+    employeeRef: 'emp',
+    items: [{ referenceCode: 'KEBAP', name: 'Kebap', quantity: 2, lineGross: 100, vatRatio: 10 }],
+  });
+}
+
+function httpError(status) {
+  const e = new Error(`Request failed with status code ${status}`);
+  e.response = { status };
+  return e;
+}
+
+// Fresh modules on an empty data dir; ROP answers with `answer(payload)` and every call is recorded
+async function load(answer = async () => ({ ok: true })) {
+  const { postPaymentStatus } = await import('../../src/ropClient.js');
+  const calls = [];
+  postPaymentStatus.mockImplementation(async (payload) => {
+    calls.push(payload);
+    return answer(payload);
+  });
+  const mod = await import('../../src/webhookProcessor.js');
+  const { outbox } = await import('../../src/outbox.js');
+  const { checkSplits } = await import('../../src/checkSplits.js');
+  const { refMap } = await import('../../src/refMap.js');
+  const process = (type, body) => mod.processWebhookEvent({ type, body, rid: 'test' });
+  return { ...mod, process, outbox, checkSplits, refMap, calls, statuses: () => calls.map((c) => `${c.CheckId}:${c.Status}`) };
+}
+
+describe('processWebhookEvent', () => {
+  const OLD_ENV = { ...process.env };
+  let dir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    process.env = { ...OLD_ENV, ADAPTER_DATA_DIR: dir, ROUTE_ROP_AUTOSYNC: 'true', OUTBOX_RETRY_BASE_MS: '1', ODEAL_LOG_LEVEL: 'error' };
+  });
+
+  afterEach(() => {
+    process.env = OLD_ENV;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('a cancel waits behind the undelivered payment of its check', async () => {
+    let down = true;
+    const { process: run, outbox, statuses } = await load(async (p) => {
+      if (down && p.Status === 1) throw httpError(503);
+      return { ok: true };
+    });
+    await run('payment-succeeded', { basketReferenceCode: REF, transactionId: 'tx1', amount: 10 });
+    await run('payment-cancelled', { basketReferenceCode: REF, transactionId: 'tx1' });
+    expect(statuses()).toEqual(['22:1']);
+    expect(outbox.list('pending')).toHaveLength(2);
+    down = false;
+    await new Promise((r) => setTimeout(r, 5));
+    await outbox.drain();
+    expect(statuses()).toEqual(['22:1', '22:1', '22:0']);
+    expect(outbox.list()).toEqual([]);
+  });
+
+  test('other checks are not held up', async () => {
+    const { process: run, statuses } = await load(async (p) => {
+      if (p.CheckId === 22) throw httpError(503);
+      return { ok: true };
+    });
+    await run('payment-succeeded', { basketReferenceCode: REF, transactionId: 'tx1', amount: 10 });
+    await run('payment-succeeded', { basketReferenceCode: 'D1_100_23', transactionId: 'tx2', amount: 10 });
+    expect(statuses()).toEqual(['22:1', '23:1']);
+  });
+
+  test('split shares are bridged against a split that survived a restart', async () => {
+    const first = await load();
+    first.checkSplits.create(checkBasket(), { mode: 'equal', parts: 2 });
+    jest.resetModules();
+    const { process: run, statuses } = await load();
+    await run('payment-succeeded', { basketReferenceCode: `${REF}-S1`, transactionId: 'tx1', amount: 50 });
+    await run('payment-succeeded', { basketReferenceCode: `${REF}-S2`, transactionId: 'tx2', amount: 50 });
+    expect(statuses()).toEqual(['22:2', '22:1']);
+  });
+
+  test('a share of an unknown split is never bridged', async () => {
+    const { process: run, statuses } = await load();
+    await run('payment-succeeded', { basketReferenceCode: `${REF}-S1`, transactionId: 'tx1', amount: 50 });
+    await run('payment-cancelled', { basketReferenceCode: `${REF}-S1`, transactionId: 'tx1' });
+    expect(statuses()).toEqual([]);
+  });
+
+  test('a cancelled share payment is reversed on the check', async () => {
+    const { process: run, checkSplits, calls, statuses } = await load();
+    checkSplits.create(checkBasket(), { mode: 'equal', parts: 2 });
+    await run('payment-succeeded', { basketReferenceCode: `${REF}-S1`, transactionId: 'tx1', amount: 50 });
+    await run('payment-succeeded', { basketReferenceCode: `${REF}-S2`, transactionId: 'tx2', amount: 50 });
+    await run('payment-cancelled', { basketReferenceCode: `${REF}-S2`, transactionId: 'tx2' });
+    expect(statuses()).toEqual(['22:2', '22:1', '22:2']);
+    expect(calls[2].Payments).toEqual([expect.objectContaining({ Amount: -50, ReferenceCode: `${REF}-S2`, OriginalTransactionId: 'tx2' })]);
+    expect(checkSplits.get(REF).paidMinor).toBe(5000);
+    await run('payment-cancelled', { basketReferenceCode: `${REF}-S1`, transactionId: 'tx1' });
+    expect(statuses()[3]).toBe('22:0');
+    expect(checkSplits.get(REF).paidMinor).toBe(0);
+  });
+
+  test('a basket cancel after the payment releases nothing and is not posted', async () => {
+    process.env.ROP_BASKET_CANCEL_STATUS = '0';
+    const { process: run, refMap, statuses } = await load();
+    const UUID = '3f1c2a4e-8b7d-4c21-9e0f-5a6b7c8d9e0f';
+    refMap.set(UUID, 33, 60000, { deviceId: 'D1', restaurantId: 100 });
+    await run('payment-succeeded', { basketReferenceCode: UUID, transactionId: 'tx1', amount: 10 });
+    await run('basket-cancelled', { basketReferenceCode: UUID });
+    expect(statuses()).toEqual(['33:1']);
+    expect(refMap.effectiveReference(UUID)).toBe('D1_100_33');
+  });
+
+  test('a basket cancel before payment is posted and releases the reference', async () => {
+    process.env.ROP_BASKET_CANCEL_STATUS = '0';
+    const { process: run, refMap, statuses } = await load();
+    refMap.set('uuid-1', 34, 60000, { deviceId: 'D1', restaurantId: 100 });
+    await run('basket-cancelled', { basketReferenceCode: 'uuid-1' });
+    expect(statuses()).toEqual(['34:0']);
+    expect(refMap.effectiveReference('uuid-1')).toBeUndefined();
+  });
+
+  test('a retried event still bridges what its failed attempt recorded, once', async () => {
+    const { process: run, processWebhookEvent, outbox, checkSplits, statuses } = await load();
+    checkSplits.create(checkBasket(), { mode: 'equal', parts: 2 });
+    await run('payment-succeeded', { basketReferenceCode: 'D1_100_42', transactionId: 'c', amount: 10 });
+    const payback = { type: 'payback-succeeded', body: { basketReferenceCode: 'D1_100_42', transactionId: 'c', paybackId: 'p1', amount: 10 }, rid: 'test' };
+    const share = { type: 'payment-succeeded', body: { basketReferenceCode: `${REF}-S1`, transactionId: 'tx1', amount: 50 }, rid: 'test' };
+    for (const event of [payback, share]) {
+      jest.spyOn(outbox, 'enqueue').mockImplementationOnce(() => {
+        throw new Error('disk full');
+      });
+      await expect(processWebhookEvent(event)).rejects.toThrow('disk full');
+      await processWebhookEvent(event);
+      await processWebhookEvent(event);
+    }
+    expect(statuses()).toEqual(['42:1', '42:3', '22:2']);
+    expect(checkSplits.get(REF).paidMinor).toBe(5000);
+  });
+
+  test('invoices keep the status the check already has', async () => {
+    const { process: run, statuses } = await load();
+    const einvoice = (ref, ettn) => ({ basketReferenceCode: ref, ettn, invoiceNumber: 'GIB1' });
+    await run('payment-succeeded', { basketReferenceCode: 'D1_100_40', transactionId: 'a', amount: 10 });
+    await run('einvoice-created', einvoice('D1_100_40', 'e1'));
+    await run('einvoice-cancelled', einvoice('D1_100_40', 'e1'));
+    await run('payment-succeeded', { basketReferenceCode: 'D1_100_41', transactionId: 'b', amount: 10 });
+    await run('payment-cancelled', { basketReferenceCode: 'D1_100_41', transactionId: 'b' });
+    await run('einvoice-created', einvoice('D1_100_41', 'e2'));
+    await run('payment-succeeded', { basketReferenceCode: 'D1_100_42', transactionId: 'c', amount: 10 });
+    await run('payback-succeeded', { basketReferenceCode: 'D1_100_42', transactionId: 'c', paybackId: 'p1', amount: 10 });
+    await run('einvoice-cancelled', einvoice('D1_100_42', 'e3'));
+    await run('einvoice-created', einvoice('D1_100_43', 'e4'));
+    expect(statuses()).toEqual(['40:1', '40:1', '40:1', '41:1', '41:0', '41:0', '42:1', '42:3', '42:3']);
+  });
+});
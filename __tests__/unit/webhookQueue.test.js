@@ -0,0 +1,112 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { WebhookQueue, WebhookQueueError } from '../../src/webhookQueue.js';
+
+const tick = (ms) => new Promise((r) => setTimeout(r, ms));
+
+describe('WebhookQueue', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const make = (opts) => new WebhookQueue({ file: path.join(dir, 'events.json'), retryBaseMs: 1, ...opts });
+
+  test('events of one check run in arrival order even when an earlier one is slow', async () => {
+    const q = make();
+    const done = [];
+    q.setProcessor(async (e) => {
+      if (e.type === 'payment-succeeded') await tick(30);
+      done.push(`${e.key}:${e.type}`);
+    });
+    q.push({ type: 'payment-succeeded', key: 'A_1_1' });
+    q.push({ type: 'payment-succeeded', key: 'A_1_2' });
+    q.push({ type: 'payment-cancelled', key: 'A_1_1' });
+    await q.idle();
+    expect(done.indexOf('A_1_1:payment-succeeded')).toBeLessThan(done.indexOf('A_1_1:payment-cancelled'));
+    expect(q.list()).toEqual([]);
+  });
+
+  test('different checks do not wait for each other', async () => {
+    const q = make();
+    const done = [];
+    q.setProcessor(async (e) => {
+      if (e.key === 'slow') await tick(30);
+      done.push(e.key);
+    });
+    q.push({ type: 'payment-succeeded', key: 'slow' });
+    q.push({ type: 'payment-succeeded', key: 'fast' });
+    await q.idle();
+    expect(done).toEqual(['fast', 'slow']);
+  });
+
+  test('a failing event is kept as failed and does not block the next one', async () => {
+    const q = make();
+    const done = [];
+    q.setProcessor(async (e) => {
+      if (e.body.boom) throw new Error('boom');
+      done.push(e.type);
+    });
+    q.push({ type: 'payment-succeeded', key: 'A', body: { boom: true } });
+    q.push({ type: 'payment-cancelled', key: 'A', body: {} });
+    await q.idle();
+    expect(done).toEqual(['payment-cancelled']);
+    expect(q.list('failed')).toHaveLength(1);
+    expect(q.list('failed')[0]).toMatchObject({ type: 'payment-succeeded', lastError: 'boom' });
+    expect(q.stats()).toMatchObject({ pending: 0, failed: 1 });
+  });
+
+  test('pending events persist and resume in order after a restart', async () => {
+    const first = make();
+    first.setProcessor(() => new Promise(() => {})); // never finishes (process "crashes")
+    first.push({ type: 'payment-succeeded', key: 'A', body: { n: 1 } });
+    first.push({ type: 'payment-cancelled', key: 'A', body: { n: 2 } });
+
+    const second = make();
+    const done = [];
+    second.setProcessor(async (e) => { done.push(e.body.n); });
+    expect(second.resume()).toBe(2);
+    await second.idle();
+    expect(done).toEqual([1, 2]);
+    expect(make().list()).toEqual([]);
+  });
+
+  test('a failing event is retried before later events of its check run', async () => {
+    const q = make({ maxAttempts: 3 });
+    const done = [];
+    let failures = 2;
+    q.setProcessor(async (e) => {
+      if (e.type === 'payment-succeeded' && failures-- > 0) throw new Error('busy');
+      done.push(e.type);
+    });
+    q.push({ type: 'payment-succeeded', key: 'A', body: {} });
+    q.push({ type: 'payment-cancelled', key: 'A', body: {} });
+    await q.idle();
+    expect(done).toEqual(['payment-succeeded', 'payment-cancelled']);
+    expect(q.list()).toEqual([]);
+  });
+
+  test('a failed event can be replayed once the cause is fixed', async () => {
+    const q = make({ maxAttempts: 1 });
+    let broken = true;
+    q.setProcessor(async () => {
+      if (broken) throw new Error('boom');
+    });
+    const event = q.push({ type: 'payment-succeeded', key: 'A', body: {} });
+    await q.idle();
+    await expect(q.replay('nope')).rejects.toThrow('webhook_event_not_found');
+    expect((await q.replay(event.id)).status).toBe('failed');
+    broken = false;
+    expect(make().list('failed')[0]).toMatchObject({ id: event.id, attempts: 1, lastError: 'boom' });
+    await q.replay(event.id);
+    expect(q.list()).toEqual([]);
+    await expect(q.replay(event.id)).rejects.toThrow(WebhookQueueError);
+  });
+});
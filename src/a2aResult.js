@@ -0,0 +1,91 @@
+// App-to-App result (intentUrl): when a payment ends, the Ödeal app opens
+// <intentUrl>?referenceCode=...&status=...&transactionId=... on the device.
+// The parameters are recorded on the transaction ledger as an `a2a-result` event; the device
+// is then sent back into the POS app:
+//   A2A_RESULT_REDIRECT_URL          target for every outcome, e.g. mypos://odeal/result or https://pos.example.com/paid
+//   A2A_RESULT_FAILURE_REDIRECT_URL  optional target for failure | cancelled | unknown
+// Templates may use {status}, {referenceCode}, {transactionId}, {resultCode}, {message} (URL-encoded);
+// without placeholders status, referenceCode and transactionId are appended as query parameters.
+// The callback is not signed: it never changes the payment state, the webhooks stay authoritative.
+
+const SUCCESS = new Set(['SUCCESS', 'SUCCEEDED', 'SUCCESSFUL', 'APPROVED', 'PAID', 'COMPLETED', 'OK']);
+const CANCELLED = new Set(['CANCELLED', 'CANCELED', 'CANCEL', 'ABORTED', 'USER_CANCELLED', 'USER_CANCELED']);
+const FAILURE = new Set(['FAIL', 'FAILED', 'FAILURE', 'ERROR', 'DECLINED', 'REJECTED', 'DENIED']);
+
+function first(obj, keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (v != null && String(v).trim() !== '') return String(v).trim();
+  }
+  return undefined;
+}
+
+// success | failure | cancelled | unknown
+function outcomeOf(params) {
+  const word = first(params, ['status', 'result', 'paymentStatus', 'state']);
+  const key = word?.toUpperCase().replace(/[\s-]/g, '_');
+  if (key && SUCCESS.has(key)) return 'success';
+  if (key && CANCELLED.has(key)) return 'cancelled';
+  if (key && FAILURE.has(key)) return 'failure';
+  const flag = first(params, ['success', 'isSuccess'])?.toLowerCase();
+  if (flag === 'true' || flag === '1') return 'success';
+  if (flag === 'false' || flag === '0') return 'failure';
+  if (first(params, ['errorCode', 'errorMessage'])) return 'failure';
+  return 'unknown';
+}
+
+// Query string and/or form body of the callback → normalised result
+function parseA2aResult(params) {
+  const amount = first(params, ['amount', 'paidAmount', 'totalAmount']);
+  return {
+    referenceCode: first(params, ['referenceCode', 'basketReferenceCode', 'reference', 'ref']),
+    outcome: outcomeOf(params),
+    transactionId: first(params, ['transactionId', 'transactionID', 'txId']),
+    resultCode: first(params, ['resultCode', 'errorCode', 'code']),
+    message: first(params, ['message', 'resultMessage', 'errorMessage']),
+    amount: amount != null && Number.isFinite(Number(amount)) ? Number(amount) : undefined,
+    paymentType: first(params, ['paymentType', 'paymentMethod']),
+  };
+}
+
+// URL to send the device to, or undefined when none is configured
+function resultRedirect(result, env = process.env) {
+  const template = (result.outcome !== 'success' && env.A2A_RESULT_FAILURE_REDIRECT_URL) || env.A2A_RESULT_REDIRECT_URL;
+  if (!template) return undefined;
+  const values = {
+    status: result.outcome,
+    referenceCode: result.referenceCode,
+    transactionId: result.transactionId,
+    resultCode: result.resultCode,
+    message: result.message,
+  };
+  if (/\{\w+\}/.test(template)) {
+    return template.replace(/\{(\w+)\}/g, (m, k) => (k in values ? encodeURIComponent(values[k] ?? '') : m));
+  }
+  const query = Object.entries({ status: values.status, referenceCode: values.referenceCode, transactionId: values.transactionId })
+    .filter(([, v]) => v != null)
+    .map(([k, v]) => `${k}=${encodeURIComponent(v)}`)
+    .join('&');
+  return `${template}${template.includes('?') ? '&' : '?'}${query}`;
+}
+
+// http(s) targets get a plain redirect; an app scheme (deep link) is not followed by every browser
+// without a tap, so it gets a page that refreshes into the app and shows a link
+function isWebUrl(url) {
+  return /^https?:\/\//i.test(url);
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function deepLinkPage(url, result) {
+  const href = escapeHtml(url);
+  const title = result.outcome === 'success' ? 'Ödeme tamamlandı' : 'Ödeme tamamlanamadı';
+  return `<!doctype html>
+<html lang="tr"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="refresh" content="0;url=${href}"><title>${title}</title></head>
+<body><p>${title}</p><p><a href="${href}">Uygulamaya dön</a></p></body></html>`;
+}
+
+export { parseA2aResult, resultRedirect, isWebUrl, deepLinkPage };
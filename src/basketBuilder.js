@@ -11,10 +11,20 @@
 //     gsmNumber?,
 //     mailAddress? (nullable)
 //   }
-// - customerInfo (object)
-// - basketPrice { grossPrice }
+// - customerInfo (object), customer? (doc-shaped) – checked by customerValidator.js
+// - basketPrice { grossPrice } (sum of products to the kuruş; all math is done in integer minor units)
 // - products [ { referenceCode, name, quantity, unitCode, price { grossPrice, vatRatio, sctRatio } } ]
-// - paymentOptions [ { type: 'CREDITCARD', amount } ]
+//   (vatRatio must be a legal KDV rate and sctRatio a valid ÖTV ratio, see taxRules.js)
+// - paymentOptions [ { type, amount } ] (CREDITCARD, CASH or a meal card; amounts sum to basketPrice)
+//
+// Discounts and surcharges are never emitted as separate negative products: line-level
+// `discount`s reduce their own line, negative lines and basket-level `adjustments` are
+// spread proportionally over all lines (see spreadOverLines).
+
+import { isLegalVatRatio, isLegalSctRatio } from './taxRules.js';
+import { toMinor, fromMinor, allocate } from './money.js';
+import { resolvePaymentOptions, PaymentOptionsError } from './paymentOptions.js';
+import { validateCustomer, blockingErrors } from './customerValidator.js';
 
 const REQUIRE_EMP = String(process.env.ODEAL_REQUIRE_EMPLOYEE || 'true').toLowerCase() === 'true';
 
@@ -25,9 +35,11 @@ class BasketValidationError extends Error {
   }
 }
 
-function round2(n) {
-  return Math.round((Number(n) || 0) * 100) / 100;
-}
+// Rounding adjustment line used when unit prices can't reproduce a line/check total exactly
+const ROUNDING_REF = process.env.ODEAL_ROUNDING_REFERENCE_CODE || 'ROUNDING';
+const ROUNDING_NAME = process.env.ODEAL_ROUNDING_ITEM_NAME || 'Yuvarlama Farkı';
+// Largest check-total difference we absorb as rounding before refusing the basket
+const MAX_ROUNDING_MINOR = toMinor(process.env.ODEAL_MAX_ROUNDING_ADJUSTMENT || '1.00');
 
 // Normalize unit codes to Ödeal-accepted catalog codes.
 // Many TR fiscal systems use UN/CEFACT codes.
@@ -85,6 +97,8 @@ function validateBasketModel(b) {
     if (!p.name || !p.referenceCode) throw new BasketValidationError('product_fields_missing');
     if (!p.quantity || p.quantity <= 0) throw new BasketValidationError('product_quantity_invalid');
     if (!p.price || typeof p.price.grossPrice !== 'number') throw new BasketValidationError('product_price_invalid');
+    if (!isLegalVatRatio(p.price.vatRatio)) throw new BasketValidationError('product_vat_ratio_invalid');
+    if (!isLegalSctRatio(p.price.sctRatio)) throw new BasketValidationError('product_sct_ratio_invalid');
   }
   if (!b.basketPrice || typeof b.basketPrice.grossPrice !== 'number') {
     throw new BasketValidationError('basket_price_missing');
@@ -111,44 +125,192 @@ function validateBasketModel(b) {
   }
 }
 
-function buildBasket({ referenceCode, items, employeeRef, employeeInfo, paymentAmount, customerInfo, customer, receiptInfo, customInfo }) {
+// Normalize an input item into a line priced in minor units; undefined when unusable.
+// Items carry either `unitGross` (unit price) or `lineGross` (line total, e.g. ROP `Total`).
+// An optional `discount` (amount) is taken off the line total. Negative lines are returned
+// as-is; buildBasket turns them into basket-level discounts.
+function toLine(it) {
+  const quantity = Number(it.quantity || 0);
+  if (!it.name || !it.referenceCode || !(quantity > 0)) return undefined;
+  const hasLineGross = it.lineGross != null && it.lineGross !== '';
+  let unitMinor = hasLineGross ? undefined : toMinor(it.unitGross || 0);
+  let lineMinor = hasLineGross ? toMinor(it.lineGross) : Math.round(unitMinor * quantity);
+  const discountMinor = toMinor(it.discount || 0);
+  if (discountMinor < 0) throw new BasketValidationError('discount_invalid');
+  if (discountMinor > 0 && lineMinor >= 0) {
+    if (discountMinor > lineMinor) throw new BasketValidationError('discount_exceeds_line');
+    lineMinor -= discountMinor;
+    unitMinor = undefined;
+  }
+  return {
+    referenceCode: String(it.referenceCode),
+    name: String(it.name),
+    quantity,
+    unitCode: normalizeUnitCode(it.unitCode),
+    vatRatio: Number(it.vatRatio || 0),
+    sctRatio: Number(it.sctRatio || 0),
+    mealCardEligible: it.mealCardEligible !== false,
+    unitMinor,
+    lineMinor,
+  };
+}
+
+// Resolve a basket-level adjustment ({ type: 'discount'|'surcharge', amount | percent })
+// to a signed minor amount against the current basket total.
+function adjustmentMinor(adj, baseMinor) {
+  if (!adj || typeof adj !== 'object') throw new BasketValidationError('adjustment_invalid');
+  const type = String(adj.type || 'discount').toLowerCase();
+  if (type !== 'discount' && type !== 'surcharge') throw new BasketValidationError('adjustment_invalid');
+  const value = adj.percent != null && adj.percent !== ''
+    ? Math.round((baseMinor * Number(adj.percent)) / 100)
+    : toMinor(adj.amount);
+  if (!Number.isFinite(value) || value < 0) throw new BasketValidationError('adjustment_invalid');
+  return type === 'surcharge' ? value : -value;
+}
+
+// Spread a signed amount over lines proportionally to their totals.
+// Each line keeps its own KDV/ÖTV ratios, so the discounted gross prices stay tax-correct.
+function spreadOverLines(lines, signedMinor) {
+  if (!signedMinor) return;
+  const base = lines.reduce((s, l) => s + l.lineMinor, 0);
+  if (signedMinor < 0 && -signedMinor > base) throw new BasketValidationError('discount_exceeds_total');
+  const shares = allocate(signedMinor, lines.map((l) => l.lineMinor));
+  lines.forEach((l, i) => {
+    if (!shares[i]) return;
+    l.lineMinor += shares[i];
+    l.unitMinor = undefined;
+  });
+}
+
+function productRow(line, quantity, unitMinor) {
+  return {
+    referenceCode: line.referenceCode,
+    name: line.name,
+    quantity,
+    unitCode: line.unitCode,
+    price: { grossPrice: fromMinor(unitMinor), vatRatio: line.vatRatio, sctRatio: line.sctRatio },
+  };
+}
+
+// Turn a line into product rows whose quantity × unit price adds up to lineMinor exactly.
+// Integer quantities that don't divide evenly are split into two rows (unit and unit + 1 kuruş),
+// e.g. 3 × 10.00 TL → 2 × 3.33 + 1 × 3.34. Fractional quantities return the remainder as rounding.
+function priceLine(line) {
+  const { quantity, lineMinor } = line;
+  if (line.unitMinor != null && Math.round(line.unitMinor * quantity) === lineMinor) {
+    return { rows: [productRow(line, quantity, line.unitMinor)], roundingMinor: 0 };
+  }
+  const unit = Math.floor(lineMinor / quantity);
+  if (Number.isInteger(quantity)) {
+    const rest = lineMinor - unit * quantity;
+    if (rest === 0) return { rows: [productRow(line, quantity, unit)], roundingMinor: 0 };
+    return {
+      rows: [productRow(line, quantity - rest, unit), productRow(line, rest, unit + 1)],
+      roundingMinor: 0,
+    };
+  }
+  return { rows: [productRow(line, quantity, unit)], roundingMinor: lineMinor - Math.round(unit * quantity) };
+}
+
+function roundingRow(amountMinor, { vatRatio, sctRatio }) {
+  return {
+    referenceCode: ROUNDING_REF,
+    name: ROUNDING_NAME,
+    quantity: 1,
+    unitCode: 'C62',
+    price: { grossPrice: fromMinor(amountMinor), vatRatio, sctRatio },
+  };
+}
+
+function productsTotalMinor(products) {
+  return products.reduce((s, p) => s + Math.round(toMinor(p.price.grossPrice) * p.quantity), 0);
+}
+
+// Customers embedded in a basket pass the same validator as POST /app2app/customers, but only wrong
+// data rejects them: missing fields are the POS's to fill in (ODEAL_CUSTOMER_STRICT is for the API)
+function checkedCustomer(customer, field) {
+  if (!customer || typeof customer !== 'object' || !Object.keys(customer).length) return customer;
+  const { customer: normalized, errors } = validateCustomer(customer);
+  const blocking = blockingErrors(errors);
+  if (blocking.length) {
+    throw new BasketValidationError(`${field}_invalid: ${blocking.map((e) => `${e.field} ${e.code}`).join(', ')}`);
+  }
+  return normalized;
+}
+
+function buildBasket({ referenceCode, items, employeeRef, employeeInfo, paymentAmount, customerInfo, customer, receiptInfo, customInfo, expectedTotal, adjustments, paymentOptions }) {
   if (!referenceCode) throw new BasketValidationError('reference_code_missing');
+  const parsed = (items || []).map(toLine).filter(Boolean);
+  // Negative lines (discounts, comps without a parent) are spread over the whole basket
+  const lines = parsed.filter((l) => l.lineMinor >= 0);
+  if (lines.length === 0) throw new BasketValidationError('products_missing');
+  for (const neg of parsed.filter((l) => l.lineMinor < 0)) spreadOverLines(lines, neg.lineMinor);
+  for (const adj of adjustments || []) {
+    spreadOverLines(lines, adjustmentMinor(adj, lines.reduce((s, l) => s + l.lineMinor, 0)));
+  }
+
+  // Reconcile against the source (e.g. ROP check) total when one is known:
+  // a lower check total is an unlisted discount, a slightly higher one is rounding.
+  let reconcileMinor = 0;
+  if (expectedTotal != null && expectedTotal !== '') {
+    const diff = toMinor(expectedTotal) - lines.reduce((s, l) => s + l.lineMinor, 0);
+    if (diff < 0) spreadOverLines(lines, diff);
+    else if (diff > MAX_ROUNDING_MINOR) throw new BasketValidationError('basket_total_mismatch');
+    else reconcileMinor = diff;
+  }
+
   const products = [];
-  for (const it of items || []) {
-    const quantity = Number(it.quantity || 0);
-    const unitGross = Number(it.unitGross || 0);
-    const vatRatio = Number(it.vatRatio || 0);
-    const sctRatio = Number(it.sctRatio || 0);
-    if (!it.name || !it.referenceCode || !(quantity > 0) || !(unitGross >= 0)) continue;
-    products.push({
-      referenceCode: String(it.referenceCode),
-      name: String(it.name),
-      quantity,
-      unitCode: normalizeUnitCode(it.unitCode),
-      price: { grossPrice: round2(unitGross), vatRatio, sctRatio },
-    });
-  }
-  if (products.length === 0) throw new BasketValidationError('products_missing');
-  const total = round2(products.reduce((s, p) => s + p.price.grossPrice * p.quantity, 0));
-  const amount = paymentAmount != null ? round2(paymentAmount) : total;
+  // Rounding remainders are collected per tax pair so each lands on a tax-correct line
+  const rounding = new Map();
+  for (const line of lines) {
+    const { rows, roundingMinor } = priceLine(line);
+    products.push(...rows);
+    if (roundingMinor) {
+      const k = `${line.vatRatio}|${line.sctRatio}`;
+      const r = rounding.get(k) || { vatRatio: line.vatRatio, sctRatio: line.sctRatio, minor: 0 };
+      r.minor += roundingMinor;
+      rounding.set(k, r);
+    }
+  }
+  for (const r of rounding.values()) products.push(roundingRow(r.minor, r));
+
+  if (reconcileMinor > 0) {
+    const largest = lines.reduce((a, b) => (b.lineMinor > a.lineMinor ? b : a));
+    products.push(roundingRow(reconcileMinor, largest));
+  }
+  const totalMinor = productsTotalMinor(products);
+  const total = fromMinor(totalMinor);
+  // Legacy single-option amount still wins when given; otherwise resolve the (split) plan
+  let options;
+  if (paymentAmount != null) {
+    options = [{ type: 'CREDITCARD', amount: fromMinor(toMinor(paymentAmount)) }];
+  } else {
+    const eligibleMealCardMinor = lines.filter((l) => l.mealCardEligible).reduce((s, l) => s + l.lineMinor, 0);
+    try {
+      options = resolvePaymentOptions(paymentOptions, { totalMinor, eligibleMealCardMinor });
+    } catch (e) {
+      if (e instanceof PaymentOptionsError) throw new BasketValidationError(e.message);
+      throw e;
+    }
+  }
   const basket = {
     referenceCode,
     receiptInfo: receiptInfo || {},
     customInfo: customInfo ?? null,
     employeeInfo: normalizeEmployeeInfo(employeeRef, employeeInfo),
-    customerInfo: customerInfo || {},
+    customerInfo: checkedCustomer(customerInfo, 'customer_info') || {},
     // Include doc-shaped customer object if provided
-    ...(customer && Object.keys(customer).length ? { customer } : {}),
+    ...(customer && Object.keys(customer).length ? { customer: checkedCustomer(customer, 'customer') } : {}),
     basketPrice: { grossPrice: total },
     products,
-    paymentOptions: [{ type: 'CREDITCARD', amount }],
+    paymentOptions: options,
   };
   validateBasketModel(basket);
   return basket;
 }
 
-function buildMock({ referenceCode, total, employeeRef, employeeInfo, customerInfo, customer }) {
-  const t = round2(total != null ? total : 100);
+function buildMock({ referenceCode, total, employeeRef, employeeInfo, customerInfo, customer, paymentOptions }) {
+  const t = fromMinor(toMinor(total != null ? total : 100));
   return buildBasket({
     referenceCode,
     employeeRef,
@@ -156,8 +318,8 @@ function buildMock({ referenceCode, total, employeeRef, employeeInfo, customerIn
     customerInfo,
     customer,
     items: [{ referenceCode: 'ITEM-TEST', name: 'Test Product', quantity: 1, unitGross: t, vatRatio: 0, sctRatio: 0 }],
-    paymentAmount: t,
+    ...(paymentOptions ? { paymentOptions } : { paymentAmount: t }),
   });
 }
 
-export { buildBasket, buildMock, BasketValidationError };
+export { buildBasket, buildMock, validateBasketModel, BasketValidationError };
@@ -3,11 +3,56 @@
 import { log } from './logger.js';
 import { parseCompositeReference } from './referenceParser.js';
 import { buildBasket, buildMock, BasketValidationError } from './basketBuilder.js';
+import { resolveTaxRatios, lineCategory } from './taxRules.js';
+import { isMealCardEligible, ropPaymentPlan } from './paymentOptions.js';
+import { registerProvider, getProvider, selectProviderName, loadProviderModules } from './providerRegistry.js';
+import { staticProvider, httpProvider, storedProvider } from './providers.js';
+import { resolveCustomer } from './customers.js';
 
-const PROVIDER = (process.env.BASKET_PROVIDER || 'mock').toLowerCase();
 const DEFAULT_TOTAL = Number(process.env.BASKET_DEFAULT_TOTAL || '100.00');
 const EMP_REF = process.env.ODEAL_EMPLOYEE_REF || process.env.ODEAL_EMPLOYEE_CODE || '';
 
+// Why a basket could not be served. `status` is the HTTP status for the device,
+// `displayMessage` a short Turkish text the Ödeal device can show to the cashier.
+const RESOLUTION_ERRORS = {
+  reference_invalid: { status: 400, displayMessage: 'Geçersiz referans kodu' },
+  check_not_found: { status: 404, displayMessage: 'Adisyon bulunamadı' },
+  check_empty: { status: 422, displayMessage: 'Adisyonda ödenecek ürün yok' },
+  basket_invalid: { status: 422, displayMessage: 'Sepet oluşturulamadı' },
+  upstream_unavailable: { status: 503, displayMessage: 'Restoran sistemine ulaşılamıyor, lütfen tekrar deneyin' },
+  provider_unknown: { status: 500, displayMessage: 'Sepet sağlayıcısı yapılandırılmamış' },
+};
+
+class BasketResolutionError extends Error {
+  constructor(code, detail) {
+    super(detail ? `${code}: ${detail}` : code);
+    this.name = 'BasketResolutionError';
+    this.code = RESOLUTION_ERRORS[code] ? code : 'upstream_unavailable';
+    this.detail = detail;
+    this.status = RESOLUTION_ERRORS[this.code].status;
+    this.displayMessage = RESOLUTION_ERRORS[this.code].displayMessage;
+  }
+}
+
+// Serving a mock basket instead of failing is only allowed in explicitly non-production
+// profiles (NODE_ENV=development|test), and can be switched off there with BASKET_MOCK_FALLBACK=false.
+function mockFallbackAllowed() {
+  const env = String(process.env.NODE_ENV || '').toLowerCase();
+  if (env !== 'development' && env !== 'test') return false;
+  if (String(process.env.BASKET_STRICT_MODE || 'false').toLowerCase() === 'true') return false;
+  return String(process.env.BASKET_MOCK_FALLBACK || 'true').toLowerCase() !== 'false';
+}
+
+// Map provider/upstream failures to a BasketResolutionError
+function toResolutionError(e) {
+  if (e instanceof BasketResolutionError) return e;
+  if (e instanceof BasketValidationError) return new BasketResolutionError('basket_invalid', e.message);
+  const msg = String(e?.message || e);
+  const httpStatus = e?.response?.status;
+  if (msg.includes('basket_not_found') || httpStatus === 404) return new BasketResolutionError('check_not_found', msg);
+  return new BasketResolutionError('upstream_unavailable', httpStatus ? `HTTP ${httpStatus}` : (e?.code || msg));
+}
+
 function envEmployeeInfo() {
   const ref = process.env.ODEAL_EMPLOYEE_REF || process.env.ODEAL_EMPLOYEE_CODE || '';
   const name = process.env.ODEAL_EMPLOYEE_NAME || '';
@@ -25,53 +70,6 @@ function envEmployeeInfo() {
   return info;
 }
 
-// Build customerInfo from environment variables when provided.
-// Returns {} when no relevant env vars are set to preserve existing behavior in tests/dev.
-function envCustomerInfo() {
-  // Hardcoded per request to satisfy fiscal app requirements
-  // name: Cenk, surname: Üner, identityNumber (TCKN): 15808969220
-  return {
-    type: 'INDIVIDUAL',
-    name: 'Cenk',
-    surname: 'Üner',
-    identityNumber: '15808969220',
-    // City/town/address/email/gsm are required in some profiles
-    // See: API Reference → Veri Modelleri → Sepet Aktar (customer: city/town/address required)
-    // https://docs.odeal.com/reference/i%CC%87stek-limit-bilgisi
-    city: 'İstanbul',
-    town: 'Kadıköy',
-    address: 'Bahariye Cad. No:1 Kadıköy/İstanbul',
-    email: 'cenk.uner@example.com',
-    gsmNumber: '5551234567',
-  };
-}
-
-// Build Ödeal doc-shaped customer object for basket.customer
-// Fields taken from docs (Sepet Aktar → customer object & Müşteri Kaydet):
-// - referenceCode (required by docs when sent)
-// - type (e.g., "PERSON" | "COMPANY")
-// - title (company title or full name)
-// - name, surname (optional)
-// - taxOffice, taxNumber (VKN), identityNumber (TCKN)
-// - gsmNumber, email, city, town, address
-function envOdealCustomer() {
-  // Keep customer (doc-shaped) aligned as well for device UX
-  return {
-    referenceCode: 'CENK-UNER-REF',
-    type: 'PERSON',
-    title: 'Cenk Üner',
-    name: 'Cenk',
-    surname: 'Üner',
-    identityNumber: '15808969220',
-    // Required fields per "Sepet Aktar → customer" when customer is present
-    email: 'cenk.uner@example.com',
-    gsmNumber: '5551234567',
-    city: 'İstanbul',
-    town: 'Kadıköy',
-    address: 'Bahariye Cad. No:1 Kadıköy/İstanbul',
-  };
-}
-
 // Backward-compatible helper: extract legacy numeric checkId for logs only
 function parseLegacyNumericCheckId(referenceCode) {
   if (!referenceCode || typeof referenceCode !== 'string') return undefined;
@@ -79,15 +77,17 @@ function parseLegacyNumericCheckId(referenceCode) {
   return m ? Number(m[1]) : undefined;
 }
 
-function mockBasket(referenceCode, overrideTotal) {
+function mockBasket(referenceCode, overrideTotal, opts = {}) {
+  const { customerInfo, customer } = resolveCustomer({ referenceCode });
   try {
     return buildMock({
+      paymentOptions: opts.paymentOptions,
       referenceCode,
       total: overrideTotal != null ? Number(overrideTotal) : DEFAULT_TOTAL,
       employeeInfo: envEmployeeInfo(),
       employeeRef: EMP_REF || undefined,
-      customerInfo: envCustomerInfo(),
-      customer: envOdealCustomer(),
+      customerInfo,
+      customer,
     });
   } catch (e) {
     if (e instanceof BasketValidationError) {
@@ -100,8 +100,8 @@ function mockBasket(referenceCode, overrideTotal) {
       referenceCode,
       basketPrice: { grossPrice: DEFAULT_TOTAL },
       products: [{ referenceCode: 'ITEM-TEST', name: 'Test Product', quantity: 1, unitCode: (process.env.ODEAL_DEFAULT_UNIT_CODE || 'C62'), price: { grossPrice: DEFAULT_TOTAL, vatRatio: 0, sctRatio: 0 } }],
-      customerInfo: envCustomerInfo(),
-      customer: envOdealCustomer(),
+      customerInfo,
+      ...(customer ? { customer } : {}),
       employeeInfo: (Object.keys(envEmployeeInfo()).length)
         ? envEmployeeInfo()
         : (EMP_REF ? { employeeReferenceCode: EMP_REF } : {}),
@@ -112,46 +112,139 @@ function mockBasket(referenceCode, overrideTotal) {
   }
 }
 
-function ropLinesToBasket(referenceCode, rop) {
+const DISCOUNT_LINE_TYPES = new Set(['DISCOUNT', 'INDIRIM', 'İNDİRİM', 'COMP', 'IKRAM', 'İKRAM', 'PROMOTION']);
+
+function ropLineType(l) {
+  const t = l.Type ?? l.LineType ?? l.ItemType ?? '';
+  return String(t).trim().toLocaleUpperCase('tr-TR');
+}
+
+function ropLineId(l) {
+  const id = l.Id ?? l.LineId ?? l.DetailId;
+  return id != null ? String(id) : undefined;
+}
+
+function ropParentId(l) {
+  const id = l.ParentId ?? l.ParentLineId ?? l.RefLineId;
+  return id != null ? String(id) : undefined;
+}
+
+// Numeric amount from a field that may also be used as a flag by some ROP versions
+function amountField(...values) {
+  for (const v of values) {
+    if (typeof v === 'boolean' || v == null || v === '') continue;
+    const n = Number(v);
+    if (Number.isFinite(n) && n !== 0) return Math.abs(n);
+  }
+  return 0;
+}
+
+// Discount / comp lines: negative totals or explicitly flagged lines
+function isRopDiscountLine(l, gross) {
+  if (gross < 0) return true;
+  if (l.IsDiscount === true || l.IsComp === true || l.IsGift === true) return true;
+  return DISCOUNT_LINE_TYPES.has(ropLineType(l));
+}
+
+// Check-level discount / service charge fields become basket-level adjustments
+function ropCheckAdjustments(rop) {
+  const adjustments = [];
+  const discount = amountField(rop?.DiscountAmount, rop?.Discount, rop?.CheckDiscount);
+  const discountPercent = amountField(rop?.DiscountRate, rop?.DiscountPercent);
+  const service = amountField(rop?.ServiceChargeAmount, rop?.ServiceCharge, rop?.ServiceAmount);
+  const servicePercent = amountField(rop?.ServiceChargeRate, rop?.ServiceChargePercent);
+  if (discount) adjustments.push({ type: 'discount', amount: discount });
+  else if (discountPercent) adjustments.push({ type: 'discount', percent: discountPercent });
+  if (service) adjustments.push({ type: 'surcharge', amount: service });
+  else if (servicePercent) adjustments.push({ type: 'surcharge', percent: servicePercent });
+  return adjustments;
+}
+
+function ropLinesToBasket(referenceCode, rop, opts = {}) {
   const lines = rop?.Details || rop?.Lines || rop?.items || [];
+  const restaurantId = parseCompositeReference(referenceCode)?.restaurantId;
   const items = [];
+  const byLineId = new Map();
+  const discountLines = [];
   for (const l of lines) {
     const name = l.Name || l.name || l.ItemName || 'Item';
     const qty = Number(l.Quantity ?? l.qty ?? l.Qty ?? 1);
     const gross = Number(l.Total ?? l.Gross ?? l.Price ?? 0);
-    const unitGross = gross && qty ? gross / qty : Number(l.Price || 0);
+    if (isRopDiscountLine(l, gross)) {
+      discountLines.push({ line: l, name, amount: Math.abs(gross) });
+      continue;
+    }
     const sku = l.Code || l.Sku || l.ItemCode || name;
     const unitFromLine = l.Unit || l.unit || l.UnitCode || l.unitCode;
-    items.push({
+    const { vatRatio, sctRatio, rule } = resolveTaxRatios({ line: l, productCode: sku, restaurantId });
+    const item = {
       referenceCode: String(sku),
       name: String(name),
       quantity: qty,
       unitCode: unitFromLine || process.env.ODEAL_DEFAULT_UNIT_CODE || 'C62',
-      unitGross: Number(unitGross.toFixed(2)),
-      vatRatio: 0,
-      sctRatio: 0,
-    });
+      // Pass the line total through; buildBasket derives exact unit prices in kuruş
+      ...(gross && qty ? { lineGross: gross } : { unitGross: Number(l.Price || 0) }),
+      vatRatio,
+      sctRatio,
+      mealCardEligible: isMealCardEligible({ line: l, category: lineCategory(l), rule }),
+    };
+    // Line-level discount carried on the product line itself
+    const lineDiscount = amountField(l.DiscountAmount, l.Discount);
+    if (lineDiscount) item.discount = lineDiscount;
+    items.push(item);
+    const id = ropLineId(l);
+    if (id) byLineId.set(id, item);
+  }
+  // Discount lines pointing at a product line discount that line; the rest apply to the check
+  const adjustments = [];
+  for (const d of discountLines) {
+    const parent = byLineId.get(ropParentId(d.line));
+    // A comp flagged without an amount gives away the whole parent line
+    const amount = d.amount || (parent ? Number(parent.lineGross ?? (parent.unitGross || 0) * parent.quantity) : 0);
+    if (!amount) continue;
+    if (parent) parent.discount = (parent.discount || 0) + amount;
+    else adjustments.push({ type: 'discount', amount, name: d.name });
+  }
+  adjustments.push(...ropCheckAdjustments(rop));
+  if (!items.length) {
+    if (!mockFallbackAllowed()) throw new BasketResolutionError('check_empty');
+    log.warn('ROP check has no lines, fallback to mock', { referenceCode });
+    return mockBasket(referenceCode);
   }
-  if (!items.length) return mockBasket(referenceCode);
+  // Check-level total, when ROP sends one, is what the customer must be charged
+  const checkTotal = rop?.Total ?? rop?.TotalAmount ?? rop?.CheckTotal ?? rop?.GrandTotal;
+  // A POS-supplied plan overrides one carried on the check
+  const paymentOptions = opts.paymentOptions || ropPaymentPlan(rop);
+  const { customerInfo, customer, source } = resolveCustomer({ referenceCode, rop });
+  log.debug('ROP basket customer', { referenceCode, source });
   try {
-    return buildBasket({ referenceCode, items, employeeRef: EMP_REF || undefined, employeeInfo: envEmployeeInfo(), customerInfo: envCustomerInfo(), customer: envOdealCustomer() });
+    return buildBasket({ referenceCode, items, adjustments, paymentOptions, expectedTotal: checkTotal, employeeRef: EMP_REF || undefined, employeeInfo: envEmployeeInfo(), customerInfo, customer });
   } catch (e) {
     if (e instanceof BasketValidationError) {
       log.error('ROP basket validation failed', { error: e.message });
     } else {
       log.error('ROP basket build error', { error: String(e?.message || e) });
     }
+    if (!mockFallbackAllowed()) throw toResolutionError(e);
     return mockBasket(referenceCode);
   }
 }
 
-async function resolveBasket(referenceCode, opts = {}) {
-  const desiredTotal = typeof opts.desiredTotal === 'number' && !Number.isNaN(opts.desiredTotal)
-    ? opts.desiredTotal
-    : undefined;
-  if (PROVIDER !== 'rop') {
-    log.info('resolveBasket: using mock provider', { referenceCode, provider: PROVIDER, desiredTotal });
-    const b = mockBasket(referenceCode, desiredTotal);
+// Employee/customer info every provider builds its baskets with (customer: store, env or anonymous)
+function basketDefaults(referenceCode) {
+  const { customerInfo, customer } = resolveCustomer({ referenceCode });
+  return {
+    employeeRef: EMP_REF || undefined,
+    employeeInfo: envEmployeeInfo(),
+    customerInfo,
+    customer,
+  };
+}
+
+const mockProvider = {
+  name: 'mock',
+  async resolve(referenceCode, ctx = {}) {
+    const b = mockBasket(referenceCode, ctx.desiredTotal, { paymentOptions: ctx.paymentOptions });
     log.info('resolveBasket: mock basket built', {
       referenceCode: b.referenceCode,
       total: b.basketPrice?.grossPrice,
@@ -159,21 +252,31 @@ async function resolveBasket(referenceCode, opts = {}) {
       employeeInfoPresent: Boolean(envEmployeeInfo().employeeReferenceCode || Object.keys(envEmployeeInfo()).length),
     });
     return b;
-  }
-  const composite = parseCompositeReference(referenceCode);
-  if (!composite) {
-    const legacy = parseLegacyNumericCheckId(referenceCode);
-    log.info('resolveBasket: mock due to missing composite reference', { referenceCode, desiredTotal, legacyCheckId: legacy });
-    return mockBasket(referenceCode, desiredTotal);
-  }
-  try {
+  },
+};
+
+const ropProvider = {
+  name: 'rop',
+  async resolve(referenceCode, ctx = {}) {
+    const composite = parseCompositeReference(referenceCode);
+    if (!composite) {
+      const legacy = parseLegacyNumericCheckId(referenceCode);
+      log.info('resolveBasket: reference is not composite', { referenceCode, desiredTotal: ctx.desiredTotal, legacyCheckId: legacy });
+      throw new BasketResolutionError('reference_invalid', 'expected DeviceId_RestaurantId_CheckId');
+    }
     // Import ROP client only when in ROP mode
     const { getCheckDetail } = await import('./ropClient.js');
     const t0 = Date.now();
-    const rop = await getCheckDetail({ deviceId: composite.deviceId, restaurantId: composite.restaurantId, CheckId: composite.checkId });
+    let rop;
+    try {
+      rop = await getCheckDetail({ deviceId: composite.deviceId, restaurantId: composite.restaurantId, CheckId: composite.checkId });
+    } catch (e) {
+      throw toResolutionError(e);
+    }
     const dt = Date.now() - t0;
     log.info('resolveBasket: ROP check fetched', { checkId: composite.checkId, ms: dt, hasLines: Boolean(rop?.Details || rop?.Lines) });
-    const basket = ropLinesToBasket(referenceCode, rop);
+    if (!rop || typeof rop !== 'object') throw new BasketResolutionError('check_not_found', 'empty CheckDetail response');
+    const basket = ropLinesToBasket(referenceCode, rop, { paymentOptions: ctx.paymentOptions });
     log.info('resolveBasket: basket from ROP', {
       referenceCode: basket.referenceCode,
       total: basket.basketPrice?.grossPrice,
@@ -181,10 +284,41 @@ async function resolveBasket(referenceCode, opts = {}) {
       employeeInfoPresent: Boolean(envEmployeeInfo().employeeReferenceCode || Object.keys(envEmployeeInfo()).length),
     });
     return basket;
+  },
+};
+
+[mockProvider, ropProvider, staticProvider, httpProvider, storedProvider].forEach((p) => registerProvider(p));
+
+async function resolveBasket(referenceCode, opts = {}) {
+  const desiredTotal = typeof opts.desiredTotal === 'number' && !Number.isNaN(opts.desiredTotal)
+    ? opts.desiredTotal
+    : undefined;
+  await loadProviderModules();
+  const name = selectProviderName(referenceCode);
+  const provider = getProvider(name);
+  if (!provider) {
+    if (!mockFallbackAllowed()) throw new BasketResolutionError('provider_unknown', name);
+    log.error('resolveBasket: unknown provider, using mock', { referenceCode, provider: name });
+    return mockBasket(referenceCode, desiredTotal, { paymentOptions: opts.paymentOptions });
+  }
+  log.info('resolveBasket: using provider', { referenceCode, provider: name, desiredTotal });
+  const ctx = {
+    desiredTotal,
+    paymentOptions: opts.paymentOptions,
+    composite: parseCompositeReference(referenceCode) || undefined,
+    defaults: basketDefaults(referenceCode),
+  };
+  try {
+    return await provider.resolve(referenceCode, ctx);
   } catch (e) {
-    // Fallback to mock on errors
-    log.error('resolveBasket: error, fallback to mock', { referenceCode, error: String(e?.message || e) });
-    return mockBasket(referenceCode);
+    const err = toResolutionError(e);
+    if (!mockFallbackAllowed()) {
+      log.error('resolveBasket: provider error (strict)', { referenceCode, provider: name, code: err.code, error: String(e?.message || e) });
+      throw err;
+    }
+    // Non-production only: keep device flows going with a mock basket
+    log.error('resolveBasket: provider error, fallback to mock', { referenceCode, provider: name, code: err.code, error: String(e?.message || e) });
+    return mockBasket(referenceCode, err.code === 'reference_invalid' ? desiredTotal : undefined);
   }
 }
 
@@ -195,6 +329,9 @@ function extractCheckId(referenceCode) {
 
 export {
   resolveBasket,
+  basketDefaults,
+  BasketResolutionError,
+  mockFallbackAllowed,
   extractCheckId,
   mockBasket,
   ropLinesToBasket
@@ -0,0 +1,288 @@
+// Split-the-bill: pay one ROP check across several Ödeal transactions.
+// A split derives child references (<parent>-S1, -S2, ...) from the parent check basket,
+// either as N equal shares or as explicit item selections. Each child gets its own basket,
+// and the store tracks paid/remaining balance per check. A cancelled share payment opens the share again.
+//
+// Persists to ADAPTER_DATA_DIR/splits.json (SPLIT_STORE=memory keeps it in memory only), so share
+// payments arriving after a restart still count against their split. At most SPLIT_MAX_SPLITS
+// (default 10000) splits are kept, the least recently updated dropped first; a split with a share
+// paid but not yet settled stays.
+
+import { log } from './logger.js';
+import { JsonFileStore } from './jsonFileStore.js';
+import { buildBasket } from './basketBuilder.js';
+import { toMinor, fromMinor, allocate } from './money.js';
+import { makeSplitReference, parseSplitReference } from './referenceParser.js';
+
+const MAX_PARTS = Number(process.env.SPLIT_MAX_PARTS || 20);
+const MAX_SPLITS = Number(process.env.SPLIT_MAX_SPLITS || 10000);
+
+class SplitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SplitError';
+  }
+}
+
+function productTotalMinor(p) {
+  return Math.round(toMinor(p.price.grossPrice) * p.quantity);
+}
+
+// Group parent product rows by referenceCode (kuruş splitting may have produced several rows)
+function groupProducts(products) {
+  const groups = new Map();
+  for (const p of products || []) {
+    const g = groups.get(p.referenceCode) || {
+      referenceCode: p.referenceCode,
+      name: p.name,
+      unitCode: p.unitCode,
+      vatRatio: p.price.vatRatio,
+      sctRatio: p.price.sctRatio,
+      quantity: 0,
+      totalMinor: 0,
+    };
+    g.quantity += p.quantity;
+    g.totalMinor += productTotalMinor(p);
+    groups.set(p.referenceCode, g);
+  }
+  return groups;
+}
+
+function childBasket(parent, referenceCode, items, adjustments) {
+  return buildBasket({
+    referenceCode,
+    items,
+    adjustments,
+    employeeInfo: parent.employeeInfo,
+    customerInfo: parent.customerInfo,
+    customer: parent.customer,
+    receiptInfo: parent.receiptInfo,
+    customInfo: parent.customInfo,
+  });
+}
+
+// N equal shares: every child carries all products, discounted down to its share,
+// so each receipt keeps the check's tax mix.
+function equalChildren(parent, parts) {
+  const totalMinor = toMinor(parent.basketPrice.grossPrice);
+  const shares = allocate(totalMinor, new Array(parts).fill(1));
+  const items = [...groupProducts(parent.products).values()].map((g) => ({
+    referenceCode: g.referenceCode,
+    name: g.name,
+    quantity: g.quantity,
+    unitCode: g.unitCode,
+    lineGross: fromMinor(g.totalMinor),
+    vatRatio: g.vatRatio,
+    sctRatio: g.sctRatio,
+  }));
+  return shares.map((shareMinor, i) => {
+    const referenceCode = makeSplitReference(parent.referenceCode, i + 1);
+    const discount = fromMinor(totalMinor - shareMinor);
+    const basket = childBasket(parent, referenceCode, items, discount > 0 ? [{ type: 'discount', amount: discount }] : []);
+    return { referenceCode, index: i + 1, amountMinor: shareMinor, basket };
+  });
+}
+
+// Explicit selections: [[{ referenceCode, quantity }], ...], one list per child.
+// A line's total is shared pro rata by quantity; whoever takes the last units gets the remainder.
+// Units nobody selected go to one more child, so the children always add up to the check.
+function itemChildren(parent, selections) {
+  const groups = groupProducts(parent.products);
+  const left = new Map([...groups.values()].map((g) => [g.referenceCode, { quantity: g.quantity, minor: g.totalMinor }]));
+  const children = selections.map((selection, i) => {
+    if (!Array.isArray(selection) || selection.length === 0) throw new SplitError('split_selection_invalid');
+    const items = selection.map((sel) => {
+      const g = groups.get(String(sel?.referenceCode ?? ''));
+      const quantity = Number(sel?.quantity ?? 0);
+      if (!g || !(quantity > 0)) throw new SplitError('split_selection_invalid');
+      const rest = left.get(g.referenceCode);
+      if (quantity > rest.quantity + 1e-9) throw new SplitError('split_selection_exceeds_check');
+      const minor = Math.abs(quantity - rest.quantity) < 1e-9
+        ? rest.minor
+        : Math.round((g.totalMinor * quantity) / g.quantity);
+      rest.quantity -= quantity;
+      rest.minor -= minor;
+      return {
+        referenceCode: g.referenceCode,
+        name: g.name,
+        quantity,
+        unitCode: g.unitCode,
+        lineGross: fromMinor(minor),
+        vatRatio: g.vatRatio,
+        sctRatio: g.sctRatio,
+      };
+    });
+    return itemChild(parent, i + 1, items);
+  });
+  const rest = [...groups.values()]
+    .filter((g) => left.get(g.referenceCode).quantity > 1e-9)
+    .map((g) => ({
+      referenceCode: g.referenceCode,
+      name: g.name,
+      quantity: left.get(g.referenceCode).quantity,
+      unitCode: g.unitCode,
+      lineGross: fromMinor(left.get(g.referenceCode).minor),
+      vatRatio: g.vatRatio,
+      sctRatio: g.sctRatio,
+    }));
+  if (rest.length) {
+    if (children.length >= MAX_PARTS) throw new SplitError('split_parts_invalid');
+    children.push({ ...itemChild(parent, children.length + 1, rest), remainder: true });
+  }
+  return children;
+}
+
+function itemChild(parent, index, items) {
+  const referenceCode = makeSplitReference(parent.referenceCode, index);
+  const basket = childBasket(parent, referenceCode, items, []);
+  return { referenceCode, index, amountMinor: toMinor(basket.basketPrice.grossPrice), basket };
+}
+
+class CheckSplitStore {
+  constructor({ file = 'splits.json', persist = true, now = Date.now, maxSplits = MAX_SPLITS } = {}) {
+    this.fileStore = persist ? new JsonFileStore(file, { splits: [] }) : undefined;
+    this.now = now;
+    this.maxSplits = Math.max(1, maxSplits);
+    this.store = new Map(); // parentReference -> split state, least recently updated first
+    if (this.fileStore) {
+      const loaded = this.fileStore.load().splits || [];
+      loaded.sort((a, b) => String(a.updatedAt || a.createdAt).localeCompare(String(b.updatedAt || b.createdAt)));
+      for (const split of loaded) this.store.set(split.parentReference, split);
+    }
+  }
+
+  // Mark a split updated (re-inserted so the map stays in update order) and apply the cap
+  touch(split) {
+    split.updatedAt = new Date(this.now()).toISOString();
+    this.store.delete(split.parentReference);
+    this.store.set(split.parentReference, split);
+    for (const [key, s] of this.store) {
+      if (this.store.size <= this.maxSplits) break;
+      if (s === split || (s.paidMinor > 0 && s.paidMinor < s.totalMinor)) continue;
+      this.store.delete(key);
+    }
+  }
+
+  persist() {
+    if (!this.fileStore) return;
+    try {
+      this.fileStore.save({ splits: [...this.store.values()] });
+    } catch (e) {
+      log.error('Split store persist failed', { error: String(e?.message || e) });
+    }
+  }
+
+  // parentBasket: the full-check basket as served for the parent reference
+  create(parentBasket, { mode, parts, selections } = {}) {
+    if (!parentBasket?.referenceCode || !Array.isArray(parentBasket.products)) throw new SplitError('split_parent_invalid');
+    const parentReference = parentBasket.referenceCode;
+    const existing = this.store.get(parentReference);
+    if (existing && existing.paidMinor > 0) throw new SplitError('split_in_progress');
+    let children;
+    if (mode === 'equal') {
+      const n = Number(parts);
+      if (!Number.isInteger(n) || n < 2 || n > MAX_PARTS) throw new SplitError('split_parts_invalid');
+      children = equalChildren(parentBasket, n);
+    } else if (mode === 'items') {
+      if (!Array.isArray(selections) || selections.length === 0 || selections.length > MAX_PARTS) {
+        throw new SplitError('split_selection_invalid');
+      }
+      children = itemChildren(parentBasket, selections);
+    } else {
+      throw new SplitError('split_mode_invalid');
+    }
+    const split = {
+      parentReference,
+      mode,
+      totalMinor: toMinor(parentBasket.basketPrice.grossPrice),
+      paidMinor: 0,
+      createdAt: new Date(this.now()).toISOString(),
+      children: children.map((c) => ({ ...c, status: 'open', paidMinor: 0 })),
+    };
+    this.store.set(parentReference, split);
+    this.touch(split);
+    this.persist();
+    return split;
+  }
+
+  get(parentReference) {
+    return this.store.get(String(parentReference));
+  }
+
+  // Child entry for a <parent>-S<n> reference, with its split
+  findChild(referenceCode) {
+    const parsed = parseSplitReference(referenceCode);
+    if (!parsed) return undefined;
+    const split = this.store.get(parsed.parentReference);
+    const child = split?.children.find((c) => c.index === parsed.index);
+    return child ? { split, child } : undefined;
+  }
+
+  // Record a successful child payment. Repeated calls for a paid child are no-ops.
+  recordPayment(referenceCode, { transactionId, paidAt } = {}) {
+    const found = this.findChild(referenceCode);
+    if (!found) return undefined;
+    const { split, child } = found;
+    const alreadyPaid = child.status === 'paid';
+    if (!alreadyPaid) {
+      child.status = 'paid';
+      child.paidMinor = child.amountMinor;
+      child.transactionId = transactionId;
+      child.paidAt = paidAt || new Date(this.now()).toISOString();
+      split.paidMinor += child.amountMinor;
+      this.touch(split);
+      this.persist();
+    }
+    return { split, child, alreadyPaid, settled: split.paidMinor >= split.totalMinor };
+  }
+
+  // A share payment was cancelled: the share is open again and no longer counts as paid.
+  // voided is false when the share was not paid (or paid by another transaction).
+  voidPayment(referenceCode, { transactionId } = {}) {
+    const found = this.findChild(referenceCode);
+    if (!found) return undefined;
+    const { split, child } = found;
+    const voided = child.status === 'paid' && (!transactionId || !child.transactionId || child.transactionId === transactionId);
+    const voidedTransactionId = child.transactionId;
+    if (voided) {
+      split.paidMinor -= child.paidMinor;
+      Object.assign(child, { status: 'open', paidMinor: 0, transactionId: undefined, paidAt: undefined });
+      this.touch(split);
+      this.persist();
+    }
+    return { split, child, voided, voidedTransactionId };
+  }
+
+  delete(parentReference) {
+    const split = this.store.get(String(parentReference));
+    if (split && split.paidMinor > 0) throw new SplitError('split_in_progress');
+    const removed = this.store.delete(String(parentReference));
+    if (removed) this.persist();
+    return removed;
+  }
+}
+
+// Public view of a split (no baskets, amounts in major units)
+function summarizeSplit(split) {
+  return {
+    parentReference: split.parentReference,
+    mode: split.mode,
+    total: fromMinor(split.totalMinor),
+    paid: fromMinor(split.paidMinor),
+    remaining: fromMinor(Math.max(0, split.totalMinor - split.paidMinor)),
+    settled: split.paidMinor >= split.totalMinor,
+    createdAt: split.createdAt,
+    children: split.children.map((c) => ({
+      referenceCode: c.referenceCode,
+      remainder: c.remainder,
+      amount: fromMinor(c.amountMinor),
+      status: c.status,
+      transactionId: c.transactionId,
+      paidAt: c.paidAt,
+    })),
+  };
+}
+
+export const checkSplits = new CheckSplitStore({ persist: String(process.env.SPLIT_STORE || 'file').toLowerCase() !== 'memory' });
+
+export { CheckSplitStore, SplitError, summarizeSplit };
@@ -0,0 +1,128 @@
+// Per-key circuit breaker (one per ROP restaurant)
+// closed    – calls go through; consecutive upstream failures are counted
+// open      – calls fail fast with CircuitOpenError until ROP_BREAKER_RESET_MS has passed
+// half_open – one probe call is let through; success closes, failure opens again
+//
+// Only upstream failures count (network/timeout/5xx); a 4xx answer means ROP is up.
+
+import { log } from './logger.js';
+
+const FAILURE_THRESHOLD = Number(process.env.ROP_BREAKER_FAILURE_THRESHOLD || 5);
+const RESET_TIMEOUT_MS = Number(process.env.ROP_BREAKER_RESET_MS || 30 * 1000);
+
+class CircuitOpenError extends Error {
+  constructor(key, retryAt) {
+    super('circuit_open');
+    this.name = 'CircuitOpenError';
+    this.code = 'circuit_open';
+    this.key = key;
+    this.retryAt = retryAt;
+  }
+}
+
+class CircuitBreaker {
+  constructor(key, { failureThreshold = FAILURE_THRESHOLD, resetTimeoutMs = RESET_TIMEOUT_MS, now = Date.now } = {}) {
+    this.key = String(key);
+    this.failureThreshold = Math.max(1, failureThreshold);
+    this.resetTimeoutMs = Math.max(0, resetTimeoutMs);
+    this.now = now;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = undefined;
+    this.probing = false;
+    this.lastError = undefined;
+  }
+
+  // Throws CircuitOpenError when the call must not go out
+  acquire() {
+    if (this.state === 'open') {
+      if (this.now() - this.openedAt < this.resetTimeoutMs) {
+        throw new CircuitOpenError(this.key, new Date(this.openedAt + this.resetTimeoutMs).toISOString());
+      }
+      this.transition('half_open');
+    }
+    if (this.state === 'half_open') {
+      if (this.probing) throw new CircuitOpenError(this.key);
+      this.probing = true;
+    }
+  }
+
+  onSuccess() {
+    this.failures = 0;
+    this.probing = false;
+    if (this.state !== 'closed') this.transition('closed');
+  }
+
+  onFailure(error) {
+    this.lastError = String(error?.code || error?.message || error);
+    this.probing = false;
+    this.failures += 1;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+      if (this.state !== 'open') this.transition('open');
+    }
+  }
+
+  // Run fn through the breaker; isFailure decides which errors count against upstream health
+  async exec(fn, { isFailure = () => true } = {}) {
+    this.acquire();
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (e) {
+      if (isFailure(e)) this.onFailure(e);
+      else this.onSuccess();
+      throw e;
+    }
+  }
+
+  transition(state) {
+    const from = this.state;
+    this.state = state;
+    if (state === 'closed') this.openedAt = undefined;
+    const ctx = { key: this.key, from, to: state, failures: this.failures, lastError: this.lastError };
+    if (state === 'open') log.warn('Circuit breaker opened', ctx);
+    else log.info('Circuit breaker state', ctx);
+  }
+
+  snapshot() {
+    return {
+      key: this.key,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : undefined,
+      lastError: this.lastError,
+    };
+  }
+}
+
+class CircuitBreakerRegistry {
+  constructor(options = {}) {
+    this.options = options;
+    this.breakers = new Map(); // key -> CircuitBreaker
+  }
+
+  get(key) {
+    const k = String(key);
+    let breaker = this.breakers.get(k);
+    if (!breaker) {
+      breaker = new CircuitBreaker(k, this.options);
+      this.breakers.set(k, breaker);
+    }
+    return breaker;
+  }
+
+  snapshot() {
+    return [...this.breakers.values()].map((b) => b.snapshot());
+  }
+
+  anyOpen() {
+    return [...this.breakers.values()].some((b) => b.state === 'open');
+  }
+}
+
+// Breakers for ROP calls, keyed by RestaurantId
+export const ropBreakers = new CircuitBreakerRegistry();
+
+export { CircuitBreaker, CircuitBreakerRegistry, CircuitOpenError };
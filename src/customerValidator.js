@@ -0,0 +1,123 @@
+// Customer validation (POST /app2app/customers, customer store updates, customers embedded in baskets)
+// - PERSON: TCKN (identityNumber) with checksum
+// - COMPANY: VKN (taxNumber) with checksum and taxOffice
+// - gsmNumber normalised to 905XXXXXXXXX, email syntax, city and town present
+// Errors are field-level: [{ field, code }]. `*_required` codes are missing data, `*_invalid` codes
+// wrong data; only customers sent through the API are held to ODEAL_CUSTOMER_STRICT (server.js),
+// baskets reject wrong data only.
+
+const PERSON_TYPES = new Set(['PERSON', 'INDIVIDUAL', 'BIREYSEL', 'GERCEK', 'GERCEK_KISI', 'SAHIS']);
+const COMPANY_TYPES = new Set(['COMPANY', 'CORPORATE', 'KURUMSAL', 'TUZEL', 'TUZEL_KISI', 'SIRKET']);
+
+// GİB's identity number for an unidentified end consumer
+const ANONYMOUS_TCKN = '11111111111';
+
+function typeKey(type) {
+  return String(type || '').trim().toLocaleUpperCase('tr-TR')
+    .replace(/[\s-]/g, '_').replace(/Ç/g, 'C').replace(/Ğ/g, 'G').replace(/İ/g, 'I').replace(/Ö/g, 'O').replace(/Ş/g, 'S').replace(/Ü/g, 'U');
+}
+
+// PERSON | COMPANY; without a usable type a VKN-only customer is a company
+function normalizeCustomerType(type, { taxNumber, identityNumber } = {}) {
+  const k = typeKey(type);
+  if (PERSON_TYPES.has(k)) return 'PERSON';
+  if (COMPANY_TYPES.has(k)) return 'COMPANY';
+  return taxNumber && !identityNumber ? 'COMPANY' : 'PERSON';
+}
+
+// T.C. Kimlik No: 11 digits, no leading 0; digit 10 and 11 are checksums
+function isValidTckn(value) {
+  const s = String(value ?? '');
+  if (s === ANONYMOUS_TCKN) return true;
+  if (!/^[1-9]\d{10}$/.test(s)) return false;
+  const d = [...s].map(Number);
+  const odd = d[0] + d[2] + d[4] + d[6] + d[8];
+  const even = d[1] + d[3] + d[5] + d[7];
+  if ((((odd * 7 - even) % 10) + 10) % 10 !== d[9]) return false;
+  return d.slice(0, 10).reduce((a, b) => a + b, 0) % 10 === d[10];
+}
+
+// Vergi Kimlik No: 10 digits, last one is the checksum
+function isValidVkn(value) {
+  const s = String(value ?? '');
+  if (!/^\d{10}$/.test(s)) return false;
+  const d = [...s].map(Number);
+  let sum = 0;
+  for (let i = 0; i < 9; i += 1) {
+    const tmp = (d[i] + 9 - i) % 10;
+    let v = (tmp * 2 ** (9 - i)) % 9;
+    if (tmp !== 0 && v === 0) v = 9;
+    sum += v;
+  }
+  return (10 - (sum % 10)) % 10 === d[9];
+}
+
+// Mobile number as 905XXXXXXXXX; undefined when it is not a Turkish mobile number
+function normalizeGsm(value) {
+  let digits = String(value ?? '').replace(/\D/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) digits = `9${digits}`;
+  if (digits.length === 10) digits = `90${digits}`;
+  return /^905\d{9}$/.test(digits) ? digits : undefined;
+}
+
+function isValidEmail(value) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(String(value ?? ''));
+}
+
+function present(v) {
+  return v != null && String(v).trim() !== '';
+}
+
+// customer: doc-shaped customer or basket customerInfo.
+// Returns { customer, errors } with identity/tax numbers trimmed and the GSM number normalised.
+function validateCustomer(input) {
+  const errors = [];
+  const add = (field, code) => errors.push({ field, code });
+  const customer = { ...input };
+  for (const f of ['identityNumber', 'taxNumber']) {
+    if (present(customer[f])) customer[f] = String(customer[f]).replace(/\s/g, '');
+  }
+
+  if (present(input?.type) && !PERSON_TYPES.has(typeKey(input.type)) && !COMPANY_TYPES.has(typeKey(input.type))) {
+    add('type', 'type_invalid');
+  }
+  const type = normalizeCustomerType(input?.type, customer);
+  if (type === 'PERSON') {
+    if (!present(customer.identityNumber)) add('identityNumber', 'identity_number_required');
+    else if (!isValidTckn(customer.identityNumber)) add('identityNumber', 'identity_number_invalid');
+  } else {
+    if (!present(customer.taxNumber)) add('taxNumber', 'tax_number_required');
+    else if (!isValidVkn(customer.taxNumber)) add('taxNumber', 'tax_number_invalid');
+    if (!present(customer.taxOffice)) add('taxOffice', 'tax_office_required');
+  }
+  // A TCKN sent on a company (sole proprietor) must still be a real one
+  if (type === 'COMPANY' && present(customer.identityNumber) && !isValidTckn(customer.identityNumber)) {
+    add('identityNumber', 'identity_number_invalid');
+  }
+
+  if (present(customer.gsmNumber)) {
+    const gsm = normalizeGsm(customer.gsmNumber);
+    if (gsm) customer.gsmNumber = gsm;
+    else add('gsmNumber', 'gsm_number_invalid');
+  }
+  if (present(customer.email) && !isValidEmail(customer.email)) add('email', 'email_invalid');
+  if (!present(customer.city)) add('city', 'city_required');
+  if (!present(customer.town)) add('town', 'town_required');
+  return { customer, errors };
+}
+
+// Errors that reject the customer: all in strict mode, otherwise only wrong (not missing) data
+function blockingErrors(errors, { strict = false } = {}) {
+  return strict ? errors : errors.filter((e) => !e.code.endsWith('_required'));
+}
+
+export {
+  validateCustomer,
+  blockingErrors,
+  normalizeCustomerType,
+  normalizeGsm,
+  isValidTckn,
+  isValidVkn,
+  isValidEmail,
+};
@@ -0,0 +1,243 @@
+// Customer for a basket, resolved in this order:
+// 1) the customer attached to the ROP check (`Customer` | `CustomerInfo`), unless it has wrong data
+//    (invalid TCKN/VKN, GSM or e-mail): then the next source is used instead of failing the basket
+// 2) the adapter's customer store, by basket reference (customerPostUrl / POST /app2app/customers)
+// 3) the configured customer (ODEAL_CUSTOMER_*)
+// 4) anonymous end consumer: no customer on the basket
+//
+// One doc-shaped customer is resolved and both basket fields are derived from it:
+//   customer      { referenceCode, type: PERSON | COMPANY, title, name, surname, taxOffice, taxNumber, identityNumber, ... }
+//   customerInfo  { type: INDIVIDUAL | COMPANY, name, surname | title, identityNumber | taxNumber, taxOffice, ... }
+
+import { log } from './logger.js';
+import { JsonFileStore } from './jsonFileStore.js';
+import { normalizeCustomerType, validateCustomer, blockingErrors } from './customerValidator.js';
+
+const CONTACT_FIELDS = ['gsmNumber', 'email', 'city', 'town', 'address'];
+
+function clean(v) {
+  return v == null || String(v).trim() === '' ? undefined : String(v).trim();
+}
+
+function first(obj, keys) {
+  for (const k of keys) {
+    const v = clean(obj?.[k]);
+    if (v !== undefined) return v;
+  }
+  return undefined;
+}
+
+function dropUndefined(obj) {
+  for (const k of Object.keys(obj)) if (obj[k] === undefined) delete obj[k];
+  return obj;
+}
+
+// Normalize any doc-shaped customer; undefined when it does not identify anyone
+function toOdealCustomer(raw, { referenceCode } = {}) {
+  if (!raw || typeof raw !== 'object') return undefined;
+  const name = first(raw, ['name']);
+  const surname = first(raw, ['surname']);
+  const taxNumber = first(raw, ['taxNumber']);
+  const identityNumber = first(raw, ['identityNumber']);
+  const title = first(raw, ['title']) || [name, surname].filter(Boolean).join(' ') || undefined;
+  if (!title && !taxNumber && !identityNumber) return undefined;
+  const customer = {
+    referenceCode: first(raw, ['referenceCode']) || referenceCode,
+    type: normalizeCustomerType(raw.type, { taxNumber, identityNumber }),
+    title,
+    name,
+    surname,
+    taxOffice: first(raw, ['taxOffice']),
+    taxNumber,
+    identityNumber,
+  };
+  for (const f of CONTACT_FIELDS) customer[f] = first(raw, [f]);
+  return dropUndefined(customer);
+}
+
+// basket.customerInfo from the resolved customer
+function toCustomerInfo(customer) {
+  if (!customer) return {};
+  const company = customer.type === 'COMPANY';
+  const info = company
+    ? { type: 'COMPANY', title: customer.title, taxOffice: customer.taxOffice, taxNumber: customer.taxNumber }
+    : { type: 'INDIVIDUAL', name: customer.name, surname: customer.surname, identityNumber: customer.identityNumber };
+  if (!company && !info.name) info.name = customer.title;
+  for (const f of CONTACT_FIELDS) info[f] = customer[f];
+  return dropUndefined(info);
+}
+
+// ROP check customer (field names vary between ROP versions)
+function ropCheckCustomer(rop) {
+  const c = rop?.Customer ?? rop?.CustomerInfo;
+  if (!c || typeof c !== 'object') return undefined;
+  return toOdealCustomer({
+    referenceCode: first(c, ['Code', 'CustomerCode', 'Id', 'CustomerId']),
+    type: first(c, ['Type', 'CustomerType']),
+    title: first(c, ['Title', 'CompanyName', 'FullName']),
+    name: first(c, ['Name', 'FirstName']),
+    surname: first(c, ['Surname', 'LastName']),
+    taxOffice: first(c, ['TaxOffice']),
+    taxNumber: first(c, ['TaxNumber', 'Vkn', 'VKN']),
+    identityNumber: first(c, ['IdentityNumber', 'Tckn', 'TCKN']),
+    gsmNumber: first(c, ['GsmNumber', 'Gsm', 'Phone', 'PhoneNumber']),
+    email: first(c, ['Email', 'EMail', 'Mail']),
+    city: first(c, ['City']),
+    town: first(c, ['Town', 'District']),
+    address: first(c, ['Address']),
+  });
+}
+
+function envCustomer() {
+  const e = process.env;
+  return toOdealCustomer({
+    referenceCode: e.ODEAL_CUSTOMER_REFERENCE_CODE,
+    type: e.ODEAL_CUSTOMER_TYPE,
+    title: e.ODEAL_CUSTOMER_TITLE,
+    name: e.ODEAL_CUSTOMER_NAME,
+    surname: e.ODEAL_CUSTOMER_SURNAME,
+    taxOffice: e.ODEAL_CUSTOMER_TAX_OFFICE,
+    taxNumber: e.ODEAL_CUSTOMER_TAX_NUMBER,
+    identityNumber: e.ODEAL_CUSTOMER_IDENTITY_NUMBER,
+    gsmNumber: e.ODEAL_CUSTOMER_GSM_NUMBER,
+    email: e.ODEAL_CUSTOMER_EMAIL,
+    city: e.ODEAL_CUSTOMER_CITY,
+    town: e.ODEAL_CUSTOMER_TOWN,
+    address: e.ODEAL_CUSTOMER_ADDRESS,
+  });
+}
+
+// Doc-shaped customers posted by the device (customerPostUrl) or the POS, keyed by referenceCode.
+// A posted customer can be linked to a basket reference (basketReferenceCode), so later baskets for
+// that reference carry it.
+// Backend: anything with load()/save(data), optionally stamp() (a token that changes on every write);
+// ADAPTER_DATA_DIR/customers.json by default, CUSTOMER_STORE=memory keeps customers in memory only.
+// The backend is shared with other instances: reads reload it when its stamp moved (every read
+// without stamp()), and writes reload before saving, so one instance does not undo another's changes.
+class CustomerStore {
+  constructor({ backend, now = Date.now } = {}) {
+    this.backend = backend;
+    this.now = now;
+    this.store = new Map(); // customer referenceCode -> customer
+    this.links = new Map(); // basket referenceCode -> customer referenceCode
+    this.loadedStamp = undefined;
+    this.refresh();
+  }
+
+  // Reload from the backend when another writer changed it
+  refresh() {
+    if (!this.backend) return;
+    const stamp = this.backend.stamp?.();
+    if (stamp !== undefined && stamp === this.loadedStamp) return;
+    const data = this.backend.load();
+    this.store = new Map((data.customers || []).map((c) => [c.referenceCode, c]));
+    this.links = new Map(data.links || []);
+    this.loadedStamp = stamp;
+  }
+
+  persist() {
+    if (!this.backend) return;
+    try {
+      this.backend.save({ customers: [...this.store.values()], links: [...this.links.entries()] });
+      this.loadedStamp = this.backend.stamp?.();
+    } catch (e) {
+      log.error('Customer store persist failed', { error: String(e?.message || e) });
+    }
+  }
+
+  // Create or replace; keeps createdAt of an existing record
+  set(referenceCode, customer, { basketReferenceCode } = {}) {
+    this.refresh();
+    const key = String(referenceCode);
+    const ts = new Date(this.now()).toISOString();
+    const record = { ...dropUndefined({ ...customer }), referenceCode: key, createdAt: this.store.get(key)?.createdAt || ts, updatedAt: ts };
+    this.store.set(key, record);
+    if (basketReferenceCode && String(basketReferenceCode) !== key) this.links.set(String(basketReferenceCode), key);
+    this.persist();
+    return record;
+  }
+
+  get(referenceCode) {
+    this.refresh();
+    return this.store.get(String(referenceCode));
+  }
+
+  // Customer for a basket: linked customer, or one stored under the basket reference itself
+  forBasket(basketReferenceCode) {
+    this.refresh();
+    const key = String(basketReferenceCode);
+    const linked = this.links.get(key);
+    return (linked && this.store.get(linked)) || this.store.get(key);
+  }
+
+  // Existing record with fields merged in (null removes a field), not saved; undefined when unknown
+  patched(referenceCode, patch) {
+    const current = this.get(referenceCode);
+    if (!current) return undefined;
+    const next = { ...current };
+    for (const [k, v] of Object.entries(patch || {})) {
+      if (k === 'referenceCode' || k === 'createdAt' || k === 'updatedAt') continue;
+      if (v === null) delete next[k];
+      else if (v !== undefined) next[k] = v;
+    }
+    return next;
+  }
+
+  delete(referenceCode) {
+    this.refresh();
+    const key = String(referenceCode);
+    const removed = this.store.delete(key);
+    for (const [basketRef, customerRef] of this.links) if (customerRef === key) this.links.delete(basketRef);
+    if (removed) this.persist();
+    return removed;
+  }
+
+  // Filters: q (any of the fields below, case-insensitive substring), title, taxNumber,
+  // identityNumber, gsmNumber (digits only compared); newest first
+  list({ q, title, taxNumber, identityNumber, gsmNumber, limit = 100 } = {}) {
+    const lower = (v) => String(v ?? '').toLocaleLowerCase('tr-TR');
+    const digits = (v) => String(v ?? '').replace(/\D/g, '');
+    const has = (value, needle) => lower(value).includes(lower(needle));
+    const hasDigits = (value, needle) => Boolean(digits(needle)) && digits(value).includes(digits(needle));
+    this.refresh();
+    return [...this.store.values()]
+      .filter((c) => !title || has(c.title, title))
+      .filter((c) => !taxNumber || digits(c.taxNumber) === digits(taxNumber))
+      .filter((c) => !identityNumber || digits(c.identityNumber) === digits(identityNumber))
+      .filter((c) => !gsmNumber || hasDigits(c.gsmNumber, gsmNumber))
+      .filter((c) => !q || has(c.title, q) || has(c.referenceCode, q) || hasDigits(c.taxNumber, q) || hasDigits(c.identityNumber, q) || hasDigits(c.gsmNumber, q))
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+      .slice(0, Math.max(1, limit));
+  }
+}
+
+export const customerStore = new CustomerStore({
+  backend: String(process.env.CUSTOMER_STORE || 'file').toLowerCase() === 'memory' ? undefined : new JsonFileStore('customers.json', { customers: [], links: [] }),
+});
+
+// ROP check customer, undefined when its data is wrong (the POS side is not ours to fix)
+function validRopCustomer(rop, referenceCode) {
+  const raw = ropCheckCustomer(rop);
+  if (!raw) return undefined;
+  const { customer, errors } = validateCustomer(raw);
+  const blocking = blockingErrors(errors);
+  if (!blocking.length) return customer;
+  log.warn('ROP check customer ignored', { referenceCode, errors: blocking.map((e) => e.code) });
+  return undefined;
+}
+
+// Returns { source: rop | store | env | anonymous, customer, customerInfo }
+function resolveCustomer({ referenceCode, rop } = {}) {
+  const candidates = [
+    ['rop', () => validRopCustomer(rop, referenceCode)],
+    ['store', () => (referenceCode ? toOdealCustomer(customerStore.forBasket(referenceCode), { referenceCode }) : undefined)],
+    ['env', () => envCustomer()],
+  ];
+  for (const [source, find] of candidates) {
+    const customer = find();
+    if (customer) return { source, customer, customerInfo: toCustomerInfo(customer) };
+  }
+  return { source: 'anonymous', customer: undefined, customerInfo: {} };
+}
+
+export { CustomerStore, resolveCustomer, toOdealCustomer, toCustomerInfo, normalizeCustomerType, ropCheckCustomer, envCustomer };
@@ -1,11 +1,21 @@
-const seen = new Map(); // key -> expiresAt
-// Expose for test introspection
-// eslint-disable-next-line no-undef
-if (typeof global !== 'undefined') {
-  // Provide a stable reference for tests
-  // Note: not part of public API
-  global.seen = seen;
-}
+// Webhook idempotency keys with a TTL (IDEMPOTENCY_TTL_MS, default 10 min)
+// Backend (IDEMPOTENCY_STORE):
+// - file (default): in memory, persisted to ADAPTER_DATA_DIR/idempotency.json so restarts keep it
+// - memory: this process only
+// - redis: shared by all instances (IDEMPOTENCY_REDIS_URL | REDIS_URL); Redis expires the keys
+// memory/file keep at most IDEMPOTENCY_MAX_KEYS keys (oldest dropped first).
+// Each key holds { state: pending|done, hash, response }:
+// - claim() reserves a key (pending for IDEMPOTENCY_LOCK_MS, default 30 s) or reports it as a duplicate
+//   (with the stored response), a conflict (same key, other payload hash) or still in flight after
+//   waiting IDEMPOTENCY_WAIT_MS (default 5 s) for the first request
+// - complete() stores the response for IDEMPOTENCY_TTL_MS, release() drops a failed reservation
+// A backend implements has/set/get/reserve/delete; any of them may return a promise.
+
+import crypto from 'node:crypto';
+import { log } from './logger.js';
+import { JsonFileStore } from './jsonFileStore.js';
+import { RedisClient } from './redisClient.js';
+
 function getTTL() {
   const v = Number(process.env.IDEMPOTENCY_TTL_MS);
   return Number.isFinite(v) && v > 0 ? v : 10 * 60 * 1000; // 10 minutes default
@@ -16,36 +26,277 @@ function getMaxKeys() {
   return Number.isFinite(v) && v > 0 ? v : 10000;
 }
 
+function getLockMs() {
+  const v = Number(process.env.IDEMPOTENCY_LOCK_MS);
+  return Number.isFinite(v) && v > 0 ? v : 30 * 1000;
+}
+
+function getWaitMs() {
+  const v = Number(process.env.IDEMPOTENCY_WAIT_MS);
+  return Number.isFinite(v) && v >= 0 ? v : 5 * 1000;
+}
+
+const POLL_MS = 50;
+const DONE = { state: 'done' }; // keys remembered without a record
+
+class MemoryIdempotencyBackend {
+  constructor() {
+    this.seen = new Map(); // key -> expiresAt
+    this.records = new Map(); // key -> { state, hash, response }
+  }
+
+  has(key, now) {
+    const exp = this.seen.get(key);
+    if (exp && exp > now) return true;
+    if (exp && exp <= now) this.delete(key);
+    return false;
+  }
+
+  get(key, now) {
+    return this.has(key, now) ? (this.records.get(key) || DONE) : undefined;
+  }
+
+  set(key, expiresAt, record) {
+    // Re-insert so the Map's order stays oldest-first
+    this.seen.delete(key);
+    this.seen.set(key, expiresAt);
+    if (record) this.records.set(key, record);
+    else this.records.delete(key);
+    if (this.seen.size > getMaxKeys()) {
+      // naive eviction: remove oldest entries
+      const toRemove = this.seen.size - getMaxKeys();
+      let i = 0;
+      for (const k of this.seen.keys()) {
+        this.seen.delete(k);
+        this.records.delete(k);
+        if (++i >= toRemove) break;
+      }
+    }
+  }
+
+  // Existing record, or undefined once the key is reserved with `record`
+  reserve(key, record, expiresAt, now) {
+    const existing = this.get(key, now);
+    if (existing) return existing;
+    this.set(key, expiresAt, record);
+    return undefined;
+  }
+
+  delete(key) {
+    this.seen.delete(key);
+    this.records.delete(key);
+  }
+}
+
+class FileIdempotencyBackend extends MemoryIdempotencyBackend {
+  constructor(file = 'idempotency.json') {
+    super();
+    this.fileStore = new JsonFileStore(file, { keys: [] });
+    const now = Date.now();
+    for (const [key, exp, record] of this.fileStore.load().keys || []) {
+      if (exp > now) super.set(key, exp, record);
+    }
+  }
+
+  set(key, expiresAt, record) {
+    super.set(key, expiresAt, record);
+    this.scheduleFlush();
+  }
+
+  delete(key) {
+    super.delete(key);
+    this.scheduleFlush();
+  }
+
+  // Keys changed in one tick are written together
+  scheduleFlush() {
+    if (this.flushing) return;
+    this.flushing = true;
+    queueMicrotask(() => this.flush());
+  }
+
+  flush() {
+    this.flushing = false;
+    const now = Date.now();
+    const keys = [];
+    for (const [key, exp] of this.seen) {
+      const record = this.records.get(key);
+      // A reservation dies with the process that held it
+      if (exp > now && record?.state !== 'pending') keys.push(record ? [key, exp, record] : [key, exp]);
+    }
+    try {
+      this.fileStore.save({ keys });
+    } catch (e) {
+      log.error('Idempotency persist failed', { error: String(e?.message || e) });
+    }
+  }
+}
+
+class RedisIdempotencyBackend {
+  constructor({ client, url, prefix = 'odeal-adapter:idem:' } = {}) {
+    this.client = client || new RedisClient(url, { timeoutMs: Number(process.env.REDIS_TIMEOUT_MS || 2000) });
+    this.prefix = prefix;
+  }
+
+  async has(key) {
+    return (await this.client.command('EXISTS', this.prefix + key)) === 1;
+  }
+
+  async get(key) {
+    const raw = await this.client.command('GET', this.prefix + key);
+    if (raw == null) return undefined;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return DONE;
+    }
+  }
+
+  async set(key, expiresAt, record = DONE) {
+    await this.client.command('SET', this.prefix + key, JSON.stringify(record), 'PX', ttlMs(expiresAt));
+  }
+
+  async reserve(key, record, expiresAt) {
+    const ok = await this.client.command('SET', this.prefix + key, JSON.stringify(record), 'PX', ttlMs(expiresAt), 'NX');
+    if (ok === 'OK') return undefined;
+    // Taken; if it expired in between, try again
+    return (await this.get(key)) || this.reserve(key, record, expiresAt);
+  }
+
+  async delete(key) {
+    await this.client.command('DEL', this.prefix + key);
+  }
+}
+
+function ttlMs(expiresAt) {
+  return Math.max(1, Math.round(expiresAt - Date.now()));
+}
+
+function createBackend(kind = String(process.env.IDEMPOTENCY_STORE || 'file').toLowerCase()) {
+  if (kind === 'memory') return new MemoryIdempotencyBackend();
+  if (kind === 'redis') {
+    return new RedisIdempotencyBackend({
+      url: process.env.IDEMPOTENCY_REDIS_URL || process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+      prefix: process.env.IDEMPOTENCY_REDIS_PREFIX || undefined,
+    });
+  }
+  if (kind !== 'file') log.warn('Unknown IDEMPOTENCY_STORE; using file', { kind });
+  return new FileIdempotencyBackend();
+}
+
+let backend = createBackend();
+
+function exposeSeen() {
+  // Expose for test introspection
+  // eslint-disable-next-line no-undef
+  if (typeof global !== 'undefined' && backend.seen) {
+    // Provide a stable reference for tests
+    // Note: not part of public API
+    global.seen = backend.seen;
+  }
+}
+exposeSeen();
+
+// Swap the backend (custom implementations, tests)
+function setIdempotencyBackend(next) {
+  backend = next;
+  exposeSeen();
+}
+
+// Canonical JSON (object keys sorted) so the same payload hashes the same whatever its key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function payloadHash(payload) {
+  return crypto.createHash('sha256').update(canonicalJson(payload ?? {})).digest('hex');
+}
+
 function makeEventKey(type, payload) {
   const ref = payload?.basketReferenceCode || payload?.referenceCode || 'n/a';
-  const tx = payload?.transactionId || payload?.createdAt || 'n/a';
-  return `${type}:${ref}:${tx}`;
+  // Without a transaction id or timestamp, distinct events would share one key; the payload tells them apart
+  const hasBody = payload && typeof payload === 'object' && Object.keys(payload).length > 0;
+  const tx = payload?.transactionId || payload?.createdAt || (hasBody ? `#${payloadHash(payload).slice(0, 16)}` : 'n/a');
+  // Several partial paybacks (or re-issued invoices) share the sale's transactionId; tell them apart by their own id
+  const own = payload?.paybackId || payload?.paybackTransactionId || payload?.refundTransactionId
+    || payload?.ettn || payload?.invoice?.ettn || payload?.einvoice?.ettn;
+  return own ? `${type}:${ref}:${tx}:${own}` : `${type}:${ref}:${tx}`;
 }
 
+// boolean, or a promise of one for async backends
 function isDuplicate(key) {
-  const now = Date.now();
-  const exp = seen.get(key);
-  if (exp && exp > now) return true;
-  if (exp && exp <= now) seen.delete(key);
-  return false;
+  return backend.has(key, Date.now());
 }
 
 function remember(key) {
-  const now = Date.now();
-  seen.set(key, now + getTTL());
-  if (seen.size > getMaxKeys()) {
-    // naive eviction: remove oldest entries
-    const toRemove = seen.size - getMaxKeys();
-    let i = 0;
-    for (const k of seen.keys()) {
-      seen.delete(k);
-      if (++i >= toRemove) break;
+  return backend.set(key, Date.now() + getTTL());
+}
+
+// Reservations held by this process; waiters wake up when they settle instead of polling
+const inflight = new Map(); // key -> { promise, resolve }
+
+function settle(key) {
+  inflight.get(key)?.resolve();
+  inflight.delete(key);
+}
+
+// { status: 'new' } (caller owns the key until complete/release) | { status: 'duplicate', response }
+// | { status: 'conflict' } | { status: 'in_flight' }
+async function claim(key, hash, { waitMs = getWaitMs() } = {}) {
+  const deadline = Date.now() + waitMs;
+  for (;;) {
+    const now = Date.now();
+    const existing = await backend.reserve(key, { state: 'pending', hash }, now + getLockMs(), now);
+    if (!existing) {
+      let resolve;
+      const promise = new Promise((r) => { resolve = r; });
+      inflight.set(key, { promise, resolve });
+      return { status: 'new' };
     }
+    if (existing.hash && hash && existing.hash !== hash) return { status: 'conflict' };
+    if (existing.state !== 'pending') return { status: 'duplicate', response: existing.response };
+    const left = deadline - Date.now();
+    if (left <= 0) return { status: 'in_flight' };
+    await Promise.race([
+      inflight.get(key)?.promise,
+      new Promise((r) => setTimeout(r, Math.min(left, POLL_MS))),
+    ].filter(Boolean));
+  }
+}
+
+// Store the response replayed to later duplicates
+async function complete(key, hash, response) {
+  try {
+    await backend.set(key, Date.now() + getTTL(), { state: 'done', hash, response });
+  } finally {
+    settle(key);
+  }
+}
+
+async function release(key) {
+  try {
+    await backend.delete(key);
+  } finally {
+    settle(key);
   }
 }
 
 export {
   makeEventKey,
+  payloadHash,
   isDuplicate,
-  remember
+  remember,
+  claim,
+  complete,
+  release,
+  setIdempotencyBackend,
+  createBackend,
+  MemoryIdempotencyBackend,
+  FileIdempotencyBackend,
+  RedisIdempotencyBackend,
 };
@@ -0,0 +1,152 @@
+// E-invoice / e-archive metadata per basket reference
+// einvoice-created adds an invoice (ETTN, number, type, URL, date), einvoice-cancelled marks it
+// cancelled. A reference can hold several invoices (e.g. re-issued after a cancel).
+//
+// Persists to ADAPTER_DATA_DIR/invoices.json (INVOICE_STORE=memory keeps it in memory only);
+// at most INVOICE_STORE_MAX_REFERENCES (default 10000) references are kept, the least recently
+// updated dropped first.
+
+import { log } from './logger.js';
+import { JsonFileStore } from './jsonFileStore.js';
+
+const MAX_REFERENCES = Number(process.env.INVOICE_STORE_MAX_REFERENCES || 10000);
+
+function first(obj, keys) {
+  for (const k of keys) {
+    if (obj?.[k] != null && obj[k] !== '') return obj[k];
+  }
+  return undefined;
+}
+
+function isoDate(v) {
+  const t = v ? Date.parse(v) : NaN;
+  return Number.isFinite(t) ? new Date(t).toISOString() : undefined;
+}
+
+// Ödeal sends the invoice on the webhook body or nested under invoice/einvoice
+function invoiceFromWebhook(body) {
+  const src = body?.invoice ?? body?.einvoice ?? body;
+  const type = first(src, ['invoiceType', 'documentType', 'type']);
+  return {
+    ettn: first(src, ['ettn', 'ETTN', 'uuid', 'invoiceUuid', 'documentUuid', 'invoiceId']),
+    number: first(src, ['invoiceNumber', 'invoiceNo', 'documentNumber', 'number']),
+    type: type == null ? undefined : String(type).toUpperCase().replace(/[\s-]/g, '_'),
+    url: first(src, ['invoiceUrl', 'pdfUrl', 'documentUrl', 'url', 'link']),
+    date: isoDate(first(src, ['invoiceDate', 'issueDate', 'documentDate', 'date', 'createdAt'])),
+  };
+}
+
+// ROP PaymentStatus `Invoice` object
+function toRopInvoice(inv) {
+  if (!inv) return undefined;
+  const out = { Ettn: inv.ettn, Number: inv.number, Type: inv.type, Url: inv.url, Date: inv.date, Status: inv.status };
+  for (const k of Object.keys(out)) if (out[k] === undefined) delete out[k];
+  return out;
+}
+
+class InvoiceStore {
+  constructor({ file = 'invoices.json', persist = true, now = Date.now, maxReferences = MAX_REFERENCES } = {}) {
+    this.fileStore = persist ? new JsonFileStore(file, { references: [] }) : undefined;
+    this.now = now;
+    this.maxReferences = Math.max(1, maxReferences);
+    this.references = new Map(); // referenceCode -> { referenceCode, invoices: [], updatedAt }, least recently updated first
+    if (this.fileStore) {
+      const loaded = this.fileStore.load().references || [];
+      loaded.sort((a, b) => String(a.updatedAt || '').localeCompare(String(b.updatedAt || '')));
+      for (const r of loaded) this.references.set(r.referenceCode, r);
+    }
+  }
+
+  persist() {
+    if (!this.fileStore) return;
+    try {
+      this.fileStore.save({ references: [...this.references.values()] });
+    } catch (e) {
+      log.error('Invoice store persist failed', { error: String(e?.message || e) });
+    }
+  }
+
+  // Mark a reference updated (re-inserted so the map stays in update order) and apply the cap
+  touch(r, ts) {
+    r.updatedAt = ts;
+    this.references.delete(r.referenceCode);
+    this.references.set(r.referenceCode, r);
+    for (const key of this.references.keys()) {
+      if (this.references.size <= this.maxReferences) break;
+      this.references.delete(key);
+    }
+  }
+
+  entry(referenceCode) {
+    const key = String(referenceCode);
+    let r = this.references.get(key);
+    if (!r) {
+      r = { referenceCode: key, invoices: [] };
+      this.references.set(key, r);
+    }
+    return r;
+  }
+
+  find(r, inv) {
+    if (inv.ettn) return r.invoices.find((i) => i.ettn === inv.ettn);
+    if (inv.number) return r.invoices.find((i) => i.number === inv.number);
+    return undefined;
+  }
+
+  // einvoice-created; a repeat of a known ETTN/number updates it. Returns the stored invoice.
+  created(referenceCode, body, { transactionId } = {}) {
+    if (!referenceCode) return undefined;
+    const ts = new Date(this.now()).toISOString();
+    const r = this.entry(referenceCode);
+    const inv = invoiceFromWebhook(body);
+    let stored = this.find(r, inv);
+    if (stored) {
+      for (const [k, v] of Object.entries(inv)) if (v !== undefined) stored[k] = v;
+      stored.status = 'created';
+      delete stored.cancelledAt;
+    } else {
+      stored = { ...inv, status: 'created', transactionId, receivedAt: ts };
+      r.invoices.push(stored);
+    }
+    this.touch(r, ts);
+    this.persist();
+    return stored;
+  }
+
+  // einvoice-cancelled; without ETTN/number the latest active invoice of the reference is cancelled.
+  // An unknown invoice is stored as cancelled so the cancel is not lost.
+  cancelled(referenceCode, body) {
+    if (!referenceCode) return undefined;
+    const ts = new Date(this.now()).toISOString();
+    const r = this.entry(referenceCode);
+    const inv = invoiceFromWebhook(body);
+    let stored = this.find(r, inv);
+    if (!stored && !inv.ettn && !inv.number) stored = this.current(referenceCode);
+    if (!stored) {
+      stored = { ...inv, receivedAt: ts };
+      r.invoices.push(stored);
+    }
+    stored.status = 'cancelled';
+    stored.cancelledAt = ts;
+    const reason = first(body, ['cancelReason', 'reason', 'description']);
+    if (reason) stored.cancelReason = String(reason);
+    this.touch(r, ts);
+    this.persist();
+    return stored;
+  }
+
+  // Latest invoice that is not cancelled
+  current(referenceCode) {
+    const r = this.references.get(String(referenceCode));
+    return r && [...r.invoices].reverse().find((i) => i.status === 'created');
+  }
+
+  get(referenceCode) {
+    const r = this.references.get(String(referenceCode));
+    return r && { ...r, current: this.current(referenceCode) };
+  }
+}
+
+export const invoices = new InvoiceStore({ persist: String(process.env.INVOICE_STORE || 'file').toLowerCase() !== 'memory' });
+
+export { InvoiceStore, invoiceFromWebhook, toRopInvoice };
@@ -0,0 +1,48 @@
+// Tiny JSON file persistence for adapter state (outbox, ledgers, ...)
+// Files live in ADAPTER_DATA_DIR (default ./data). Writes go to a temp file first and are
+// renamed into place, so a crash mid-write never leaves a truncated file behind.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { log } from './logger.js';
+
+function dataDir() {
+  return path.resolve(process.cwd(), process.env.ADAPTER_DATA_DIR || 'data');
+}
+
+class JsonFileStore {
+  // name: file name inside the data dir, or an absolute path
+  constructor(name, fallback = {}) {
+    this.file = path.isAbsolute(name) ? name : path.join(dataDir(), name);
+    this.fallback = fallback;
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') log.error('State file unreadable; starting empty', { file: this.file, error: String(e?.message || e) });
+      return structuredClone(this.fallback);
+    }
+  }
+
+  // Changes whenever the file is written (by this process or another); undefined while it does not exist
+  stamp() {
+    try {
+      const st = fs.statSync(this.file, { bigint: true });
+      return `${st.mtimeNs}:${st.size}:${st.ino}`;
+    } catch (e) {
+      if (e.code !== 'ENOENT') log.error('State file unreadable', { file: this.file, error: String(e?.message || e) });
+      return undefined;
+    }
+  }
+
+  save(data) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+export { JsonFileStore, dataDir };
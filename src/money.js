@@ -0,0 +1,39 @@
+// Money helpers working in integer minor units (kuruş).
+// All basket arithmetic goes through these so totals never drift by float rounding.
+
+// 12.34 → 1234. toPrecision strips float noise such as 1.005 * 100 = 100.49999999999999.
+function toMinor(amount) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return 0;
+  const scaled = Number((Math.abs(n) * 100).toPrecision(15));
+  return Math.sign(n) * Math.round(scaled);
+}
+
+// 1234 → 12.34
+function fromMinor(minor) {
+  return Math.round(Number(minor) || 0) / 100;
+}
+
+// Split totalMinor into integer parts proportional to weights (largest remainder method).
+// The parts always sum to totalMinor exactly. Zero/empty weights split evenly.
+function allocate(totalMinor, weights) {
+  const n = Array.isArray(weights) ? weights.length : 0;
+  if (n === 0) return [];
+  const sign = totalMinor < 0 ? -1 : 1;
+  const total = Math.abs(Math.round(totalMinor));
+  let w = weights.map((x) => Math.max(0, Number(x) || 0));
+  let sumW = w.reduce((s, x) => s + x, 0);
+  if (sumW === 0) {
+    w = w.map(() => 1);
+    sumW = n;
+  }
+  const parts = w.map((x) => Math.floor((total * x) / sumW));
+  let rest = total - parts.reduce((s, x) => s + x, 0);
+  const order = w
+    .map((x, i) => ({ i, rem: (total * x) / sumW - parts[i] }))
+    .sort((a, b) => b.rem - a.rem || a.i - b.i);
+  for (let k = 0; rest > 0; k = (k + 1) % n, rest--) parts[order[k].i] += 1;
+  return parts.map((x) => sign * x);
+}
+
+export { toMinor, fromMinor, allocate };
@@ -0,0 +1,89 @@
+// Calls from the adapter to Ödeal (eCommerce payment links).
+// ODEAL_ECOMMERCE_CLIENT picks the implementation (default: http in production, stub elsewhere):
+// - http: ODEAL_API_BASE_URL (default https://stage.odealapp.com/api/v1) + ODEAL_PAYMENT_LINK_PATH
+//   (default /ecommerce/payment-links), authenticated with X-ODEAL-MERCHANT-KEY / X-ODEAL-SECRET-KEY
+// - stub: no network; links point at ODEAL_STUB_LINK_BASE_URL/<referenceCode>. Payment results are
+//   then simulated by posting the usual webhooks.
+// setOdealClient() swaps the implementation (tests, other Ödeal API versions).
+// A client: createPaymentLink({ referenceCode, amount, currency, expiresAt, description }) → { id, url },
+//           cancelPaymentLink({ id, referenceCode }).
+
+import axios from 'axios';
+import { log } from './logger.js';
+
+const ODEAL_API_BASE_URL = (process.env.ODEAL_API_BASE_URL || 'https://stage.odealapp.com/api/v1').replace(/\/+$/, '');
+const ODEAL_PAYMENT_LINK_PATH = process.env.ODEAL_PAYMENT_LINK_PATH || '/ecommerce/payment-links';
+const ODEAL_STUB_LINK_BASE_URL = (process.env.ODEAL_STUB_LINK_BASE_URL || 'https://stub.odeal.local/pay').replace(/\/+$/, '');
+
+function first(obj, keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (v != null && String(v).trim() !== '') return String(v);
+  }
+  return undefined;
+}
+
+function httpOdealClient({
+  baseUrl = ODEAL_API_BASE_URL,
+  path = ODEAL_PAYMENT_LINK_PATH,
+  merchantKey = process.env.ODEAL_MERCHANT_KEY,
+  secretKey = process.env.ODEAL_SECRET_KEY,
+  timeoutMs = Number(process.env.ODEAL_HTTP_TIMEOUT_MS || 5000),
+} = {}) {
+  const http = axios.create({
+    timeout: timeoutMs,
+    maxRedirects: 0,
+    validateStatus: (s) => s >= 200 && s < 300,
+    headers: {
+      'X-ODEAL-MERCHANT-KEY': merchantKey || '',
+      'X-ODEAL-SECRET-KEY': secretKey || '',
+      'User-Agent': 'ROP-Odeal-Adapter/1.0',
+    },
+  });
+  const url = `${baseUrl}${path}`;
+  return {
+    name: 'http',
+    async createPaymentLink({ referenceCode, amount, currency, expiresAt, description }) {
+      if (!merchantKey || !secretKey) throw new Error('odeal_credentials_missing');
+      const res = await http.post(url, { referenceCode, amount, currency, expireDate: expiresAt, description });
+      // Field names differ between API versions; some wrap the result in `data`
+      const body = res.data?.data ?? res.data;
+      const link = { id: first(body, ['id', 'linkId', 'paymentLinkId']), url: first(body, ['url', 'paymentUrl', 'link', 'paymentLink']) };
+      if (!link.url) throw new Error('payment_link_url_missing');
+      return link;
+    },
+    async cancelPaymentLink({ id, referenceCode }) {
+      await http.delete(`${url}/${encodeURIComponent(id || referenceCode)}`);
+    },
+  };
+}
+
+function stubOdealClient({ baseUrl = ODEAL_STUB_LINK_BASE_URL } = {}) {
+  return {
+    name: 'stub',
+    async createPaymentLink({ referenceCode }) {
+      return { id: `stub-${referenceCode}`, url: `${baseUrl}/${encodeURIComponent(referenceCode)}` };
+    },
+    async cancelPaymentLink() {},
+  };
+}
+
+function defaultClient() {
+  const fallback = process.env.NODE_ENV === 'production' ? 'http' : 'stub';
+  const kind = String(process.env.ODEAL_ECOMMERCE_CLIENT || fallback).toLowerCase();
+  if (kind === 'stub') return stubOdealClient();
+  if (kind !== 'http') log.warn('Unknown ODEAL_ECOMMERCE_CLIENT; using http', { kind });
+  return httpOdealClient();
+}
+
+let client = defaultClient();
+
+function odealClient() {
+  return client;
+}
+
+function setOdealClient(next) {
+  client = next;
+}
+
+export { odealClient, setOdealClient, httpOdealClient, stubOdealClient };
@@ -0,0 +1,201 @@
+// Durable outbox for calls to ROP that must not be lost (PaymentStatus bridging)
+// Every call is recorded before it is sent. Failed calls are retried in the background with
+// exponential backoff; after OUTBOX_MAX_ATTEMPTS, or on a permanent (4xx) answer, they move
+// to the dead-letter list where operators can inspect and replay them.
+// Entries enqueued with the same `key` (one ROP check) are sent strictly in order: while an earlier
+// entry of the key is undelivered (pending, in flight or dead), the later ones wait behind it.
+//
+// Entries persist to ADAPTER_DATA_DIR/outbox.json (OUTBOX_STORE=memory keeps them in memory only).
+
+import crypto from 'node:crypto';
+import { log } from './logger.js';
+import { JsonFileStore } from './jsonFileStore.js';
+import { backoffDelay } from './retry.js';
+
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 8);
+const RETRY_BASE_MS = Number(process.env.OUTBOX_RETRY_BASE_MS || 5000);
+const RETRY_MAX_MS = Number(process.env.OUTBOX_RETRY_MAX_MS || 10 * 60 * 1000);
+const POLL_MS = Number(process.env.OUTBOX_POLL_MS || 5000);
+
+class OutboxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OutboxError';
+  }
+}
+
+// A 4xx answer (other than 429) will not get better by retrying
+function isPermanentFailure(e) {
+  const status = e?.response?.status;
+  return status != null && status >= 400 && status < 500 && status !== 429;
+}
+
+class Outbox {
+  constructor({ file = 'outbox.json', persist = true, maxAttempts = MAX_ATTEMPTS, baseDelayMs = RETRY_BASE_MS, maxDelayMs = RETRY_MAX_MS, now = Date.now } = {}) {
+    this.fileStore = persist ? new JsonFileStore(file, { entries: [] }) : undefined;
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.now = now;
+    this.handlers = new Map(); // kind -> async (payload) => result
+    this.entries = new Map(); // id -> entry
+    this.inFlight = new Set(); // ids being sent right now
+    this.timer = undefined;
+    if (this.fileStore) {
+      for (const e of this.fileStore.load().entries || []) this.entries.set(e.id, e);
+    }
+  }
+
+  // Senders are registered by kind so entries reloaded after a restart know where to go
+  handle(kind, send) {
+    this.handlers.set(kind, send);
+  }
+
+  persist() {
+    if (!this.fileStore) return;
+    try {
+      this.fileStore.save({ entries: [...this.entries.values()] });
+    } catch (e) {
+      log.error('Outbox persist failed', { error: String(e?.message || e) });
+    }
+  }
+
+  enqueue(kind, payload, meta = {}, { key } = {}) {
+    if (!this.handlers.has(kind)) throw new OutboxError('outbox_kind_unknown');
+    const ts = new Date(this.now()).toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      kind,
+      ...(key ? { key: String(key) } : {}),
+      payload,
+      meta,
+      status: 'pending',
+      attempts: 0,
+      createdAt: ts,
+      updatedAt: ts,
+      nextAttemptAt: this.now(),
+    };
+    this.entries.set(entry.id, entry);
+    this.persist();
+    return entry;
+  }
+
+  // Earliest undelivered entry of the same key enqueued before `entry` (entries are kept in enqueue order)
+  blocker(entry) {
+    if (!entry.key) return undefined;
+    for (const e of this.entries.values()) {
+      if (e === entry) return undefined;
+      if (e.key === entry.key) return e;
+    }
+    return undefined;
+  }
+
+  // Send one entry now. Resolves { ok, entry, result?, error?, blockedBy? }; never throws for send errors.
+  // An entry queued behind an undelivered one of its key is not sent (blockedBy: that entry's id).
+  async deliver(id) {
+    const entry = this.entries.get(id);
+    if (!entry || entry.status !== 'pending' || this.inFlight.has(id)) return { ok: false, entry };
+    const ahead = this.blocker(entry);
+    if (ahead) return { ok: false, entry, blockedBy: ahead.id };
+    const send = this.handlers.get(entry.kind);
+    this.inFlight.add(id);
+    entry.attempts += 1;
+    try {
+      const result = await send(entry.payload);
+      this.entries.delete(id);
+      this.persist();
+      if (entry.attempts > 1) log.info('Outbox delivered', { id, kind: entry.kind, attempts: entry.attempts, ...entry.meta });
+      this.inFlight.delete(id);
+      await this.deliverNext(entry.key);
+      return { ok: true, entry: { ...entry, status: 'delivered' }, result };
+    } catch (e) {
+      entry.lastError = String(e?.response?.status ? `HTTP ${e.response.status}` : (e?.code || e?.message || e));
+      entry.updatedAt = new Date(this.now()).toISOString();
+      if (isPermanentFailure(e) || entry.attempts >= this.maxAttempts) {
+        entry.status = 'dead';
+        log.error('Outbox dead-lettered', { id, kind: entry.kind, attempts: entry.attempts, error: entry.lastError, ...entry.meta });
+      } else {
+        const delayMs = Math.max(this.baseDelayMs / 2, backoffDelay(entry.attempts - 1, { baseDelayMs: this.baseDelayMs, maxDelayMs: this.maxDelayMs }));
+        entry.nextAttemptAt = this.now() + delayMs;
+        log.warn('Outbox send failed; will retry', { id, kind: entry.kind, attempts: entry.attempts, delayMs, error: entry.lastError, ...entry.meta });
+      }
+      this.persist();
+      return { ok: false, entry, error: e };
+    } finally {
+      this.inFlight.delete(id);
+    }
+  }
+
+  // The head of a key was delivered: send what waited behind it, if due
+  async deliverNext(key) {
+    if (!key) return;
+    const next = [...this.entries.values()].find((e) => e.key === key);
+    if (next?.status === 'pending' && next.nextAttemptAt <= this.now()) await this.deliver(next.id);
+  }
+
+  // Send every pending entry that is due, oldest first
+  async drain() {
+    const due = [...this.entries.values()]
+      .filter((e) => e.status === 'pending' && e.nextAttemptAt <= this.now())
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+    for (const e of due) await this.deliver(e.id);
+    return due.length;
+  }
+
+  start(intervalMs = POLL_MS) {
+    if (this.timer) return;
+    let running = false;
+    this.timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await this.drain();
+      } catch (e) {
+        log.error('Outbox drain error', { error: String(e?.message || e) });
+      } finally {
+        running = false;
+      }
+    }, intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = undefined;
+  }
+
+  get(id) {
+    return this.entries.get(String(id));
+  }
+
+  list(status) {
+    return [...this.entries.values()].filter((e) => !status || e.status === status);
+  }
+
+  // Move a dead entry back to pending and try it right away
+  async replay(id) {
+    const entry = this.entries.get(String(id));
+    if (!entry) throw new OutboxError('outbox_entry_not_found');
+    if (entry.status !== 'dead') throw new OutboxError('outbox_entry_not_dead');
+    entry.status = 'pending';
+    entry.attempts = 0;
+    entry.nextAttemptAt = this.now();
+    entry.replayedAt = new Date(this.now()).toISOString();
+    this.persist();
+    log.info('Outbox replay', { id, kind: entry.kind, ...entry.meta });
+    return this.deliver(entry.id);
+  }
+
+  discard(id) {
+    const entry = this.entries.get(String(id));
+    if (!entry) throw new OutboxError('outbox_entry_not_found');
+    if (entry.status !== 'dead') throw new OutboxError('outbox_entry_not_dead');
+    this.entries.delete(entry.id);
+    this.persist();
+    return entry;
+  }
+}
+
+export const outbox = new Outbox({ persist: String(process.env.OUTBOX_STORE || 'file').toLowerCase() !== 'memory' });
+
+export { Outbox, OutboxError };
@@ -0,0 +1,224 @@
+// eCommerce payment links for takeaway / delivery orders: the POS asks for a link to a ROP check
+// and the customer pays it remotely through Ödeal.
+// - create(): the check basket is copied under an opaque link reference (EC-XXXXXXXXXXXX) and the
+//   link is created on Ödeal (odealClient.js). Ödeal fetches that copy as the basket of the link.
+// - A link lives PAYMENT_LINK_TTL_MS (default 24 h); expired links are marked every
+//   PAYMENT_LINK_SWEEP_MS (default 60 s) and their basket is no longer served.
+// - Webhooks for the link reference reach ROP as payments on the check (webhookProcessor.js).
+// Status: active → paid → payment_cancelled; active → expired | cancelled (by the POS).
+// Persists to ADAPTER_DATA_DIR/payment-links.json (PAYMENT_LINK_STORE=memory keeps it in memory only);
+// at most PAYMENT_LINK_MAX (default 10000) links are kept, the oldest settled ones dropped first.
+
+import crypto from 'node:crypto';
+import { log } from './logger.js';
+import { JsonFileStore } from './jsonFileStore.js';
+import { odealClient } from './odealClient.js';
+import { parseCompositeReference } from './referenceParser.js';
+
+const TTL_MS = Number(process.env.PAYMENT_LINK_TTL_MS || 24 * 60 * 60 * 1000);
+const SWEEP_MS = Number(process.env.PAYMENT_LINK_SWEEP_MS || 60 * 1000);
+const MAX_LINKS = Number(process.env.PAYMENT_LINK_MAX || 10000);
+const CHANNELS = ['takeaway', 'delivery'];
+
+class PaymentLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaymentLinkError';
+  }
+}
+
+// Link without its basket copy
+function summarizeLink(link) {
+  const { basket, ...rest } = link;
+  return rest;
+}
+
+class PaymentLinkStore {
+  constructor({ file = 'payment-links.json', persist = true, now = Date.now, maxLinks = MAX_LINKS } = {}) {
+    this.fileStore = persist ? new JsonFileStore(file, { links: [] }) : undefined;
+    this.now = now;
+    this.maxLinks = Math.max(1, maxLinks);
+    this.links = new Map(); // link referenceCode -> link
+    this.creating = new Set(); // check references with a link being created on Ödeal
+    if (this.fileStore) {
+      for (const l of this.fileStore.load().links || []) this.links.set(l.referenceCode, l);
+    }
+  }
+
+  persist() {
+    if (!this.fileStore) return;
+    try {
+      this.fileStore.save({ links: [...this.links.values()] });
+    } catch (e) {
+      log.error('Payment link store persist failed', { error: String(e?.message || e) });
+    }
+  }
+
+  // basket: the resolved check basket; checkReference: composite ROP reference of the check
+  async create(basket, { checkReference, ttlMs = TTL_MS, channel = 'takeaway', description } = {}) {
+    if (!parseCompositeReference(checkReference)) throw new PaymentLinkError('check_reference_not_composite');
+    if (!CHANNELS.includes(channel)) throw new PaymentLinkError('channel_invalid');
+    const open = this.activeFor(checkReference);
+    if (open) {
+      const e = new PaymentLinkError('payment_link_active');
+      e.link = open;
+      throw e;
+    }
+    // Reserved before the Ödeal call, so a concurrent request for the check cannot open a second link
+    if (this.creating.has(checkReference)) throw new PaymentLinkError('payment_link_pending');
+    this.creating.add(checkReference);
+    try {
+      return await this.open(basket, { checkReference, ttlMs, channel, description });
+    } finally {
+      this.creating.delete(checkReference);
+    }
+  }
+
+  // Ödeal call and local record of create(); the check is reserved by the caller
+  async open(basket, { checkReference, ttlMs, channel, description }) {
+    const referenceCode = `EC-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    const now = this.now();
+    const expiresAt = new Date(now + Math.max(60 * 1000, ttlMs)).toISOString();
+    const amount = basket.basketPrice.grossPrice;
+    const client = odealClient();
+    const remote = await client.createPaymentLink({ referenceCode, amount, currency: 'TRY', expiresAt, description });
+    const link = {
+      referenceCode,
+      checkReference,
+      status: 'active',
+      channel,
+      description,
+      amount,
+      currency: 'TRY',
+      url: remote.url,
+      odealLinkId: remote.id,
+      client: client.name,
+      createdAt: new Date(now).toISOString(),
+      expiresAt,
+      attempts: 0,
+      basket: { ...basket, referenceCode },
+    };
+    this.links.set(referenceCode, link);
+    this.evict();
+    this.persist();
+    return link;
+  }
+
+  // Marks an active link past its expiry; returns the link (undefined when unknown)
+  get(referenceCode) {
+    const link = this.links.get(String(referenceCode));
+    if (link?.status === 'active' && Date.parse(link.expiresAt) <= this.now()) {
+      link.status = 'expired';
+      this.persist();
+    }
+    return link;
+  }
+
+  // Check reference a link was created for, whatever its status
+  checkOf(referenceCode) {
+    return this.links.get(String(referenceCode))?.checkReference;
+  }
+
+  activeFor(checkReference) {
+    for (const link of this.links.values()) {
+      if (link.checkReference === checkReference && this.get(link.referenceCode).status === 'active') return link;
+    }
+    return undefined;
+  }
+
+  // Basket to serve for a link reference; undefined when it is not a link
+  basketFor(referenceCode) {
+    const link = this.get(referenceCode);
+    if (!link) return undefined;
+    if (link.status !== 'active') throw new PaymentLinkError(link.status === 'expired' ? 'payment_link_expired' : link.status === 'cancelled' ? 'payment_link_cancelled' : 'payment_link_paid');
+    return link.basket;
+  }
+
+  // Webhook for a link reference; returns the updated link (undefined when it is not a link)
+  paymentEvent(type, referenceCode, { transactionId } = {}) {
+    const link = this.links.get(String(referenceCode));
+    if (!link) return undefined;
+    const at = new Date(this.now()).toISOString();
+    if (type === 'payment-succeeded') {
+      // A payment that got through counts even if the link expired meanwhile
+      if (link.status !== 'paid') Object.assign(link, { status: 'paid', paidAt: at, transactionId });
+    } else if (type === 'payment-failed') {
+      link.attempts += 1;
+      link.lastFailureAt = at;
+    } else if (type === 'payment-cancelled' && link.status === 'paid') {
+      link.status = 'payment_cancelled';
+      link.cancelledAt = at;
+    } else {
+      return link;
+    }
+    this.persist();
+    return link;
+  }
+
+  // Cancel an open link on Ödeal and here; undefined when unknown
+  async cancel(referenceCode) {
+    const link = this.get(referenceCode);
+    if (!link) return undefined;
+    if (link.status === 'paid' || link.status === 'payment_cancelled') throw new PaymentLinkError('payment_link_paid');
+    if (link.status === 'active') {
+      await odealClient().cancelPaymentLink({ id: link.odealLinkId, referenceCode: link.referenceCode });
+    }
+    if (link.status !== 'cancelled') {
+      link.status = 'cancelled';
+      link.cancelledAt = new Date(this.now()).toISOString();
+      this.persist();
+    }
+    return link;
+  }
+
+  // Newest first; filters: status, checkReference
+  list({ status, checkReference, limit = 100 } = {}) {
+    return [...this.links.keys()]
+      .map((ref) => this.get(ref))
+      .filter((l) => !status || l.status === status)
+      .filter((l) => !checkReference || l.checkReference === checkReference)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, Math.max(1, limit))
+      .map(summarizeLink);
+  }
+
+  // Mark expired links; returns how many
+  sweep() {
+    let expired = 0;
+    for (const link of this.links.values()) {
+      if (link.status === 'active' && Date.parse(link.expiresAt) <= this.now()) {
+        link.status = 'expired';
+        expired += 1;
+      }
+    }
+    if (expired) this.persist();
+    return expired;
+  }
+
+  // Drop the oldest settled links beyond the cap; active links stay
+  evict() {
+    if (this.links.size <= this.maxLinks) return;
+    const settled = [...this.links.values()]
+      .filter((l) => l.status !== 'active')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const l of settled.slice(0, this.links.size - this.maxLinks)) this.links.delete(l.referenceCode);
+  }
+
+  start(intervalMs = SWEEP_MS) {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      const expired = this.sweep();
+      if (expired) log.info('Payment links expired', { expired });
+    }, intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = undefined;
+  }
+}
+
+export const paymentLinks = new PaymentLinkStore({ persist: String(process.env.PAYMENT_LINK_STORE || 'file').toLowerCase() !== 'memory' });
+
+export { PaymentLinkStore, PaymentLinkError, summarizeLink };
@@ -0,0 +1,130 @@
+// Payment options for split-payment baskets (card + meal card + cash)
+// A plan is a list of { type, amount }; at most one entry may omit `amount` and takes the rest.
+// Sources, in order of precedence:
+// 1) a POS-supplied plan registered via POST /app2app/payment-plans (paymentPlans store)
+// 2) a plan on the ROP check (`PaymentOptions` | `PaymentPlan`)
+// 3) the whole basket on CREDITCARD
+
+import { toMinor, fromMinor } from './money.js';
+
+const DEFAULT_TTL_MS = Number(process.env.PAYMENT_PLAN_TTL_MS || 15 * 60 * 1000); // 15 minutes
+
+const MEAL_CARD_TYPES = new Set(['MULTINET', 'SODEXO', 'TICKET', 'SETCARD', 'METROPOL']);
+const PAYMENT_OPTION_TYPES = new Set(['CREDITCARD', 'CASH', ...MEAL_CARD_TYPES]);
+
+// Common spellings from POS/ROP payloads mapped to Ödeal option types
+const TYPE_ALIASES = new Map([
+  ['CARD', 'CREDITCARD'], ['CREDIT_CARD', 'CREDITCARD'], ['KREDIKARTI', 'CREDITCARD'], ['KREDI_KARTI', 'CREDITCARD'],
+  ['NAKIT', 'CASH'],
+  ['PLUXEE', 'SODEXO'], ['EDENRED', 'TICKET'], ['TICKETRESTAURANT', 'TICKET'], ['SETCART', 'SETCARD'],
+]);
+
+class PaymentOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaymentOptionsError';
+  }
+}
+
+function normalizeType(type) {
+  const k = String(type || '').trim().toLocaleUpperCase('en-US').replace(/[\s-]/g, '_');
+  const t = TYPE_ALIASES.get(k) || TYPE_ALIASES.get(k.replace(/_/g, '')) || k.replace(/_/g, '');
+  return PAYMENT_OPTION_TYPES.has(t) ? t : undefined;
+}
+
+function isMealCardType(type) {
+  return MEAL_CARD_TYPES.has(type);
+}
+
+function excludedMealCardCategories() {
+  return String(process.env.PAYMENT_MEAL_CARD_EXCLUDED_CATEGORIES || '')
+    .split(',')
+    .map((s) => s.trim().toLocaleUpperCase('tr-TR'))
+    .filter(Boolean);
+}
+
+// Whether a line may be paid with a meal card: explicit ROP flag, then tax rule
+// (`mealCardEligible`), then the excluded category list.
+function isMealCardEligible({ line, category, rule } = {}) {
+  const flag = line?.MealCardEligible ?? line?.mealCardEligible;
+  if (typeof flag === 'boolean') return flag;
+  if (typeof rule?.mealCardEligible === 'boolean') return rule.mealCardEligible;
+  if (category && excludedMealCardCategories().includes(String(category).trim().toLocaleUpperCase('tr-TR'))) {
+    return false;
+  }
+  return true;
+}
+
+// Resolve a raw plan against the basket total; returns [{ type, amount }] in major units.
+// eligibleMealCardMinor caps what meal cards may cover (lines such as alcohol excluded).
+function resolvePaymentOptions(plan, { totalMinor, eligibleMealCardMinor = totalMinor } = {}) {
+  if (!Array.isArray(plan) || plan.length === 0) {
+    return [{ type: 'CREDITCARD', amount: fromMinor(totalMinor) }];
+  }
+  const entries = plan.map((p) => {
+    const type = normalizeType(p?.type ?? p?.Type ?? p?.PaymentType);
+    if (!type) throw new PaymentOptionsError('payment_option_type_invalid');
+    const raw = p?.amount ?? p?.Amount;
+    if (raw == null || raw === '') return { type, minor: undefined };
+    const minor = toMinor(raw);
+    if (!(minor > 0)) throw new PaymentOptionsError('payment_option_amount_invalid');
+    return { type, minor };
+  });
+  const open = entries.filter((e) => e.minor == null);
+  if (open.length > 1) throw new PaymentOptionsError('payment_option_amount_invalid');
+  const fixedMinor = entries.reduce((s, e) => s + (e.minor || 0), 0);
+  if (open.length === 1) {
+    const rest = totalMinor - fixedMinor;
+    if (!(rest > 0)) throw new PaymentOptionsError('payment_options_sum_mismatch');
+    open[0].minor = rest;
+  } else if (fixedMinor !== totalMinor) {
+    throw new PaymentOptionsError('payment_options_sum_mismatch');
+  }
+  const mealMinor = entries.filter((e) => isMealCardType(e.type)).reduce((s, e) => s + e.minor, 0);
+  if (mealMinor > eligibleMealCardMinor) throw new PaymentOptionsError('meal_card_amount_exceeds_eligible');
+  return entries.map((e) => ({ type: e.type, amount: fromMinor(e.minor) }));
+}
+
+// Plan carried on a ROP check, if any
+function ropPaymentPlan(rop) {
+  const plan = rop?.PaymentOptions ?? rop?.PaymentPlan;
+  return Array.isArray(plan) && plan.length ? plan : undefined;
+}
+
+// Simple in-memory referenceCode -> plan store with TTL, filled by the POS before payment
+class PaymentPlanStore {
+  constructor() {
+    this.store = new Map(); // key -> { paymentOptions, expiresAt }
+  }
+
+  set(referenceCode, paymentOptions, ttlMs = DEFAULT_TTL_MS) {
+    const expiresAt = Date.now() + Math.max(1000, ttlMs);
+    this.store.set(String(referenceCode), { paymentOptions, expiresAt });
+  }
+
+  get(referenceCode) {
+    const entry = this.store.get(String(referenceCode));
+    if (!entry) return undefined;
+    if (Date.now() > entry.expiresAt) {
+      this.store.delete(String(referenceCode));
+      return undefined;
+    }
+    return entry.paymentOptions;
+  }
+
+  delete(referenceCode) {
+    return this.store.delete(String(referenceCode));
+  }
+}
+
+export const paymentPlans = new PaymentPlanStore();
+
+export {
+  PaymentOptionsError,
+  PAYMENT_OPTION_TYPES,
+  normalizeType,
+  isMealCardType,
+  isMealCardEligible,
+  resolvePaymentOptions,
+  ropPaymentPlan,
+};
@@ -0,0 +1,106 @@
+// Basket provider registry
+// A provider is { name, resolve(referenceCode, ctx) → Promise<basket> } where ctx carries
+// { desiredTotal, paymentOptions, composite, defaults } (defaults = env employee/customer info).
+//
+// Selection per reference (first match wins):
+// 1) BASKET_PROVIDER_ROUTES.prefixes – longest matching reference prefix
+// 2) BASKET_PROVIDER_ROUTES.restaurants – RestaurantId parsed from a composite reference
+// 3) BASKET_PROVIDER (default `mock`)
+//   e.g. BASKET_PROVIDER_ROUTES='{"prefixes":{"WEB-":"stored"},"restaurants":{"1566000740":"rop"}}'
+//
+// Own providers are loaded from BASKET_PROVIDER_MODULES (comma-separated paths, relative to cwd).
+// A module may default-export a provider or an array of providers, or export
+// `register(registerProvider)` to register any number itself.
+
+import path from 'node:path';
+import { log } from './logger.js';
+import { parseCompositeReference } from './referenceParser.js';
+
+const providers = new Map(); // name -> provider
+let routesCache = { raw: undefined, routes: { prefixes: {}, restaurants: {} } };
+let loadedModules = '';
+
+function registerProvider(provider) {
+  if (!provider || typeof provider.resolve !== 'function' || !provider.name) {
+    throw new Error('provider_invalid: expected { name, resolve(referenceCode, ctx) }');
+  }
+  const name = String(provider.name).toLowerCase();
+  if (providers.has(name)) log.warn('Basket provider replaced', { name });
+  providers.set(name, provider);
+  return provider;
+}
+
+function getProvider(name) {
+  return providers.get(String(name || '').toLowerCase());
+}
+
+function listProviders() {
+  return [...providers.keys()];
+}
+
+function defaultProviderName() {
+  return (process.env.BASKET_PROVIDER || 'mock').toLowerCase();
+}
+
+function providerRoutes() {
+  const raw = process.env.BASKET_PROVIDER_ROUTES || '';
+  if (routesCache.raw === raw) return routesCache.routes;
+  let routes = { prefixes: {}, restaurants: {} };
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      routes = {
+        prefixes: (parsed && typeof parsed.prefixes === 'object' && parsed.prefixes) || {},
+        restaurants: (parsed && typeof parsed.restaurants === 'object' && parsed.restaurants) || {},
+      };
+    } catch (e) {
+      log.error('BASKET_PROVIDER_ROUTES is not valid JSON; using BASKET_PROVIDER only', { error: String(e?.message || e) });
+    }
+  }
+  routesCache = { raw, routes };
+  return routes;
+}
+
+function selectProviderName(referenceCode) {
+  const ref = String(referenceCode || '');
+  const { prefixes, restaurants } = providerRoutes();
+  let best = '';
+  for (const prefix of Object.keys(prefixes)) {
+    if (prefix && ref.startsWith(prefix) && prefix.length > best.length) best = prefix;
+  }
+  if (best) return String(prefixes[best]).toLowerCase();
+  const composite = parseCompositeReference(ref);
+  if (composite && restaurants[String(composite.restaurantId)]) {
+    return String(restaurants[String(composite.restaurantId)]).toLowerCase();
+  }
+  return defaultProviderName();
+}
+
+// Import BASKET_PROVIDER_MODULES once per configured value
+async function loadProviderModules() {
+  const raw = process.env.BASKET_PROVIDER_MODULES || '';
+  if (!raw || raw === loadedModules) return;
+  loadedModules = raw;
+  for (const p of raw.split(',').map((s) => s.trim()).filter(Boolean)) {
+    try {
+      const mod = await import(path.resolve(process.cwd(), p));
+      if (typeof mod.register === 'function') {
+        await mod.register(registerProvider);
+      } else {
+        const exported = mod.default ?? mod.provider;
+        for (const provider of Array.isArray(exported) ? exported : [exported]) registerProvider(provider);
+      }
+      log.info('Basket provider module loaded', { module: p, providers: listProviders() });
+    } catch (e) {
+      log.error('Basket provider module failed to load', { module: p, error: String(e?.message || e) });
+    }
+  }
+}
+
+export {
+  registerProvider,
+  getProvider,
+  listProviders,
+  selectProviderName,
+  loadProviderModules,
+};
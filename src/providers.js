@@ -0,0 +1,116 @@
+// Built-in basket providers besides mock/rop (registered in basketProvider.js)
+// - static: baskets from a JSON file (BASKET_STATIC_FILE), keyed by referenceCode ("*" = any)
+// - http:   baskets from a generic HTTP endpoint (BASKET_HTTP_URL, `{referenceCode}` placeholder)
+// - stored: ad-hoc baskets posted by the POS (POST /app2app/stored-baskets)
+//
+// Each source returns either a full Ödeal basket (has `products`) or a basket spec
+// { items, adjustments?, paymentOptions?, total?, receiptInfo?, customInfo?, customer?, customerInfo? }
+// which is run through buildBasket with the adapter's employee/customer defaults.
+
+import fs from 'node:fs/promises';
+import axios from 'axios';
+import { buildBasket, validateBasketModel } from './basketBuilder.js';
+
+const STORED_TTL_MS = Number(process.env.STORED_BASKET_TTL_MS || 24 * 60 * 60 * 1000); // 24 hours
+
+function buildFromSpec(referenceCode, spec, { defaults = {}, paymentOptions } = {}) {
+  if (!spec || typeof spec !== 'object') throw new Error('basket_spec_invalid');
+  if (Array.isArray(spec.products)) {
+    // Already a full basket; only align its reference code
+    const basket = { ...spec, referenceCode };
+    validateBasketModel(basket);
+    return basket;
+  }
+  return buildBasket({
+    referenceCode,
+    items: spec.items,
+    adjustments: spec.adjustments,
+    expectedTotal: spec.total,
+    paymentOptions: paymentOptions || spec.paymentOptions,
+    employeeRef: defaults.employeeRef,
+    employeeInfo: spec.employeeInfo || defaults.employeeInfo,
+    customerInfo: spec.customerInfo || defaults.customerInfo,
+    customer: spec.customer || defaults.customer,
+    receiptInfo: spec.receiptInfo,
+    customInfo: spec.customInfo,
+  });
+}
+
+const staticProvider = {
+  name: 'static',
+  async resolve(referenceCode, ctx = {}) {
+    const file = process.env.BASKET_STATIC_FILE;
+    if (!file) throw new Error('BASKET_STATIC_FILE is not set');
+    const all = JSON.parse(await fs.readFile(file, 'utf8'));
+    const spec = all[referenceCode] ?? all['*'];
+    if (!spec) throw new Error('basket_not_found');
+    return buildFromSpec(referenceCode, spec, ctx);
+  },
+};
+
+function httpHeaders() {
+  // BASKET_HTTP_HEADERS='{"Authorization":"Bearer ..."}'
+  const raw = process.env.BASKET_HTTP_HEADERS;
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    return {};
+  }
+}
+
+const httpProvider = {
+  name: 'http',
+  async resolve(referenceCode, ctx = {}) {
+    const template = process.env.BASKET_HTTP_URL;
+    if (!template) throw new Error('BASKET_HTTP_URL is not set');
+    const url = template.includes('{referenceCode}')
+      ? template.replace('{referenceCode}', encodeURIComponent(referenceCode))
+      : `${template.replace(/\/$/, '')}/${encodeURIComponent(referenceCode)}`;
+    const { data } = await axios.get(url, {
+      timeout: Number(process.env.BASKET_HTTP_TIMEOUT_MS || 5000),
+      headers: httpHeaders(),
+      validateStatus: (s) => s >= 200 && s < 300,
+    });
+    return buildFromSpec(referenceCode, data, ctx);
+  },
+};
+
+// Simple in-memory referenceCode -> basket spec store with TTL
+class StoredBasketStore {
+  constructor() {
+    this.store = new Map(); // key -> { spec, expiresAt }
+  }
+
+  set(referenceCode, spec, ttlMs = STORED_TTL_MS) {
+    const expiresAt = Date.now() + Math.max(1000, ttlMs);
+    this.store.set(String(referenceCode), { spec, expiresAt });
+  }
+
+  get(referenceCode) {
+    const entry = this.store.get(String(referenceCode));
+    if (!entry) return undefined;
+    if (Date.now() > entry.expiresAt) {
+      this.store.delete(String(referenceCode));
+      return undefined;
+    }
+    return entry.spec;
+  }
+
+  delete(referenceCode) {
+    return this.store.delete(String(referenceCode));
+  }
+}
+
+export const storedBaskets = new StoredBasketStore();
+
+const storedProvider = {
+  name: 'stored',
+  async resolve(referenceCode, ctx = {}) {
+    const spec = storedBaskets.get(referenceCode);
+    if (!spec) throw new Error('basket_not_found');
+    return buildFromSpec(referenceCode, spec, ctx);
+  },
+};
+
+export { buildFromSpec, staticProvider, httpProvider, storedProvider };
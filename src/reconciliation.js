@@ -0,0 +1,67 @@
+// Paid amount vs served basket
+// Each payment-succeeded webhook is compared with the last basket served for its reference
+// (snapshot in the transaction ledger): amount, currency and reference.
+//   matched    – everything that could be checked agrees
+//   mismatch   – at least one check failed (issues lists which)
+//   unverified – no served basket or no amount on the webhook
+//
+// RECONCILE_CURRENCY (default TRY) is the only currency baskets are served in.
+// RECONCILE_AMOUNT_TOLERANCE (major units, default 0) absorbs device-side rounding.
+// A tip on the webhook (tipAmount) may come on top of the basket total.
+
+import { toMinor, fromMinor } from './money.js';
+
+const CURRENCY = String(process.env.RECONCILE_CURRENCY || 'TRY').toUpperCase();
+const TOLERANCE_MINOR = toMinor(process.env.RECONCILE_AMOUNT_TOLERANCE || 0);
+
+// Ödeal spells Turkish lira several ways
+const CURRENCY_ALIASES = new Map([['TL', 'TRY'], ['949', 'TRY'], ['YTL', 'TRY']]);
+
+function normalizeCurrency(c) {
+  const k = String(c ?? '').trim().toUpperCase();
+  return CURRENCY_ALIASES.get(k) || k || undefined;
+}
+
+function paidAmount(body) {
+  const raw = body?.amount ?? body?.totalAmount ?? body?.paidAmount;
+  return raw == null || raw === '' || !Number.isFinite(Number(raw)) ? undefined : toMinor(raw);
+}
+
+// snapshot: basket snapshot as stored by the ledger; body: payment webhook
+function reconcilePayment(snapshot, body) {
+  const issues = [];
+  if (!snapshot) return { status: 'unverified', issues: ['basket_not_served'] };
+
+  const expectedMinor = toMinor(snapshot.basketPrice?.grossPrice);
+  const actualMinor = paidAmount(body);
+  const tipMinor = toMinor(body?.tipAmount ?? body?.TipAmount ?? 0);
+  const amount = { expected: fromMinor(expectedMinor), actual: actualMinor == null ? undefined : fromMinor(actualMinor) };
+  if (actualMinor == null) {
+    issues.push('amount_missing');
+  } else {
+    const diff = Math.min(Math.abs(actualMinor - expectedMinor), Math.abs(actualMinor - tipMinor - expectedMinor));
+    amount.ok = diff <= TOLERANCE_MINOR;
+    if (!amount.ok) issues.push('amount_mismatch');
+  }
+
+  const actualCurrency = normalizeCurrency(body?.currency ?? body?.currencyCode);
+  const currency = { expected: CURRENCY, actual: actualCurrency };
+  if (actualCurrency) {
+    currency.ok = actualCurrency === CURRENCY;
+    if (!currency.ok) issues.push('currency_mismatch');
+  }
+
+  // Every reference field on the webhook must point at the basket we served
+  const known = [snapshot.referenceCode, snapshot.requestedReference].filter(Boolean);
+  const sent = [body?.basketReferenceCode, body?.referenceCode].filter(Boolean).map(String);
+  const reference = { expected: snapshot.referenceCode, actual: sent };
+  reference.ok = sent.every((r) => known.includes(r));
+  if (!reference.ok) issues.push('reference_mismatch');
+
+  let status = 'matched';
+  if (issues.some((i) => i.endsWith('_mismatch'))) status = 'mismatch';
+  else if (issues.length) status = 'unverified';
+  return { status, issues, amount, currency, reference };
+}
+
+export { reconcilePayment, normalizeCurrency };
@@ -0,0 +1,159 @@
+// Minimal Redis (RESP2) client: one connection, commands answered in order.
+// Enough for the adapter's shared state (SET/GET/EXISTS/DEL with expiry); no pub/sub, no cluster.
+//   redis://[:password@]host[:port][/db]   (rediss:// for TLS)
+// A failed connection rejects the pending commands; the next command reconnects.
+
+import net from 'node:net';
+import tls from 'node:tls';
+
+class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+function encode(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const s = String(a);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+// Parse one reply from buf at offset; returns { value, offset } or undefined when incomplete
+function parseReply(buf, offset = 0) {
+  const end = buf.indexOf('\r\n', offset);
+  if (end === -1) return undefined;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf8', offset + 1, end);
+  const next = end + 2;
+  if (type === '+') return { value: line, offset: next };
+  if (type === '-') return { value: new RedisError(line), offset: next };
+  if (type === ':') return { value: Number(line), offset: next };
+  if (type === '$') {
+    const len = Number(line);
+    if (len === -1) return { value: null, offset: next };
+    if (buf.length < next + len + 2) return undefined;
+    return { value: buf.toString('utf8', next, next + len), offset: next + len + 2 };
+  }
+  if (type === '*') {
+    const count = Number(line);
+    if (count === -1) return { value: null, offset: next };
+    const items = [];
+    let at = next;
+    for (let i = 0; i < count; i += 1) {
+      const item = parseReply(buf, at);
+      if (!item) return undefined;
+      items.push(item.value);
+      at = item.offset;
+    }
+    return { value: items, offset: at };
+  }
+  throw new RedisError(`protocol_error: unexpected reply type ${type}`);
+}
+
+class RedisClient {
+  constructor(url = 'redis://127.0.0.1:6379', { timeoutMs = 2000 } = {}) {
+    const u = new URL(url);
+    this.host = u.hostname || '127.0.0.1';
+    this.port = Number(u.port || 6379);
+    this.tls = u.protocol === 'rediss:';
+    this.password = u.password ? decodeURIComponent(u.password) : undefined;
+    this.username = u.username ? decodeURIComponent(u.username) : undefined;
+    this.db = Number(u.pathname.replace('/', '') || 0);
+    this.timeoutMs = timeoutMs;
+    this.socket = undefined;
+    this.ready = undefined; // promise of an authenticated connection
+    this.pending = []; // { resolve, reject } in send order
+    this.buffer = Buffer.alloc(0);
+  }
+
+  connect() {
+    if (this.ready) return this.ready;
+    this.ready = new Promise((resolve, reject) => {
+      const opts = { host: this.host, port: this.port };
+      const socket = this.tls ? tls.connect({ ...opts, servername: this.host }) : net.connect(opts);
+      socket.setNoDelay(true);
+      socket.setTimeout(this.timeoutMs);
+      this.socket = socket;
+      socket.once(this.tls ? 'secureConnect' : 'connect', async () => {
+        socket.setTimeout(0);
+        try {
+          if (this.password) await this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+          if (this.db) await this.send(['SELECT', this.db]);
+          resolve();
+        } catch (e) {
+          reject(e);
+          socket.destroy();
+        }
+      });
+      socket.on('data', (chunk) => this.onData(chunk));
+      socket.on('timeout', () => socket.destroy(new RedisError('redis_timeout')));
+      socket.on('error', (e) => this.fail(socket, e));
+      socket.on('close', () => this.fail(socket, new RedisError('redis_connection_closed')));
+      socket.once('error', reject);
+    });
+    // Let the next command reconnect after a failed attempt
+    this.ready.catch(() => { this.ready = undefined; });
+    return this.ready;
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    let offset = 0;
+    try {
+      for (;;) {
+        const reply = parseReply(this.buffer, offset);
+        if (!reply) break;
+        offset = reply.offset;
+        const waiter = this.pending.shift();
+        if (!waiter) continue;
+        if (reply.value instanceof RedisError) waiter.reject(reply.value);
+        else waiter.resolve(reply.value);
+      }
+    } catch (e) {
+      this.socket?.destroy(e);
+      return;
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  fail(socket, error) {
+    if (socket !== this.socket) return;
+    const waiting = this.pending;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+    this.ready = undefined;
+    this.socket = undefined;
+    for (const w of waiting) w.reject(error);
+  }
+
+  // Write one command on the open socket
+  send(args) {
+    const { socket } = this;
+    if (!socket) return Promise.reject(new RedisError('redis_connection_closed'));
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => socket.destroy(new RedisError('redis_timeout')), this.timeoutMs);
+      this.pending.push({
+        resolve: (v) => { clearTimeout(timer); resolve(v); },
+        reject: (e) => { clearTimeout(timer); reject(e); },
+      });
+      socket.write(encode(args));
+    });
+  }
+
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  close() {
+    const { socket } = this;
+    this.fail(socket, new RedisError('redis_client_closed'));
+    socket?.end();
+  }
+}
+
+export { RedisClient, RedisError, parseReply, encode };
@@ -1,32 +1,153 @@
-// Simple in-memory reference -> checkId map with TTL
-// Not persistent across restarts. Intended as a bridge for UUID references.
+// Reference -> ROP check map with TTL, for references that do not carry the check (device UUIDs).
+// An entry: { referenceCode, checkId, deviceId?, restaurantId?, createdAt, expiresAt }.
+// With deviceId and restaurantId the reference expands to a full composite reference
+// (<deviceId>_<restaurantId>_<checkId>), so baskets and webhooks reach ROP like any composite one;
+// without them only the check id is appended (<reference>_<checkId>).
+// Persisted to ADAPTER_DATA_DIR/refs.json (REF_MAP_STORE=memory keeps it in memory only).
+// Expired entries are swept every REF_MAP_SWEEP_MS (default 60 s); at most REF_MAP_MAX_ENTRIES
+// (default 10000) are kept, the oldest registrations dropped first.
+
+import { log } from './logger.js';
+import { JsonFileStore } from './jsonFileStore.js';
 
 const DEFAULT_TTL_MS = Number(process.env.REF_MAP_TTL_MS || 15 * 60 * 1000); // 15 minutes
+const MAX_ENTRIES = Number(process.env.REF_MAP_MAX_ENTRIES || 10000);
+const SWEEP_MS = Number(process.env.REF_MAP_SWEEP_MS || 60 * 1000);
 
 class RefMap {
-  constructor() {
-    this.store = new Map(); // key -> { checkId, expiresAt }
+  constructor({ file = 'refs.json', persist = true, now = Date.now, maxEntries = MAX_ENTRIES } = {}) {
+    this.fileStore = persist ? new JsonFileStore(file, { entries: [] }) : undefined;
+    this.now = now;
+    this.maxEntries = maxEntries;
+    this.store = new Map(); // key -> entry, oldest registration first
+    if (this.fileStore) {
+      const t = this.now();
+      for (const e of this.fileStore.load().entries || []) {
+        if (e.expiresAt > t) this.store.set(e.referenceCode, e);
+      }
+    }
   }
 
-  set(key, checkId, ttlMs = DEFAULT_TTL_MS) {
-    const expiresAt = Date.now() + Math.max(1000, ttlMs);
-    this.store.set(String(key), { checkId: Number(checkId), expiresAt });
+  persist() {
+    if (!this.fileStore) return;
+    try {
+      this.fileStore.save({ entries: [...this.store.values()] });
+    } catch (e) {
+      log.error('RefMap persist failed', { error: String(e?.message || e) });
+    }
   }
 
-  get(key) {
+  // Adds without saving; returns the entry
+  put(key, checkId, ttlMs = DEFAULT_TTL_MS, { deviceId, restaurantId } = {}) {
+    const referenceCode = String(key);
+    const now = this.now();
+    const entry = {
+      referenceCode,
+      checkId: Number(checkId),
+      ...(deviceId && restaurantId ? { deviceId: String(deviceId), restaurantId: Number(restaurantId) } : {}),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: now + Math.max(1000, ttlMs),
+    };
+    // Re-insert so a renewed registration counts as the newest
+    this.store.delete(referenceCode);
+    this.store.set(referenceCode, entry);
+    for (const k of this.store.keys()) {
+      if (this.store.size <= this.maxEntries) break;
+      this.store.delete(k);
+    }
+    return entry;
+  }
+
+  set(key, checkId, ttlMs, credentials) {
+    const entry = this.put(key, checkId, ttlMs, credentials);
+    this.persist();
+    return entry;
+  }
+
+  // items: [{ referenceCode, checkId, ttlMs, deviceId, restaurantId }], saved once
+  setMany(items) {
+    const entries = items.map((i) => this.put(i.referenceCode, i.checkId, i.ttlMs, i));
+    this.persist();
+    return entries;
+  }
+
+  entry(key) {
     const entry = this.store.get(String(key));
     if (!entry) return undefined;
-    if (Date.now() > entry.expiresAt) {
-      this.store.delete(String(key));
+    if (this.now() > entry.expiresAt) {
+      this.delete(key);
       return undefined;
     }
-    return entry.checkId;
+    return entry;
+  }
+
+  get(key) {
+    return this.entry(key)?.checkId;
   }
 
   has(key) {
     return this.get(key) != null;
   }
+
+  // Reference to resolve in place of `key`; undefined when it is not mapped
+  effectiveReference(key) {
+    const e = this.entry(key);
+    if (!e) return undefined;
+    return e.deviceId ? `${e.deviceId}_${e.restaurantId}_${e.checkId}` : `${e.referenceCode}_${e.checkId}`;
+  }
+
+  // Reference a basket request for `key` resolves: its mapped reference whenever it has an entry
+  // (whatever the key looks like, UUIDs ending in a digit included), else `key` itself
+  resolve(key) {
+    return this.effectiveReference(key) ?? key;
+  }
+
+  delete(key) {
+    const removed = this.store.delete(String(key));
+    if (removed) this.persist();
+    return removed;
+  }
+
+  // Live entries, newest first; filters: deviceId, restaurantId
+  list({ deviceId, restaurantId, limit = 100 } = {}) {
+    const now = this.now();
+    return [...this.store.values()]
+      .filter((e) => e.expiresAt > now)
+      .filter((e) => !deviceId || e.deviceId === String(deviceId))
+      .filter((e) => !restaurantId || e.restaurantId === Number(restaurantId))
+      .reverse()
+      .slice(0, Math.max(1, limit));
+  }
+
+  // Drop expired entries; returns how many
+  sweep() {
+    const now = this.now();
+    let removed = 0;
+    for (const [k, e] of this.store) {
+      if (e.expiresAt <= now) {
+        this.store.delete(k);
+        removed += 1;
+      }
+    }
+    if (removed) this.persist();
+    return removed;
+  }
+
+  start(intervalMs = SWEEP_MS) {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      const removed = this.sweep();
+      if (removed) log.debug('RefMap swept', { removed, size: this.store.size });
+    }, intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = undefined;
+  }
 }
 
-export const refMap = new RefMap();
+export const refMap = new RefMap({ persist: String(process.env.REF_MAP_STORE || 'file').toLowerCase() !== 'memory' });
 
+export { RefMap };
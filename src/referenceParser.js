@@ -7,6 +7,8 @@ function parseCompositeReference(referenceCode) {
   const parts = ref.split('_');
   if (parts.length !== 3) return null;
   const [deviceIdRaw, restaurantIdStr, checkIdStr] = parts;
+  // Digits only: parseInt alone would read a split share (..._22-S1) as its parent check
+  if (!/^\s*\d+\s*$/.test(restaurantIdStr) || !/^\s*\d+\s*$/.test(checkIdStr)) return null;
   const deviceId = deviceIdRaw.trim();
   const restaurantId = parseInt(restaurantIdStr, 10);
   const checkId = parseInt(checkIdStr, 10);
@@ -14,4 +16,21 @@ function parseCompositeReference(referenceCode) {
   return { deviceId, restaurantId, checkId };
 }
 
-export { parseCompositeReference };
+// Split-bill child reference: <parentReference>-S<index>, e.g. ABC002_1566000740_3215799-S2
+// Returns { parentReference, index } or null
+const SPLIT_SUFFIX = /^(.+)-S(\d{1,3})$/;
+
+function parseSplitReference(referenceCode) {
+  if (typeof referenceCode !== 'string') return null;
+  const m = SPLIT_SUFFIX.exec(referenceCode.trim());
+  if (!m) return null;
+  const index = parseInt(m[2], 10);
+  if (!Number.isFinite(index) || index <= 0) return null;
+  return { parentReference: m[1], index };
+}
+
+function makeSplitReference(parentReference, index) {
+  return `${parentReference}-S${index}`;
+}
+
+export { parseCompositeReference, parseSplitReference, makeSplitReference };
@@ -0,0 +1,123 @@
+// Refund (payback) ledger per ROP check
+// Payments and refunds are recorded per check reference (split shares count toward their
+// parent check), so the total refunded can never exceed what was paid on the check.
+//
+// Persists to ADAPTER_DATA_DIR/refunds.json (REFUND_LEDGER_STORE=memory keeps it in memory only);
+// at most REFUND_LEDGER_MAX_CHECKS (default 10000) checks are kept, the least recently updated dropped first.
+
+import { log } from './logger.js';
+import { JsonFileStore } from './jsonFileStore.js';
+
+const MAX_CHECKS = Number(process.env.REFUND_LEDGER_MAX_CHECKS || 10000);
+
+class RefundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefundError';
+  }
+}
+
+class RefundLedger {
+  constructor({ file = 'refunds.json', persist = true, now = Date.now, maxChecks = MAX_CHECKS } = {}) {
+    this.fileStore = persist ? new JsonFileStore(file, { checks: [] }) : undefined;
+    this.now = now;
+    this.maxChecks = Math.max(1, maxChecks);
+    this.checks = new Map(); // checkReference -> { payments: [], refunds: [] }, least recently updated first
+    if (this.fileStore) {
+      const loaded = this.fileStore.load().checks || [];
+      loaded.sort((a, b) => String(a.updatedAt || '').localeCompare(String(b.updatedAt || '')));
+      for (const c of loaded) this.checks.set(c.checkReference, c);
+    }
+  }
+
+  persist() {
+    if (!this.fileStore) return;
+    try {
+      this.fileStore.save({ checks: [...this.checks.values()] });
+    } catch (e) {
+      log.error('Refund ledger persist failed', { error: String(e?.message || e) });
+    }
+  }
+
+  // Mark a check updated (re-inserted so the map stays in update order) and apply the cap
+  touch(c) {
+    c.updatedAt = new Date(this.now()).toISOString();
+    this.checks.delete(c.checkReference);
+    this.checks.set(c.checkReference, c);
+    for (const key of this.checks.keys()) {
+      if (this.checks.size <= this.maxChecks) break;
+      this.checks.delete(key);
+    }
+  }
+
+  entry(checkReference) {
+    const key = String(checkReference);
+    let c = this.checks.get(key);
+    if (!c) {
+      c = { checkReference: key, payments: [], refunds: [] };
+      this.checks.set(key, c);
+    }
+    return c;
+  }
+
+  // A successful payment on the check (repeats of the same transactionId are ignored)
+  recordPayment(checkReference, { transactionId, amountMinor, referenceCode }) {
+    if (!checkReference || !(amountMinor > 0)) return undefined;
+    const c = this.entry(checkReference);
+    if (transactionId && c.payments.some((p) => p.transactionId === transactionId)) return c;
+    c.payments.push({ transactionId, amountMinor, referenceCode, status: 'paid', at: new Date(this.now()).toISOString() });
+    this.touch(c);
+    this.persist();
+    return c;
+  }
+
+  // A cancelled (voided) payment no longer counts as paid
+  voidPayment(checkReference, transactionId) {
+    const c = this.checks.get(String(checkReference));
+    const p = c?.payments.find((x) => x.transactionId === transactionId && x.status === 'paid');
+    if (!p) return undefined;
+    p.status = 'voided';
+    this.touch(c);
+    this.persist();
+    return c;
+  }
+
+  totals(checkReference) {
+    const c = this.checks.get(String(checkReference));
+    const paidMinor = (c?.payments || []).filter((p) => p.status === 'paid').reduce((s, p) => s + p.amountMinor, 0);
+    const refundedMinor = (c?.refunds || []).reduce((s, r) => s + r.amountMinor, 0);
+    return { paidMinor, refundedMinor, refundableMinor: Math.max(0, paidMinor - refundedMinor) };
+  }
+
+  // Record a refund. amountMinor undefined = refund everything still refundable.
+  // Returns { duplicate, refund, paidMinor, refundedMinor, full }; throws RefundError when the
+  // refund is not covered by payments on the check.
+  recordRefund(checkReference, { refundId, originalTransactionId, amountMinor, referenceCode }) {
+    const c = this.entry(checkReference);
+    const existing = refundId && c.refunds.find((r) => r.refundId === refundId);
+    if (existing) {
+      const totals = this.totals(checkReference);
+      return { duplicate: true, refund: existing, ...totals, full: totals.refundableMinor === 0 };
+    }
+    const { paidMinor, refundableMinor } = this.totals(checkReference);
+    if (paidMinor === 0) throw new RefundError('refund_without_payment');
+    const refundMinor = amountMinor == null ? refundableMinor : amountMinor;
+    if (!(refundMinor > 0)) throw new RefundError(refundableMinor === 0 ? 'refund_exceeds_paid' : 'refund_amount_invalid');
+    if (refundMinor > refundableMinor) throw new RefundError('refund_exceeds_paid');
+    const refund = { refundId, originalTransactionId, amountMinor: refundMinor, referenceCode, at: new Date(this.now()).toISOString() };
+    c.refunds.push(refund);
+    this.touch(c);
+    this.persist();
+    const totals = this.totals(checkReference);
+    return { duplicate: false, refund, ...totals, full: totals.refundableMinor === 0 };
+  }
+
+  get(checkReference) {
+    const c = this.checks.get(String(checkReference));
+    return c && { ...c, ...this.totals(checkReference) };
+  }
+}
+
+export const refunds = new RefundLedger({ persist: String(process.env.REFUND_LEDGER_STORE || 'file').toLowerCase() !== 'memory' });
+
+export { RefundLedger, RefundError };
@@ -0,0 +1,35 @@
+// Retry with exponential backoff and full jitter
+// delay(n) = random(0, min(maxDelayMs, baseDelayMs * 2^n)) before retry n+1
+
+// Network errors, timeouts, 429 and 5xx are worth another try; other 4xx are not
+function isRetryableHttpError(e) {
+  if (e?.code === 'circuit_open') return false;
+  const status = e?.response?.status;
+  if (status == null) return true;
+  return status === 429 || status >= 500;
+}
+
+function backoffDelay(attempt, { baseDelayMs = 200, maxDelayMs = 2000, random = Math.random } = {}) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.floor(random() * cap);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// fn(attempt) is called up to retries + 1 times
+async function withRetry(fn, { retries = 2, baseDelayMs = 200, maxDelayMs = 2000, retryable = isRetryableHttpError, onRetry, random } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      if (attempt >= retries || !retryable(e)) throw e;
+      const delayMs = backoffDelay(attempt, { baseDelayMs, maxDelayMs, random });
+      if (onRetry) onRetry(e, { attempt: attempt + 1, delayMs });
+      await sleep(delayMs);
+    }
+  }
+}
+
+export { withRetry, backoffDelay, isRetryableHttpError };
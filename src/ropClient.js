@@ -1,7 +1,14 @@
 import axios from 'axios';
 import { log } from './logger.js';
+import { withRetry, isRetryableHttpError } from './retry.js';
+import { ropBreakers } from './circuitBreaker.js';
 
 const ROP_BASE_URL = process.env.ROP_BASE_URL || 'http://test.ropapi.com/V6/App2App';
+// Retries apply to idempotent calls (CheckDetail); PaymentStatus only with ROP_RETRY_POST=true
+const RETRY_ATTEMPTS = Math.max(0, Number(process.env.ROP_RETRY_ATTEMPTS ?? 2));
+const RETRY_BASE_MS = Number(process.env.ROP_RETRY_BASE_MS || 200);
+const RETRY_MAX_MS = Number(process.env.ROP_RETRY_MAX_MS || 2000);
+const RETRY_POST = String(process.env.ROP_RETRY_POST || 'false').toLowerCase() === 'true';
 
 function reqBaseFrom({ deviceId, restaurantId }) {
   if (!deviceId || restaurantId == null) {
@@ -31,6 +38,26 @@ function makeHttp() {
 }
 const http = makeHttp();
 
+// One ROP call: per-restaurant breaker around the (optionally retried) request
+function callRop({ op, restaurantId, retry }, request) {
+  const breaker = ropBreakers.get(restaurantId);
+  return breaker.exec(
+    () => withRetry(request, {
+      retries: retry ? RETRY_ATTEMPTS : 0,
+      baseDelayMs: RETRY_BASE_MS,
+      maxDelayMs: RETRY_MAX_MS,
+      onRetry: (e, { attempt, delayMs }) => log.warn(`ROP ${op} retry`, {
+        restaurantId,
+        attempt,
+        delayMs,
+        status: e?.response?.status,
+        error: String(e?.code || e?.message || e),
+      }),
+    }),
+    { isFailure: isRetryableHttpError },
+  );
+}
+
 async function getCheckDetail({ deviceId, restaurantId, CheckId, CheckNo = 0, TableNo = '' }) {
   const base = reqBaseFrom({ deviceId, restaurantId });
   const params = {
@@ -50,7 +77,7 @@ async function getCheckDetail({ deviceId, restaurantId, CheckId, CheckNo = 0, Ta
     restaurantId,
     checkId: params.CheckId,
   });
-  const { data } = await http.get(url, { params });
+  const { data } = await callRop({ op: 'CheckDetail', restaurantId: base.RestaurantId, retry: true }, () => http.get(url, { params }));
   log.info('ROP CheckDetail ← OK', { ms: Date.now() - t0, checkId: params.CheckId });
   return data;
 }
@@ -85,7 +112,7 @@ async function postPaymentStatus({
     status: body.Status,
     payments: Array.isArray(body.Payments) ? body.Payments.length : 0,
   });
-  const { data } = await http.post(url, body);
+  const { data } = await callRop({ op: 'PaymentStatus', restaurantId: base.RestaurantId, retry: RETRY_POST }, () => http.post(url, body));
   log.info('ROP PaymentStatus ← OK', { ms: Date.now() - t0, checkId: body.CheckId, status: body.Status });
   return data;
 }
@@ -0,0 +1,157 @@
+// Ödeal payment webhook → ROP PaymentStatus `PaymentType`, `Payments` and `Options.TipAmount`
+//
+// Payment type codes (ROP side) come from ROP_PAYMENT_TYPE_CODES, merged over the defaults below.
+// Meal cards without an own entry use MEALCARD; MIXED (if set) is used when one webhook carries
+// several payment types, otherwise the type of the largest payment wins.
+//   ROP_PAYMENT_TYPE_CODES='{"CREDITCARD":1,"CASH":2,"MEALCARD":3,"MULTINET":4}'
+// Output field names can be renamed or dropped (null) with ROP_PAYMENT_FIELDS:
+//   ROP_PAYMENT_FIELDS='{"Rrn":"RetrievalReferenceNumber","CardLastFour":null}'
+// Adapter customer → PaymentStatus `Customer`; ROP_CUSTOMER_FIELDS renames/drops the same way.
+
+import { log } from './logger.js';
+import { toMinor, fromMinor } from './money.js';
+import { normalizeType, isMealCardType } from './paymentOptions.js';
+
+const DEFAULT_TYPE_CODES = { CREDITCARD: 1, CASH: 2, MEALCARD: 3 };
+
+function parseJsonEnv(name) {
+  const raw = process.env[name];
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    log.error(`${name} is not valid JSON; using defaults`, { error: String(e?.message || e) });
+    return {};
+  }
+}
+
+function typeCodes() {
+  const codes = { ...DEFAULT_TYPE_CODES };
+  for (const [k, v] of Object.entries(parseJsonEnv('ROP_PAYMENT_TYPE_CODES'))) {
+    codes[String(k).toUpperCase()] = Number(v);
+  }
+  return codes;
+}
+
+function ropPaymentType(type, codes = typeCodes()) {
+  if (codes[type] != null) return codes[type];
+  if (isMealCardType(type)) return codes.MEALCARD;
+  return codes.CREDITCARD;
+}
+
+function amountOf(v) {
+  return v == null || v === '' || !Number.isFinite(Number(v)) ? undefined : toMinor(v);
+}
+
+function first(obj, keys) {
+  for (const k of keys) {
+    if (obj?.[k] != null && obj[k] !== '') return obj[k];
+  }
+  return undefined;
+}
+
+function lastFour(p) {
+  const direct = first(p, ['cardLastFour', 'lastFour', 'lastFourDigits', 'last4']);
+  if (direct != null) return String(direct).slice(-4);
+  const masked = first(p, ['maskedPan', 'maskedCardNumber', 'cardNumber']);
+  const digits = masked == null ? '' : String(masked).replace(/\D/g, '');
+  return digits.length >= 4 ? digits.slice(-4) : undefined;
+}
+
+// One Ödeal payment (the webhook body, or an entry of its payments list)
+function paymentType(p) {
+  return normalizeType(first(p, ['paymentType', 'paymentMethod', 'paymentOptionType', 'type', 'cardType'])) || 'CREDITCARD';
+}
+
+function toPayment(p, { transactionId, referenceCode, amountMinor, codes }) {
+  const type = paymentType(p);
+  return {
+    Amount: fromMinor(amountMinor ?? amountOf(first(p, ['amount', 'paidAmount', 'totalAmount'])) ?? 0),
+    PaymentType: ropPaymentType(type, codes),
+    Type: type,
+    TransactionId: first(p, ['transactionId']) ?? transactionId,
+    ReferenceCode: referenceCode,
+    CardType: first(p, ['cardBrand', 'cardScheme', 'cardAssociation']),
+    CardLastFour: type === 'CASH' ? undefined : lastFour(p),
+    AuthCode: first(p, ['authCode', 'authorizationCode', 'approvalCode']),
+    Rrn: first(p, ['rrn', 'RRN', 'retrievalReferenceNumber', 'hostReferenceNumber']),
+    Installment: first(p, ['installment', 'installmentCount']),
+  };
+}
+
+function renameFields(payment, fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(payment)) {
+    if (v === undefined) continue;
+    const target = Object.prototype.hasOwnProperty.call(fields, k) ? fields[k] : k;
+    if (target) out[target] = v;
+  }
+  return out;
+}
+
+// body: payment webhook; split: { amountMinor, referenceCode, transactionId } for a split share
+// Returns { PaymentType, Payments, Options: { TipAmount } }
+function mapWebhookPayment(type, body, { split } = {}) {
+  const tipMinor = amountOf(first(body, ['tipAmount', 'TipAmount', 'tip'])) || 0;
+  const options = { TipAmount: fromMinor(tipMinor) };
+  const codes = typeCodes();
+  if (type !== 'payment-succeeded') {
+    const t = normalizeType(first(body, ['paymentType', 'paymentMethod', 'paymentOptionType']));
+    return { PaymentType: t ? ropPaymentType(t, codes) : codes.CREDITCARD, Payments: [], Options: options };
+  }
+  const transactionId = split?.transactionId ?? body?.transactionId;
+  const referenceCode = split?.referenceCode ?? (body?.basketReferenceCode || body?.referenceCode);
+  const list = Array.isArray(body?.payments) && body.payments.length ? body.payments : undefined;
+  const payments = list
+    ? list.map((p) => toPayment(p, { transactionId, referenceCode, codes }))
+    : [toPayment(body, { transactionId, referenceCode, amountMinor: split?.amountMinor, codes })];
+
+  const types = [...new Set(payments.map((p) => p.Type))];
+  let topType = payments[0].PaymentType;
+  if (types.length > 1) {
+    topType = codes.MIXED ?? [...payments].sort((a, b) => b.Amount - a.Amount)[0].PaymentType;
+  }
+  const fields = parseJsonEnv('ROP_PAYMENT_FIELDS');
+  return {
+    PaymentType: topType,
+    Payments: payments.map((p) => renameFields(p, fields)),
+    Options: options,
+  };
+}
+
+// payback-succeeded: one negative Payments entry for the refunded amount
+function mapRefundPayment(body, { amountMinor, referenceCode, originalTransactionId } = {}) {
+  const codes = typeCodes();
+  const payment = toPayment(body, { referenceCode, amountMinor: -amountMinor, codes });
+  payment.TransactionId = first(body, ['paybackId', 'paybackTransactionId', 'refundTransactionId', 'transactionId']);
+  payment.OriginalTransactionId = originalTransactionId;
+  return {
+    PaymentType: payment.PaymentType,
+    Payments: [renameFields(payment, parseJsonEnv('ROP_PAYMENT_FIELDS'))],
+    Options: { TipAmount: 0 },
+  };
+}
+
+// Doc-shaped adapter customer (customers.js) → ROP customer
+function mapCustomer(customer) {
+  if (!customer) return undefined;
+  const out = {
+    Code: customer.referenceCode,
+    Type: customer.type,
+    Title: customer.title,
+    Name: customer.name,
+    Surname: customer.surname,
+    TaxOffice: customer.taxOffice,
+    TaxNumber: customer.taxNumber,
+    IdentityNumber: customer.identityNumber,
+    Phone: customer.gsmNumber,
+    Email: customer.email,
+    City: customer.city,
+    Town: customer.town,
+    Address: customer.address,
+  };
+  return renameFields(out, parseJsonEnv('ROP_CUSTOMER_FIELDS'));
+}
+
+export { mapWebhookPayment, mapRefundPayment, mapCustomer, ropPaymentType, typeCodes };
@@ -4,17 +4,31 @@ import morgan from 'morgan';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import { timingSafeEqual } from 'node:crypto';
-import { resolveBasket } from './basketProvider.js';
-import { makeEventKey, isDuplicate, remember } from './idempotencyStore.js';
-import { postPaymentStatus } from './ropClient.js';
+import { resolveBasket, basketDefaults, BasketResolutionError, mockFallbackAllowed } from './basketProvider.js';
+import { storedBaskets, buildFromSpec } from './providers.js';
+import { BasketValidationError } from './basketBuilder.js';
+import { makeEventKey, payloadHash, claim, complete, release } from './idempotencyStore.js';
+import { ropBreakers } from './circuitBreaker.js';
+import { outbox, OutboxError } from './outbox.js';
+import { webhookQueue, WebhookQueueError } from './webhookQueue.js';
+import { ledger } from './transactionLedger.js';
+import { refunds } from './refundLedger.js';
+import { invoices } from './invoiceStore.js';
+import { processWebhookEvent, eventOrderingKey, ROUTE_ROP_AUTOSYNC } from './webhookProcessor.js';
 import { refMap } from './refMap.js';
+import { customerStore } from './customers.js';
+import { validateCustomer, blockingErrors } from './customerValidator.js';
 import { log } from './logger.js';
-import { parseCompositeReference } from './referenceParser.js';
+import { parseSplitReference, parseCompositeReference } from './referenceParser.js';
+import { paymentPlans, normalizeType } from './paymentOptions.js';
+import { checkSplits, summarizeSplit, SplitError } from './checkSplits.js';
+import { fromMinor } from './money.js';
+import { parseA2aResult, resultRedirect, isWebUrl, deepLinkPage } from './a2aResult.js';
+import { paymentLinks, summarizeLink, PaymentLinkError } from './paymentLinks.js';
 
 const app = express();
 const PORT = Number(process.env.PORT || 8787);
 const ODEAL_REQUEST_KEY = process.env.ODEAL_REQUEST_KEY;
-const ROUTE_ROP_AUTOSYNC = String(process.env.ROUTE_ROP_AUTOSYNC || 'false').toLowerCase() === 'true';
 const EMP_REF_SET = Boolean(
   process.env.ODEAL_EMPLOYEE_REF ||
   process.env.ODEAL_EMPLOYEE_CODE ||
@@ -26,23 +40,44 @@ const EMP_REF_SET = Boolean(
 );
 const REF_MAP_KEY = process.env.REF_MAP_KEY || '';
 const REF_MAP_ENABLED = String(process.env.REF_MAP_ENABLED || 'true').toLowerCase() === 'true';
+// POS/operator endpoints (payment plans, ...) are guarded by X-ROP-ADAPTER-KEY
+const ADAPTER_ADMIN_KEY = process.env.ADAPTER_ADMIN_KEY || REF_MAP_KEY;
+// Without a key they are closed; ADAPTER_ADMIN_OPEN=true leaves them open for local work (never in production)
+const ADAPTER_ADMIN_OPEN = String(process.env.ADAPTER_ADMIN_OPEN || 'false').toLowerCase() === 'true' && process.env.NODE_ENV !== 'production';
 const CUSTOMER_STRICT = String(process.env.ODEAL_CUSTOMER_STRICT || 'false').toLowerCase() === 'true';
 
-// Simple in-memory customer store for dev/testing of customerGetUrl/customerPostUrl
-const customerStore = new Map(); // key: referenceCode, value: customer object (doc-shaped)
-
 if (!ODEAL_REQUEST_KEY) {
   log.warn('ODEAL_REQUEST_KEY is not set; requests will be unauthorized');
 }
+if (!ADAPTER_ADMIN_KEY) {
+  if (ADAPTER_ADMIN_OPEN) log.warn('ADAPTER_ADMIN_KEY is not set and ADAPTER_ADMIN_OPEN=true; POS/operator endpoints are open');
+  else log.warn('ADAPTER_ADMIN_KEY is not set; POS/operator endpoints will be unauthorized');
+}
 
 // Startup diagnostics
 log.info('Adapter starting', {
   port: PORT,
   basketProvider: (process.env.BASKET_PROVIDER || 'mock').toLowerCase(),
+  providerRoutes: Boolean(process.env.BASKET_PROVIDER_ROUTES),
+  providerModules: process.env.BASKET_PROVIDER_MODULES || undefined,
   basketDefaultTotal: process.env.BASKET_DEFAULT_TOTAL || '100.00',
   routeRopAutosync: ROUTE_ROP_AUTOSYNC,
   employeeRefConfigured: EMP_REF_SET,
+  mockFallback: mockFallbackAllowed(),
 });
+if (process.env.NODE_ENV === 'production' && (process.env.BASKET_PROVIDER || 'mock').toLowerCase() === 'mock') {
+  log.warn('BASKET_PROVIDER=mock in production; every reference gets a mock basket');
+}
+
+// Device-facing error body for a basket that could not be resolved
+function basketErrorBody(e) {
+  return { error: e.code, message: e.displayMessage, detail: e.detail };
+}
+
+// 422 body for customer validation: field-level codes, plus a one-line detail for older clients
+function customerErrorBody(errors) {
+  return { error: 'customer_validation_error', detail: errors.map((e) => `${e.field} ${e.code}`).join(', '), errors };
+}
 
 // Basic hardening
 app.disable('x-powered-by');
@@ -66,6 +101,7 @@ app.use((req, res, next) => {
   next();
 });
 app.use(express.json({ limit: '1mb' }));
+app.use('/odeal', express.urlencoded({ extended: false, limit: '64kb' }));
 
 // Lightweight rate-limiting to protect webhook/basket endpoints
 const limiter = rateLimit({
@@ -74,7 +110,7 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
 });
-app.use(['/webhooks/odeal', '/app2app'], limiter);
+app.use(['/webhooks/odeal', '/app2app', '/odeal'], limiter);
 
 function timingSafeEqualStr(a, b) {
   if (typeof a !== 'string' || typeof b !== 'string') return false;
@@ -100,17 +136,70 @@ function verifyOdeal(req, res) {
   return true;
 }
 
+// Without a configured key these endpoints are closed unless ADAPTER_ADMIN_OPEN opted out
+function verifyAdapterKey(req, res) {
+  const rid = res.locals.rid;
+  if (!ADAPTER_ADMIN_KEY) {
+    if (ADAPTER_ADMIN_OPEN) return true;
+    log.warn('Adapter key auth failed', { rid, reason: 'no-server-key', path: req.path });
+    res.status(401).json({ error: 'unauthorized' });
+    return false;
+  }
+  const provided = req.get('X-ROP-ADAPTER-KEY') || '';
+  if (!timingSafeEqualStr(provided, ADAPTER_ADMIN_KEY)) {
+    log.warn('Adapter key auth failed', { rid, reason: provided ? 'mismatch' : 'no-header', path: req.path });
+    res.status(401).json({ error: 'unauthorized' });
+    return false;
+  }
+  return true;
+}
+
+// Health with ROP breaker state; stays 200 so a ROP outage does not take the adapter out of rotation
+function healthBody() {
+  return {
+    ok: true,
+    ts: new Date().toISOString(),
+    rop: { degraded: ropBreakers.anyOpen(), breakers: ropBreakers.snapshot() },
+    webhooks: webhookQueue.stats(),
+  };
+}
+
 app.get('/health', (req, res) => {
-  res.json({ ok: true, ts: new Date().toISOString() });
+  res.json(healthBody());
 });
 
-app.get('/ecommerce', (req, res) => {
-  res.json({ ok: true, message: 'eCommerce endpoint - not implemented yet' });
+// Payment-link references are served from the basket copied when the link was created.
+// Returns false when the reference is not a payment link.
+function servePaymentLinkBasket(referenceCode, res) {
+  const rid = res.locals.rid;
+  let basket;
+  try {
+    basket = paymentLinks.basketFor(referenceCode);
+  } catch (e) {
+    if (!(e instanceof PaymentLinkError)) throw e;
+    log.warn('Payment link not payable', { rid, ref: referenceCode, error: e.message });
+    res.status(e.message === 'payment_link_paid' ? 409 : 410).json({ error: e.message });
+    return true;
+  }
+  if (!basket) return false;
+  log.info('Basket response (payment link)', { rid, ref: referenceCode, total: basket.basketPrice.grossPrice });
+  ledger.basketServed(basket, { rid });
+  res.json(basket);
+  return true;
+}
+
+// eCommerceUrl: Ödeal fetches the basket of a payment link (path param or ?referenceCode=)
+app.get(['/ecommerce/:referenceCode', '/ecommerce'], (req, res) => {
+  const ref = req.params.referenceCode || req.query.referenceCode || req.query.basketReferenceCode;
+  if (!ref) return res.json({ ok: true, paymentLinks: true });
+  if (!verifyOdeal(req, res)) return;
+  log.info('eCommerce basket request', { rid: res.locals.rid, ref });
+  if (!servePaymentLinkBasket(String(ref), res)) return res.status(404).json({ error: 'payment_link_not_found' });
 });
 
 // Compatibility aliases for legacy serverless paths (no Vercel/Netlify now)
 app.get('/api/health', (req, res) => {
-  res.json({ ok: true, ts: new Date().toISOString() });
+  res.json(healthBody());
 });
 
 // Customers (Konfigürasyon → customerGetUrl/customerPostUrl)
@@ -138,6 +227,8 @@ app.get(['/app2app/customers/:referenceCode', '/app2app/customers'], (req, res)
 });
 
 // POST create/update customer
+// Validated by customerValidator.js; without ODEAL_CUSTOMER_STRICT missing fields are tolerated
+// (referenceCode/type/title synthesized) but wrong ones (bad TCKN/VKN, GSM, e-mail) are not.
 app.post('/app2app/customers', (req, res) => {
   if (!verifyOdeal(req, res)) return;
   const rid = res.locals.rid;
@@ -145,37 +236,14 @@ app.post('/app2app/customers', (req, res) => {
   const ref = String(body.referenceCode || '').trim();
   const type = String(body.type || '').trim();
   const title = String(body.title || '').trim();
-  if (!ref || !type || !title) {
-    if (CUSTOMER_STRICT) {
-      log.warn('Customer POST validation failed', { rid, hasRef: Boolean(ref), hasType: Boolean(type), hasTitle: Boolean(title) });
-      return res.status(422).json({ error: 'customer_validation_error', detail: 'referenceCode, type, title required' });
-    }
-    // Permissive mode: synthesize minimal acceptable record
-    const synthesizedRef = ref || `CUST_${rid}`;
-    const synthesized = {
-      referenceCode: synthesizedRef,
-      type: type || 'PERSON',
-      title: title || 'End Consumer',
-      name: body.name || undefined,
-      surname: body.surname || undefined,
-      taxOffice: body.taxOffice || undefined,
-      taxNumber: body.taxNumber || undefined,
-      identityNumber: body.identityNumber || undefined,
-      gsmNumber: body.gsmNumber || undefined,
-      email: body.email || undefined,
-      city: body.city || undefined,
-      town: body.town || undefined,
-      address: body.address || undefined,
-    };
-    customerStore.set(synthesizedRef, synthesized);
-    log.info('Customer POST synthesized', { rid, ref: synthesizedRef });
-    return res.json(synthesized);
-  }
+  const missing = [['referenceCode', ref, 'reference_code_required'], ['type', type, 'type_required'], ['title', title, 'title_required']]
+    .filter(([, v]) => !v)
+    .map(([field, , code]) => ({ field, code }));
   // Store doc-shaped customer record (allow overwrites)
   const record = {
-    referenceCode: ref,
-    type,
-    title,
+    referenceCode: ref || `CUST_${rid}`,
+    type: type || 'PERSON',
+    title: title || 'End Consumer',
     name: body.name || undefined,
     surname: body.surname || undefined,
     taxOffice: body.taxOffice || undefined,
@@ -187,19 +255,100 @@ app.post('/app2app/customers', (req, res) => {
     town: body.town || undefined,
     address: body.address || undefined,
   };
-  customerStore.set(ref, record);
-  log.info('Customer POST stored', { rid, ref });
-  return res.status(201).json(record);
+  const { customer, errors } = validateCustomer(record);
+  const all = [...missing, ...errors];
+  const blocking = blockingErrors(all, { strict: CUSTOMER_STRICT });
+  if (blocking.length) {
+    log.warn('Customer POST validation failed', { rid, errors: blocking });
+    return res.status(422).json(customerErrorBody(blocking));
+  }
+  if (all.length) log.info('Customer POST incomplete', { rid, ref: customer.referenceCode, errors: all.map((e) => e.code) });
+  const stored = customerStore.set(customer.referenceCode, customer, { basketReferenceCode: body.basketReferenceCode });
+  if (missing.length) {
+    log.info('Customer POST synthesized', { rid, ref: stored.referenceCode });
+    return res.json(stored);
+  }
+  log.info('Customer POST stored', { rid, ref, linked: Boolean(body.basketReferenceCode) });
+  return res.status(201).json(stored);
+});
+
+// Customer store (admin)
+// ?q=<title, reference or number>&title=&taxNumber=&identityNumber=&gsmNumber=&limit=100
+app.get('/app2app/customer-store', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const q = req.query || {};
+  const str = (v) => (v == null || v === '' ? undefined : String(v));
+  const customers = customerStore.list({
+    q: str(q.q),
+    title: str(q.title),
+    taxNumber: str(q.taxNumber),
+    identityNumber: str(q.identityNumber),
+    gsmNumber: str(q.gsmNumber),
+    limit: Number(q.limit) || 100,
+  });
+  return res.json({ count: customers.length, customers });
+});
+
+app.get('/app2app/customer-store/:referenceCode', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const customer = customerStore.get(req.params.referenceCode);
+  if (!customer) return res.status(404).json({ error: 'not_found' });
+  return res.json(customer);
 });
 
-// Register UUID -> CheckId mapping from device/app
+// Body: fields to change; null removes a field
+app.patch('/app2app/customer-store/:referenceCode', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const next = customerStore.patched(req.params.referenceCode, body);
+  if (!next) return res.status(404).json({ error: 'not_found' });
+  const { customer, errors } = validateCustomer(next);
+  const blocking = blockingErrors(errors, { strict: CUSTOMER_STRICT });
+  if (blocking.length) return res.status(422).json(customerErrorBody(blocking));
+  const stored = customerStore.set(req.params.referenceCode, customer);
+  log.info('Customer updated', { rid: res.locals.rid, ref: req.params.referenceCode, fields: Object.keys(body) });
+  return res.json(stored);
+});
+
+app.delete('/app2app/customer-store/:referenceCode', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const removed = customerStore.delete(req.params.referenceCode);
+  log.info('Customer deleted', { rid: res.locals.rid, ref: req.params.referenceCode, removed });
+  return res.json({ ok: true, removed });
+});
+
+// One refMap registration from the device/app: { referenceCode, checkId, ttlSeconds?, deviceId?, restaurantId? }.
+// Returns { item } or { error }; deviceId and restaurantId come together (composite ROP credentials).
+function refRegistration(raw) {
+  const body = raw && typeof raw === 'object' ? raw : {};
+  const ref = String(body.referenceCode || body.ref || '').trim();
+  const checkId = Number(body.checkId || body.CheckId || 0);
+  const ttlSec = Number(body.ttlSeconds || 0);
+  const deviceId = String(body.deviceId ?? body.DeviceId ?? '').trim();
+  const restaurantIdRaw = body.restaurantId ?? body.RestaurantId;
+  const restaurantId = restaurantIdRaw == null || restaurantIdRaw === '' ? undefined : Number(restaurantIdRaw);
+  if (!ref || !checkId || Number.isNaN(checkId)) return { error: 'invalid_payload' };
+  if (Boolean(deviceId) !== (restaurantId !== undefined)) return { error: 'credentials_incomplete' };
+  if (deviceId.includes('_')) return { error: 'device_id_invalid' };
+  if (restaurantId !== undefined && !(Number.isInteger(restaurantId) && restaurantId > 0)) return { error: 'restaurant_id_invalid' };
+  return {
+    item: { referenceCode: ref, checkId, ttlMs: ttlSec > 0 ? ttlSec * 1000 : undefined, deviceId: deviceId || undefined, restaurantId },
+  };
+}
+
+function refMapEnabled(res) {
+  if (REF_MAP_ENABLED) return true;
+  log.warn('RefMap disabled', { rid: res.locals.rid });
+  res.status(404).json({ error: 'disabled' });
+  return false;
+}
+
+// Register UUID -> CheckId mapping from device/app.
+// Body: one registration, or an array / { refs: [...] } registered together (all or nothing)
 app.post('/app2app/refs', (req, res) => {
   try {
     const rid = res.locals.rid;
-    if (!REF_MAP_ENABLED) {
-      log.warn('RefMap disabled', { rid });
-      return res.status(404).json({ error: 'disabled' });
-    }
+    if (!refMapEnabled(res)) return;
     if (REF_MAP_KEY) {
       const provided = req.get('X-ROP-ADAPTER-KEY') || '';
       if (!provided || provided !== REF_MAP_KEY) {
@@ -208,23 +357,270 @@ app.post('/app2app/refs', (req, res) => {
       }
     }
     const body = req.body || {};
-    const ref = String(body.referenceCode || body.ref || '').trim();
-    const checkId = Number(body.checkId || body.CheckId || 0);
-    const ttlSec = Number(body.ttlSeconds || 0);
-    if (!ref || !checkId || Number.isNaN(checkId)) {
-      log.warn('RefMap invalid payload', { rid, hasRef: Boolean(ref), checkId });
-      return res.status(400).json({ error: 'invalid_payload' });
+    const bulk = Array.isArray(body) ? body : Array.isArray(body.refs) ? body.refs : undefined;
+    if (bulk) {
+      const parsed = bulk.map(refRegistration);
+      const errors = parsed.map((p, index) => p.error && { index, error: p.error }).filter(Boolean);
+      if (!bulk.length || errors.length) {
+        log.warn('RefMap invalid bulk payload', { rid, count: bulk.length, errors: errors.length });
+        return res.status(400).json({ error: 'invalid_payload', errors });
+      }
+      const entries = refMap.setMany(parsed.map((p) => p.item));
+      log.info('RefMap bulk set', { rid, count: entries.length });
+      return res.json({ ok: true, count: entries.length, entries });
     }
-    const ttlMs = ttlSec > 0 ? ttlSec * 1000 : undefined;
-    refMap.set(ref, checkId, ttlMs);
-    log.info('RefMap set', { rid, refPrefix: ref.substring(0, 8), checkId, ttlMs: ttlMs ?? 'default' });
-    return res.json({ ok: true });
+    const { item, error } = refRegistration(body);
+    if (error) {
+      log.warn('RefMap invalid payload', { rid, error, hasRef: Boolean(body.referenceCode || body.ref) });
+      return res.status(400).json({ error });
+    }
+    const entry = refMap.set(item.referenceCode, item.checkId, item.ttlMs, item);
+    log.info('RefMap set', { rid, refPrefix: item.referenceCode.substring(0, 8), checkId: item.checkId, composite: Boolean(entry.deviceId), ttlMs: item.ttlMs ?? 'default' });
+    return res.json({ ok: true, entry });
   } catch (e) {
     log.error('RefMap error', { error: String(e?.message || e) });
     return res.status(500).json({ error: 'server_error' });
   }
 });
 
+// RefMap entries (admin) ?deviceId=&restaurantId=&limit=100, newest first
+app.get('/app2app/refs', (req, res) => {
+  if (!refMapEnabled(res) || !verifyAdapterKey(req, res)) return;
+  const q = req.query || {};
+  const entries = refMap.list({
+    deviceId: q.deviceId ? String(q.deviceId) : undefined,
+    restaurantId: q.restaurantId ? Number(q.restaurantId) : undefined,
+    limit: Number(q.limit) || 100,
+  });
+  return res.json({ count: entries.length, entries });
+});
+
+app.get('/app2app/refs/:referenceCode', (req, res) => {
+  if (!refMapEnabled(res) || !verifyAdapterKey(req, res)) return;
+  const entry = refMap.entry(req.params.referenceCode);
+  if (!entry) return res.status(404).json({ error: 'not_found' });
+  return res.json({ ...entry, effectiveReference: refMap.effectiveReference(req.params.referenceCode) });
+});
+
+app.delete('/app2app/refs/:referenceCode', (req, res) => {
+  if (!refMapEnabled(res) || !verifyAdapterKey(req, res)) return;
+  const removed = refMap.delete(req.params.referenceCode);
+  log.info('RefMap deleted', { rid: res.locals.rid, refPrefix: req.params.referenceCode.substring(0, 8), removed });
+  return res.json({ ok: true, removed });
+});
+
+// Split-payment plan from the POS: which option types (and amounts) the device should offer
+app.post('/app2app/payment-plans', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const rid = res.locals.rid;
+  const body = req.body || {};
+  const ref = String(body.referenceCode || '').trim();
+  const raw = Array.isArray(body.paymentOptions) ? body.paymentOptions : [];
+  const ttlSec = Number(body.ttlSeconds || 0);
+  if (!ref || raw.length === 0) {
+    log.warn('Payment plan invalid payload', { rid, hasRef: Boolean(ref), options: raw.length });
+    return res.status(400).json({ error: 'invalid_payload' });
+  }
+  const plan = [];
+  for (const p of raw) {
+    const type = normalizeType(p?.type);
+    const amount = p?.amount == null || p.amount === '' ? undefined : Number(p.amount);
+    if (!type || (amount !== undefined && !(amount > 0))) {
+      log.warn('Payment plan invalid option', { rid, type: p?.type, amount: p?.amount });
+      return res.status(422).json({ error: 'payment_plan_invalid', detail: !type ? 'payment_option_type_invalid' : 'payment_option_amount_invalid' });
+    }
+    plan.push(amount === undefined ? { type } : { type, amount });
+  }
+  if (plan.filter((p) => p.amount === undefined).length > 1) {
+    return res.status(422).json({ error: 'payment_plan_invalid', detail: 'payment_option_amount_invalid' });
+  }
+  paymentPlans.set(ref, plan, ttlSec > 0 ? ttlSec * 1000 : undefined);
+  log.info('Payment plan set', { rid, ref, types: plan.map((p) => p.type).join(',') });
+  return res.json({ ok: true, referenceCode: ref, paymentOptions: plan });
+});
+
+app.get('/app2app/payment-plans/:referenceCode', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const plan = paymentPlans.get(req.params.referenceCode);
+  if (!plan) return res.status(404).json({ error: 'not_found' });
+  return res.json({ referenceCode: req.params.referenceCode, paymentOptions: plan });
+});
+
+app.delete('/app2app/payment-plans/:referenceCode', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const removed = paymentPlans.delete(req.params.referenceCode);
+  log.info('Payment plan deleted', { rid: res.locals.rid, ref: req.params.referenceCode, removed });
+  return res.json({ ok: true, removed });
+});
+
+// Ad-hoc baskets for the `stored` provider (route references to it via BASKET_PROVIDER_ROUTES)
+// Body: { referenceCode, items: [...], adjustments?, paymentOptions?, ttlSeconds? } or { referenceCode, basket: {...} }
+app.post('/app2app/stored-baskets', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const rid = res.locals.rid;
+  const body = req.body || {};
+  const ref = String(body.referenceCode || '').trim();
+  const spec = body.basket && typeof body.basket === 'object' ? body.basket : body;
+  if (!ref) return res.status(400).json({ error: 'invalid_payload' });
+  try {
+    // Build once up front so invalid baskets are rejected here, not on the device
+    const basket = buildFromSpec(ref, spec, { defaults: basketDefaults(ref) });
+    const ttlSec = Number(body.ttlSeconds || 0);
+    storedBaskets.set(ref, spec, ttlSec > 0 ? ttlSec * 1000 : undefined);
+    log.info('Stored basket set', { rid, ref, total: basket.basketPrice.grossPrice });
+    return res.status(201).json(basket);
+  } catch (e) {
+    const msg = String(e?.message || e);
+    log.warn('Stored basket rejected', { rid, ref, error: msg });
+    return res.status(422).json({ error: 'basket_validation_error', detail: msg });
+  }
+});
+
+app.get('/app2app/stored-baskets/:referenceCode', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const spec = storedBaskets.get(req.params.referenceCode);
+  if (!spec) return res.status(404).json({ error: 'not_found' });
+  return res.json(buildFromSpec(req.params.referenceCode, spec, { defaults: basketDefaults(req.params.referenceCode) }));
+});
+
+app.delete('/app2app/stored-baskets/:referenceCode', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const removed = storedBaskets.delete(req.params.referenceCode);
+  log.info('Stored basket deleted', { rid: res.locals.rid, ref: req.params.referenceCode, removed });
+  return res.json({ ok: true, removed });
+});
+
+// Split-the-bill (POS): derive child references from one check
+// Body: { "mode": "equal", "parts": 3 } or { "mode": "items", "selections": [[{ "referenceCode", "quantity" }], ...] }
+app.post('/app2app/checks/:referenceCode/splits', async (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const rid = res.locals.rid;
+  const ref = req.params.referenceCode;
+  const body = req.body || {};
+  try {
+    const parent = await resolveBasket(ref);
+    const split = checkSplits.create(parent, { mode: body.mode, parts: body.parts, selections: body.selections });
+    log.info('Split created', { rid, ref, mode: split.mode, children: split.children.length, total: fromMinor(split.totalMinor) });
+    return res.status(201).json(summarizeSplit(split));
+  } catch (e) {
+    const msg = String(e?.message || e);
+    if (e instanceof BasketResolutionError) {
+      log.warn('Split parent basket unavailable', { rid, ref, code: e.code, detail: e.detail });
+      return res.status(e.status).json(basketErrorBody(e));
+    }
+    if (e instanceof SplitError) {
+      log.warn('Split rejected', { rid, ref, error: msg });
+      return res.status(msg === 'split_in_progress' ? 409 : 422).json({ error: msg });
+    }
+    if (e instanceof BasketValidationError) {
+      log.warn('Split basket validation error', { rid, ref, error: msg });
+      return res.status(422).json({ error: 'basket_validation_error', detail: msg });
+    }
+    log.error('Split error', { rid, ref, error: msg });
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+app.get('/app2app/checks/:referenceCode/splits', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const split = checkSplits.get(req.params.referenceCode);
+  if (!split) return res.status(404).json({ error: 'not_found' });
+  return res.json(summarizeSplit(split));
+});
+
+app.delete('/app2app/checks/:referenceCode/splits', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  try {
+    const removed = checkSplits.delete(req.params.referenceCode);
+    log.info('Split deleted', { rid: res.locals.rid, ref: req.params.referenceCode, removed });
+    return res.json({ ok: true, removed });
+  } catch (e) {
+    return res.status(409).json({ error: String(e?.message || e) });
+  }
+});
+
+// Payment links (POS): remote payment of a check for takeaway / delivery
+// Body: { "referenceCode": "<check reference>", "channel": "takeaway" | "delivery", "description"?, "ttlMs"? }
+app.post('/app2app/payment-links', async (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const rid = res.locals.rid;
+  const body = req.body || {};
+  const ref = typeof body.referenceCode === 'string' ? body.referenceCode.trim() : '';
+  if (!ref) return res.status(400).json({ error: 'reference_code_missing' });
+  if (body.ttlMs != null && !(Number(body.ttlMs) > 0)) return res.status(400).json({ error: 'ttl_invalid' });
+  // Device UUID references registered in the refMap stand for their check
+  const checkReference = refMap.effectiveReference(ref) || ref;
+  if (!parseCompositeReference(checkReference)) return res.status(422).json({ error: 'check_reference_not_composite' });
+  let basket;
+  try {
+    basket = await resolveBasket(checkReference, { paymentOptions: paymentPlans.get(ref) || paymentPlans.get(checkReference) });
+    const link = await paymentLinks.create(basket, {
+      checkReference,
+      channel: body.channel || undefined,
+      description: typeof body.description === 'string' ? body.description : undefined,
+      ttlMs: body.ttlMs != null ? Number(body.ttlMs) : undefined,
+    });
+    log.info('Payment link created', { rid, ref: link.referenceCode, check: checkReference, channel: link.channel, total: link.amount, expiresAt: link.expiresAt });
+    return res.status(201).json(summarizeLink(link));
+  } catch (e) {
+    const msg = String(e?.message || e);
+    if (e instanceof BasketResolutionError) {
+      log.warn('Payment link basket unavailable', { rid, ref, code: e.code, detail: e.detail });
+      return res.status(e.status).json(basketErrorBody(e));
+    }
+    if (e instanceof BasketValidationError) {
+      log.warn('Payment link basket validation error', { rid, ref, error: msg });
+      return res.status(422).json({ error: 'basket_validation_error', detail: msg });
+    }
+    if (e instanceof PaymentLinkError) {
+      log.warn('Payment link rejected', { rid, ref, error: msg });
+      if (msg === 'payment_link_active') return res.status(409).json({ error: msg, referenceCode: e.link.referenceCode, url: e.link.url });
+      if (msg === 'payment_link_pending') return res.status(409).json({ error: msg });
+      return res.status(422).json({ error: msg });
+    }
+    if (!basket) {
+      log.error('Payment link basket error', { rid, ref, error: msg });
+      return res.status(500).json({ error: 'server_error' });
+    }
+    log.error('Payment link creation failed on Ödeal', { rid, ref, error: msg });
+    return res.status(502).json({ error: 'payment_link_failed', detail: msg });
+  }
+});
+
+app.get('/app2app/payment-links', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const links = paymentLinks.list({
+    status: req.query.status ? String(req.query.status) : undefined,
+    checkReference: req.query.checkReference ? String(req.query.checkReference) : undefined,
+    limit: Number(req.query.limit || 100),
+  });
+  return res.json({ count: links.length, links });
+});
+
+app.get('/app2app/payment-links/:referenceCode', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const link = paymentLinks.get(req.params.referenceCode);
+  if (!link) return res.status(404).json({ error: 'not_found' });
+  return res.json(summarizeLink(link));
+});
+
+app.delete('/app2app/payment-links/:referenceCode', async (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const rid = res.locals.rid;
+  const ref = req.params.referenceCode;
+  try {
+    const link = await paymentLinks.cancel(ref);
+    if (!link) return res.status(404).json({ error: 'not_found' });
+    log.info('Payment link cancelled', { rid, ref, check: link.checkReference });
+    return res.json(summarizeLink(link));
+  } catch (e) {
+    const msg = String(e?.message || e);
+    if (e instanceof PaymentLinkError) return res.status(409).json({ error: msg });
+    log.error('Payment link cancel failed on Ödeal', { rid, ref, error: msg });
+    return res.status(502).json({ error: 'payment_link_cancel_failed', detail: msg });
+  }
+});
+
 app.get('/api/app2app/baskets/:referenceCode', async (req, res) => {
   // Reuse the same handler logic as non-/api route by delegating to Express
   req.url = req.url.replace(/^\/api/, '');
@@ -286,6 +682,22 @@ app.get('/app2app/baskets/:referenceCode', async (req, res) => {
       ref: referenceCode,
       qp: Object.keys(req.query || {}),
     });
+    // Split-bill child references are served from the split created by the POS
+    if (parseSplitReference(referenceCode)) {
+      const found = checkSplits.findChild(referenceCode);
+      if (!found) {
+        log.warn('Split child not found', { rid, ref: referenceCode });
+        return res.status(404).json({ error: 'split_not_found' });
+      }
+      if (found.child.status === 'paid') {
+        log.warn('Split child already paid', { rid, ref: referenceCode });
+        return res.status(409).json({ error: 'split_share_paid' });
+      }
+      log.info('Basket response (split share)', { rid, ref: referenceCode, total: found.child.basket.basketPrice.grossPrice });
+      ledger.basketServed(found.child.basket, { rid });
+      return res.json(found.child.basket);
+    }
+    if (servePaymentLinkBasket(referenceCode, res)) return;
     const t0 = Date.now();
     // If mock provider is active, honor ?amount= for better parity with device request
     let desiredTotal;
@@ -293,18 +705,12 @@ app.get('/app2app/baskets/:referenceCode', async (req, res) => {
       const num = Number(req.query.amount);
       if (!Number.isNaN(num) && num > 0) desiredTotal = num;
     }
-    // If provider needs a CheckId and reference lacks digits, try lookup
-    let effectiveRef = referenceCode;
-    if (/\d+$/.test(referenceCode) === false) {
-      const mapped = refMap.get(referenceCode);
-      if (mapped) {
-        effectiveRef = `${referenceCode}_${mapped}`;
-        log.info('RefMap hit', { rid, refPrefix: referenceCode.substring(0, 8), checkId: mapped, effectiveRef });
-      } else {
-        log.debug('RefMap miss', { rid, refPrefix: referenceCode.substring(0, 8) });
-      }
-    }
-    const basket = await resolveBasket(effectiveRef, { desiredTotal });
+    // A reference registered in the refMap stands for its check; any other is resolved as is
+    const effectiveRef = refMap.resolve(referenceCode);
+    if (effectiveRef !== referenceCode) log.info('RefMap hit', { rid, refPrefix: referenceCode.substring(0, 8), effectiveRef });
+    else log.debug('RefMap miss', { rid, refPrefix: referenceCode.substring(0, 8) });
+    const paymentOptions = paymentPlans.get(referenceCode) || paymentPlans.get(effectiveRef);
+    const basket = await resolveBasket(effectiveRef, { desiredTotal, paymentOptions });
     const dt = Date.now() - t0;
     if (String(process.env.ODEAL_DEBUG_PAYLOAD || '0') === '1') {
       try {
@@ -336,10 +742,15 @@ app.get('/app2app/baskets/:referenceCode', async (req, res) => {
       paymentOptions: Array.isArray(basket?.paymentOptions) ? basket.paymentOptions.map(p => p?.type).join(',') : undefined,
       ms: dt,
     });
+    ledger.basketServed(basket, { rid, requestedReference: referenceCode });
     res.json(basket);
   } catch (e) {
     const msg = String(e?.message || e);
     const rid = res.locals.rid;
+    if (e instanceof BasketResolutionError) {
+      log.warn('Basket not resolved', { rid, code: e.code, status: e.status, detail: e.detail });
+      return res.status(e.status).json(basketErrorBody(e));
+    }
     if (msg && (
       msg.includes('basket_missing') ||
       msg.includes('reference_code_missing') ||
@@ -347,8 +758,19 @@ app.get('/app2app/baskets/:referenceCode', async (req, res) => {
       msg.includes('product_fields_missing') ||
       msg.includes('product_quantity_invalid') ||
       msg.includes('product_price_invalid') ||
+      msg.includes('product_vat_ratio_invalid') ||
+      msg.includes('product_sct_ratio_invalid') ||
       msg.includes('basket_price_missing') ||
+      msg.includes('basket_total_mismatch') ||
+      msg.includes('discount_invalid') ||
+      msg.includes('discount_exceeds_line') ||
+      msg.includes('discount_exceeds_total') ||
+      msg.includes('adjustment_invalid') ||
       msg.includes('payment_options_missing') ||
+      msg.includes('payment_option_type_invalid') ||
+      msg.includes('payment_option_amount_invalid') ||
+      msg.includes('payment_options_sum_mismatch') ||
+      msg.includes('meal_card_amount_exceeds_eligible') ||
       msg.includes('employee_reference_missing'))
     ) {
       log.warn('Basket validation error', { rid, error: msg });
@@ -359,48 +781,222 @@ app.get('/app2app/baskets/:referenceCode', async (req, res) => {
   }
 });
 
-// Webhook helpers
-async function maybeBridgeToRop({ type, body, rid }) {
-  if (!ROUTE_ROP_AUTOSYNC) return;
-  // Only bridge payment events; skip others like einvoice/payback
-  const bridgeable = type === 'payment-succeeded' || type === 'payment-cancelled' || type === 'payment-failed';
-  if (!bridgeable) return;
-  const ref = body?.basketReferenceCode || body?.referenceCode || '';
-  const composite = parseCompositeReference(ref);
-  if (!composite) {
-    log.warn('Bridge skipped: non-composite reference', { rid, type, refPrefix: String(ref).slice(0, 12) });
-    return;
+// Outbox (admin): undelivered ROP calls and their dead letters
+app.get('/app2app/outbox', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const status = req.query.status ? String(req.query.status) : undefined;
+  const entries = outbox.list(status);
+  return res.json({ count: entries.length, entries });
+});
+
+app.post('/app2app/outbox/:id/replay', async (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  try {
+    const sent = await outbox.replay(req.params.id);
+    log.info('Outbox replay result', { rid: res.locals.rid, id: req.params.id, ok: sent.ok });
+    return res.status(sent.ok ? 200 : 502).json({ ok: sent.ok, entry: sent.entry, blockedBy: sent.blockedBy });
+  } catch (e) {
+    if (e instanceof OutboxError) return res.status(e.message === 'outbox_entry_not_found' ? 404 : 409).json({ error: e.message });
+    log.error('Outbox admin error', { rid: res.locals.rid, error: String(e?.message || e) });
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Replay every dead letter
+app.post('/app2app/outbox/replay', async (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const results = [];
+  for (const entry of outbox.list('dead')) {
+    try {
+      const sent = await outbox.replay(entry.id);
+      results.push({ id: entry.id, ok: sent.ok, status: sent.entry?.status });
+    } catch (e) {
+      // Replayed or discarded meanwhile by another request
+      if (!(e instanceof OutboxError)) log.error('Outbox admin error', { rid: res.locals.rid, id: entry.id, error: String(e?.message || e) });
+      results.push({ id: entry.id, ok: false, error: e instanceof OutboxError ? e.message : 'server_error' });
+    }
+  }
+  log.info('Outbox replay all', { rid: res.locals.rid, replayed: results.length, ok: results.filter((r) => r.ok).length });
+  return res.json({ replayed: results.length, results });
+});
+
+app.delete('/app2app/outbox/:id', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  try {
+    const entry = outbox.discard(req.params.id);
+    log.warn('Outbox entry discarded', { rid: res.locals.rid, id: entry.id, kind: entry.kind, ...entry.meta });
+    return res.json({ ok: true, removed: entry.id });
+  } catch (e) {
+    if (e instanceof OutboxError) return res.status(e.message === 'outbox_entry_not_found' ? 404 : 409).json({ error: e.message });
+    log.error('Outbox admin error', { rid: res.locals.rid, error: String(e?.message || e) });
+    return res.status(500).json({ error: 'server_error' });
   }
-  let status = -1;
-  if (type === 'payment-succeeded') status = 1;
-  else if (type === 'payment-cancelled') status = 0;
-  else status = -1;
+});
+
+// Transaction ledger (admin)
+// ?state=paid&flagged=true&since=2025-01-01T00:00:00Z&until=...&limit=100
+app.get('/app2app/transactions', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const q = req.query || {};
+  const iso = (v) => {
+    if (!v) return undefined;
+    const t = Date.parse(String(v));
+    return Number.isFinite(t) ? new Date(t).toISOString() : null;
+  };
+  const since = iso(q.since);
+  const until = iso(q.until);
+  if (since === null || until === null) return res.status(400).json({ error: 'date_invalid' });
+  const records = ledger.list({
+    state: q.state ? String(q.state) : undefined,
+    flagged: q.flagged == null ? undefined : String(q.flagged) === 'true',
+    since,
+    until,
+    limit: Number(q.limit) || 100,
+  });
+  return res.json({ count: records.length, records });
+});
+
+// Paid/refunded totals of a check (admin)
+app.get('/app2app/checks/:referenceCode/refunds', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const check = refunds.get(req.params.referenceCode);
+  if (!check) return res.status(404).json({ error: 'not_found' });
+  return res.json({
+    checkReference: check.checkReference,
+    paid: fromMinor(check.paidMinor),
+    refunded: fromMinor(check.refundedMinor),
+    refundable: fromMinor(check.refundableMinor),
+    payments: check.payments.map(({ amountMinor, ...p }) => ({ ...p, amount: fromMinor(amountMinor) })),
+    refunds: check.refunds.map(({ amountMinor, ...r }) => ({ ...r, amount: fromMinor(amountMinor) })),
+  });
+});
+
+// E-invoices of a reference (admin): current = latest one not cancelled, for reprint / e-mail
+app.get('/app2app/invoices/:referenceCode', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const record = invoices.get(req.params.referenceCode);
+  if (!record?.invoices.length) return res.status(404).json({ error: 'not_found' });
+  return res.json(record);
+});
+
+// Payments that did not match the basket served for their reference
+// ?since=<ISO>&until=<ISO>&limit=100&unverified=true (also list payments that could not be checked)
+app.get('/app2app/reconciliation/discrepancies', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const q = req.query || {};
+  const since = q.since ? Date.parse(String(q.since)) : undefined;
+  const until = q.until ? Date.parse(String(q.until)) : undefined;
+  if (Number.isNaN(since) || Number.isNaN(until)) return res.status(400).json({ error: 'date_invalid' });
+  const records = ledger.list({
+    reconciliation: String(q.unverified) === 'true' ? ['mismatch', 'unverified'] : 'mismatch',
+    since: since == null ? undefined : new Date(since).toISOString(),
+    until: until == null ? undefined : new Date(until).toISOString(),
+    limit: Number(q.limit) || 100,
+  });
+  const discrepancies = records.map((r) => ({
+    referenceCode: r.referenceCode,
+    state: r.state,
+    transactionId: r.reconciliation.transactionId,
+    status: r.reconciliation.status,
+    issues: r.reconciliation.issues,
+    expectedAmount: r.reconciliation.amount?.expected,
+    paidAmount: r.reconciliation.amount?.actual,
+    currency: r.reconciliation.currency?.actual,
+    reconciledAt: r.reconciliation.at,
+  }));
+  return res.json({ count: discrepancies.length, discrepancies });
+});
+
+app.get('/app2app/transactions/:referenceCode', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const record = ledger.get(req.params.referenceCode);
+  if (!record) return res.status(404).json({ error: 'not_found' });
+  return res.json(record);
+});
+
+// Webhook events not processed yet (admin); failed ones stay here with their error
+app.get('/app2app/webhook-events', (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const status = req.query.status ? String(req.query.status) : undefined;
+  const events = webhookQueue.list(status);
+  return res.json({ count: events.length, events });
+});
+
+// Run a failed webhook event again, behind any event of its check still queued
+app.post('/app2app/webhook-events/:id/replay', async (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
   try {
-    log.info('Bridge PaymentStatus → ROP', { rid, type, ref, checkId: composite.checkId, deviceId: composite.deviceId, restaurantId: composite.restaurantId, status });
-    await postPaymentStatus({ deviceId: composite.deviceId, restaurantId: composite.restaurantId, CheckId: composite.checkId, Status: status });
-    log.info('Bridge OK', { rid, checkId: composite.checkId });
+    const event = await webhookQueue.replay(req.params.id);
+    const ok = event.status !== 'failed';
+    log.info('Webhook event replay result', { rid: res.locals.rid, id: event.id, ok });
+    return res.status(ok ? 200 : 500).json({ ok, event });
   } catch (e) {
-    log.warn('Bridge failed', { rid, error: String(e?.message || e) });
+    if (e instanceof WebhookQueueError) return res.status(e.message === 'webhook_event_not_found' ? 404 : 409).json({ error: e.message });
+    log.error('Webhook queue admin error', { rid: res.locals.rid, error: String(e?.message || e) });
+    return res.status(500).json({ error: 'server_error' });
   }
-}
+});
+
+// Replay every failed webhook event, oldest first
+app.post('/app2app/webhook-events/replay', async (req, res) => {
+  if (!verifyAdapterKey(req, res)) return;
+  const results = [];
+  for (const event of webhookQueue.list('failed').sort((a, b) => a.seq - b.seq)) {
+    try {
+      const done = await webhookQueue.replay(event.id);
+      results.push({ id: event.id, ok: done.status !== 'failed', error: done.status === 'failed' ? done.lastError : undefined });
+    } catch (e) {
+      // Replayed meanwhile by another request
+      if (!(e instanceof WebhookQueueError)) log.error('Webhook queue admin error', { rid: res.locals.rid, id: event.id, error: String(e?.message || e) });
+      results.push({ id: event.id, ok: false, error: e instanceof WebhookQueueError ? e.message : 'server_error' });
+    }
+  }
+  log.info('Webhook event replay all', { rid: res.locals.rid, replayed: results.length, ok: results.filter((r) => r.ok).length });
+  return res.json({ replayed: results.length, results });
+});
+
+webhookQueue.setProcessor(processWebhookEvent);
 
+// Webhooks are stored and acknowledged at once; webhookQueue runs the processing afterwards.
+// A repeated event gets the first response again; one reusing its key with another payload gets 409.
 function webhookRoute(type) {
   return async (req, res) => {
     if (!verifyOdeal(req, res)) return;
     try {
-      const key = makeEventKey(type, req.body || {});
-      if (isDuplicate(key)) {
+      const body = req.body || {};
+      const key = makeEventKey(type, body);
+      const hash = payloadHash(body);
+      const claimed = await claim(key, hash);
+      if (claimed.status === 'conflict') {
+        log.warn('Webhook idempotency conflict', { rid: res.locals.rid, type, key });
+        return res.status(409).json({ error: 'idempotency_conflict', detail: 'event key reused with a different payload', key });
+      }
+      if (claimed.status === 'in_flight') {
+        log.warn('Webhook still in flight', { rid: res.locals.rid, type, key });
+        return res.status(409).set('Retry-After', '1').json({ error: 'idempotency_in_flight', key });
+      }
+      if (claimed.status === 'duplicate') {
         log.info('Webhook duplicate', { rid: res.locals.rid, type });
-        return res.json({ ok: true, duplicate: true });
+        const replay = claimed.response || { status: 200, body: { ok: true } };
+        return res.status(replay.status).json({ ...replay.body, duplicate: true });
+      }
+      let event;
+      try {
+        event = webhookQueue.push({ type, body, key: eventOrderingKey(body), rid: res.locals.rid });
+      } catch (e) {
+        await release(key).catch(() => {});
+        throw e;
       }
-      remember(key);
+      const response = { status: 200, body: { ok: true, queued: true, eventId: event.id } };
+      // The event is queued either way; a lost record only means a retry is queued again
+      await complete(key, hash, response).catch((e) => log.error('Idempotency record failed', { rid: res.locals.rid, key, error: String(e?.message || e) }));
       log.info('Webhook received', {
         rid: res.locals.rid,
         type,
-        fields: Object.keys(req.body || {}),
+        eventId: event.id,
+        fields: Object.keys(body),
       });
-      await maybeBridgeToRop({ type, body: req.body, rid: res.locals.rid });
-      res.json({ ok: true });
+      res.status(response.status).json(response.body);
     } catch (e) {
       log.error('Webhook error', { rid: res.locals.rid, type, error: String(e?.message || e) });
       res.status(500).json({ error: 'Webhook error', detail: String(e?.message || e) });
@@ -408,6 +1004,29 @@ function webhookRoute(type) {
   };
 }
 
+// App-to-App result (Ödeal intentUrl): opened on the device after a payment, not signed.
+// Recorded on the ledger, then redirected back into the POS app (see a2aResult.js).
+function a2aResultRoute(req, res) {
+  const rid = res.locals.rid;
+  const params = { ...req.query, ...(req.body && typeof req.body === 'object' ? req.body : {}) };
+  const result = parseA2aResult(params);
+  if (result.referenceCode) {
+    try {
+      if (!ledger.deviceResult(result, { rid })) log.warn('A2A result for an unknown reference; not recorded', { rid, ref: result.referenceCode });
+    } catch (e) {
+      log.error('A2A result not recorded', { rid, ref: result.referenceCode, error: String(e?.message || e) });
+    }
+  }
+  log.info('A2A result', { rid, ref: result.referenceCode, outcome: result.outcome, transactionId: result.transactionId, resultCode: result.resultCode });
+  const target = resultRedirect(result);
+  if (!target) return res.json({ ok: true, ...result });
+  if (isWebUrl(target)) return res.redirect(302, target);
+  return res.type('html').send(deepLinkPage(target, result));
+}
+
+app.get('/odeal/a2a-result', a2aResultRoute);
+app.post('/odeal/a2a-result', a2aResultRoute);
+
 app.post('/webhooks/odeal/payment-succeeded', webhookRoute('payment-succeeded'));
 app.post('/webhooks/odeal/payment-failed', webhookRoute('payment-failed'));
 app.post('/webhooks/odeal/payment-cancelled', webhookRoute('payment-cancelled'));
@@ -418,4 +1037,12 @@ app.post('/webhooks/odeal/einvoice-cancelled', webhookRoute('einvoice-cancelled'
 
 app.listen(PORT, () => {
   log.info(`[odeal-adapter] listening on :${PORT}`);
+  const resumed = webhookQueue.resume();
+  if (resumed) log.warn('Resuming unprocessed webhook events', { events: resumed });
+  outbox.start();
+  refMap.start();
+  paymentLinks.start();
+  const pending = outbox.list('pending').length;
+  const dead = outbox.list('dead').length;
+  if (pending || dead) log.warn('Outbox has undelivered ROP calls', { pending, dead });
 });
@@ -0,0 +1,168 @@
+// Tax rule resolution for basket products (KDV / VAT and ÖTV / SCT ratios)
+// Ratios are percentages as Ödeal expects them (e.g. 10 → %10 KDV).
+//
+// Resolution order per line:
+// 1) ratio fields on the ROP line itself (VatRate, KdvRate, OtvRate, ...)
+// 2) the most specific configured rule (productCode > category > restaurantId)
+// 3) configured defaults (TAX_DEFAULT_VAT_RATIO / TAX_DEFAULT_SCT_RATIO, else 0)
+//
+// Rules come from TAX_RULES (inline JSON) or TAX_RULES_FILE (path to JSON):
+// {
+//   "defaults": { "vatRatio": 10, "sctRatio": 0 },
+//   "rules": [
+//     { "category": "ALKOL", "vatRatio": 20, "sctRatio": 25 },
+//     { "productCode": "SU-05", "vatRatio": 1 },
+//     { "restaurantId": 1566000740, "category": "YIYECEK", "vatRatio": 10 }
+//   ]
+// }
+// A plain array is accepted as the "rules" list.
+
+import fs from 'node:fs';
+import { log } from './logger.js';
+
+// KDV rates in force since 10.07.2023 (0 = exempt)
+const DEFAULT_VAT_RATIOS = [0, 1, 10, 20];
+const MAX_SCT_RATIO = 100;
+
+const ROP_VAT_FIELDS = ['VatRate', 'VatRatio', 'vatRate', 'vatRatio', 'KdvRate', 'KdvOrani', 'KDVRate', 'TaxRate'];
+const ROP_SCT_FIELDS = ['SctRate', 'SctRatio', 'sctRate', 'sctRatio', 'OtvRate', 'OtvOrani', 'OTVRate'];
+const ROP_CATEGORY_FIELDS = ['Category', 'CategoryName', 'category', 'GroupName', 'Group', 'MenuGroup'];
+
+let cache = { key: undefined, config: { defaults: {}, rules: [] } };
+
+// ROP may send ratios as fractions (0.10) or percentages (10); normalize to percentages.
+function normalizeRatio(value) {
+  if (value == null || value === '') return undefined;
+  const n = Number(String(value).replace(',', '.').replace('%', '').trim());
+  if (!Number.isFinite(n)) return undefined;
+  if (n > 0 && n < 1) return Math.round(n * 10000) / 100;
+  return n;
+}
+
+function pickField(line, fields) {
+  if (!line || typeof line !== 'object') return undefined;
+  for (const f of fields) {
+    if (line[f] != null && line[f] !== '') return line[f];
+  }
+  return undefined;
+}
+
+function normalizeKey(v) {
+  return v == null ? '' : String(v).trim().toLocaleUpperCase('tr-TR');
+}
+
+function parseConfig(raw) {
+  const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  if (Array.isArray(parsed)) return { defaults: {}, rules: parsed };
+  return {
+    defaults: (parsed && typeof parsed.defaults === 'object' && parsed.defaults) || {},
+    rules: Array.isArray(parsed?.rules) ? parsed.rules : [],
+  };
+}
+
+function loadTaxConfig() {
+  const inline = process.env.TAX_RULES || '';
+  const file = process.env.TAX_RULES_FILE || '';
+  const key = `${inline}|${file}`;
+  if (cache.key === key) return cache.config;
+  let config = { defaults: {}, rules: [] };
+  try {
+    if (inline) config = parseConfig(inline);
+    else if (file) config = parseConfig(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    log.error('Tax rules could not be loaded; using defaults', { file: file || undefined, error: String(e?.message || e) });
+  }
+  cache = { key, config };
+  return config;
+}
+
+// Drop the cached rule set (e.g. after TAX_RULES_FILE was edited)
+function reloadTaxRules() {
+  cache = { key: undefined, config: { defaults: {}, rules: [] } };
+}
+
+function ruleScore(rule, { productCode, category, restaurantId }) {
+  let score = 0;
+  if (rule.productCode != null) {
+    if (normalizeKey(rule.productCode) !== normalizeKey(productCode)) return -1;
+    score += 4;
+  }
+  if (rule.category != null) {
+    if (!category || normalizeKey(rule.category) !== normalizeKey(category)) return -1;
+    score += 2;
+  }
+  if (rule.restaurantId != null) {
+    if (restaurantId == null || String(rule.restaurantId) !== String(restaurantId)) return -1;
+    score += 1;
+  }
+  return score;
+}
+
+function findRule({ productCode, category, restaurantId }) {
+  const { rules } = loadTaxConfig();
+  let best;
+  let bestScore = -1;
+  for (const rule of rules) {
+    if (!rule || typeof rule !== 'object') continue;
+    const score = ruleScore(rule, { productCode, category, restaurantId });
+    // Earlier rules win ties so config order stays meaningful
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function defaultRatios() {
+  const { defaults } = loadTaxConfig();
+  const vat = normalizeRatio(process.env.TAX_DEFAULT_VAT_RATIO) ?? normalizeRatio(defaults.vatRatio) ?? 0;
+  const sct = normalizeRatio(process.env.TAX_DEFAULT_SCT_RATIO) ?? normalizeRatio(defaults.sctRatio) ?? 0;
+  return { vatRatio: vat, sctRatio: sct };
+}
+
+function lineCategory(line) {
+  const v = pickField(line, ROP_CATEGORY_FIELDS);
+  return v != null ? String(v) : undefined;
+}
+
+// Resolve { vatRatio, sctRatio, source } for a single ROP line.
+function resolveTaxRatios({ line, productCode, category, restaurantId } = {}) {
+  const cat = category ?? lineCategory(line);
+  const ropVat = normalizeRatio(pickField(line, ROP_VAT_FIELDS));
+  const ropSct = normalizeRatio(pickField(line, ROP_SCT_FIELDS));
+  const rule = findRule({ productCode, category: cat, restaurantId });
+  const defaults = defaultRatios();
+  const ruleVat = normalizeRatio(rule?.vatRatio);
+  const ruleSct = normalizeRatio(rule?.sctRatio);
+  const vatRatio = ropVat ?? ruleVat ?? defaults.vatRatio;
+  const sctRatio = ropSct ?? ruleSct ?? defaults.sctRatio;
+  let source = 'default';
+  if (ropVat != null) source = 'rop';
+  else if (ruleVat != null || ruleSct != null) source = 'rule';
+  return { vatRatio, sctRatio, source, rule };
+}
+
+function allowedVatRatios() {
+  const raw = String(process.env.TAX_ALLOWED_VAT_RATIOS || '').trim();
+  if (!raw) return DEFAULT_VAT_RATIOS;
+  return raw.split(',').map((s) => Number(s.trim())).filter((n) => Number.isFinite(n));
+}
+
+function isLegalVatRatio(ratio) {
+  return typeof ratio === 'number' && allowedVatRatios().includes(ratio);
+}
+
+function isLegalSctRatio(ratio) {
+  return typeof ratio === 'number' && Number.isFinite(ratio) && ratio >= 0 && ratio <= MAX_SCT_RATIO;
+}
+
+export {
+  resolveTaxRatios,
+  reloadTaxRules,
+  isLegalVatRatio,
+  isLegalSctRatio,
+  allowedVatRatios,
+  normalizeRatio,
+  lineCategory,
+};
@@ -0,0 +1,285 @@
+// Transaction ledger: what happened to each basket reference
+// One record per reference with its current state and every event in arrival order.
+//
+//   (none) ──basket-served──▶ served ──payment-succeeded──▶ paid ──payback-succeeded──▶ refunded
+//                               │  ▲                          │
+//            payment-failed ────┘  └── retry after failure     └──payment-cancelled──▶ cancelled
+//   served ──basket-cancelled──▶ basket_cancelled ──basket-served──▶ served (payment retried)
+//
+// E-invoices are tracked beside the payment state (invoice: created | cancelled).
+// The App-to-App result the device reports (a2a-result, unsigned) is kept as deviceResult on known
+// references only and never changes the state; one that contradicts a settled payment state is flagged.
+// Events that are not valid from the current state are kept but not applied, and flagged, as are
+// duplicates, second payments with another transactionId and events older than the last applied one.
+//
+// Persists to ADAPTER_DATA_DIR/transactions.json (LEDGER_STORE=memory keeps it in memory only);
+// changes made in one tick are written together.
+
+import { log } from './logger.js';
+import { JsonFileStore } from './jsonFileStore.js';
+import { toMinor, fromMinor } from './money.js';
+
+const MAX_REFERENCES = Number(process.env.LEDGER_MAX_REFERENCES || 10000);
+
+const NEW = 'new';
+const PAYMENT_EVENTS = {
+  'basket-served': { from: [NEW, 'served', 'failed', 'basket_cancelled'], to: 'served' },
+  'payment-succeeded': { from: [NEW, 'served', 'failed'], to: 'paid' },
+  'payment-failed': { from: [NEW, 'served', 'failed'], to: 'failed' },
+  'payment-cancelled': { from: [NEW, 'served', 'failed', 'paid'], to: 'cancelled' },
+  'basket-cancelled': { from: [NEW, 'served', 'failed'], to: 'basket_cancelled' },
+  'payback-succeeded': { from: ['paid', 'refunded'], to: 'refunded' },
+};
+const INVOICE_EVENTS = {
+  'einvoice-created': { from: [undefined, 'cancelled'], to: 'created' },
+  'einvoice-cancelled': { from: ['created'], to: 'cancelled' },
+};
+const DEVICE_EVENTS = ['a2a-result'];
+const EVENT_TYPES = [...Object.keys(PAYMENT_EVENTS), ...Object.keys(INVOICE_EVENTS), ...DEVICE_EVENTS];
+// Payment states a device outcome cannot agree with
+const OUTCOME_CONFLICTS = { success: ['failed', 'cancelled', 'basket_cancelled'], failure: ['paid', 'refunded'], cancelled: ['paid', 'refunded'] };
+
+function eventTime(body) {
+  const raw = body?.transactionDate ?? body?.paymentDate ?? body?.createdAt ?? body?.date;
+  const t = raw ? Date.parse(raw) : NaN;
+  return Number.isFinite(t) ? t : undefined;
+}
+
+function eventAmount(body) {
+  const raw = body?.amount ?? body?.totalAmount ?? body?.paidAmount ?? body?.basketPrice?.grossPrice;
+  return raw == null || raw === '' || !Number.isFinite(Number(raw)) ? undefined : fromMinor(toMinor(raw));
+}
+
+// What the device was asked to pay, without employee/customer details
+function basketSnapshot(basket) {
+  return {
+    referenceCode: basket?.referenceCode,
+    basketPrice: basket?.basketPrice,
+    products: (basket?.products || []).map((p) => ({
+      referenceCode: p.referenceCode,
+      name: p.name,
+      quantity: p.quantity,
+      unitCode: p.unitCode,
+      price: p.price,
+    })),
+    paymentOptions: basket?.paymentOptions,
+  };
+}
+
+class TransactionLedger {
+  constructor({ file = 'transactions.json', persist = true, maxReferences = MAX_REFERENCES, now = Date.now } = {}) {
+    this.fileStore = persist ? new JsonFileStore(file, { records: [] }) : undefined;
+    this.maxReferences = Math.max(1, maxReferences);
+    this.now = now;
+    this.records = new Map(); // referenceCode -> record, least recently updated first
+    if (this.fileStore) {
+      const loaded = this.fileStore.load().records || [];
+      loaded.sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+      for (const r of loaded) this.records.set(r.referenceCode, r);
+    }
+  }
+
+  persist() {
+    if (!this.fileStore || this.flushing) return;
+    this.flushing = true;
+    queueMicrotask(() => this.flush());
+  }
+
+  flush() {
+    this.flushing = false;
+    try {
+      this.fileStore.save({ records: [...this.records.values()] });
+    } catch (e) {
+      log.error('Ledger persist failed', { error: String(e?.message || e) });
+    }
+  }
+
+  // Mark a record updated; re-inserted so the map stays in update order
+  touch(rec, ts) {
+    rec.updatedAt = ts;
+    this.records.delete(rec.referenceCode);
+    this.records.set(rec.referenceCode, rec);
+  }
+
+  // Drop the least recently updated references beyond the cap
+  evict() {
+    for (const ref of this.records.keys()) {
+      if (this.records.size <= this.maxReferences) break;
+      this.records.delete(ref);
+    }
+  }
+
+  // Record one event; returns { record, event } where event.applied tells whether the state changed
+  // eventId tells repeats apart (defaults to transactionId; paybacks and invoices carry their own id)
+  record(referenceCode, type, { transactionId, eventId = transactionId, amount, occurredAt, data, rid } = {}) {
+    const ref = String(referenceCode || '');
+    if (!ref) return undefined;
+    if (!EVENT_TYPES.includes(type)) throw new Error(`ledger_event_unknown: ${type}`);
+    const ts = new Date(this.now()).toISOString();
+    let rec = this.records.get(ref);
+    if (!rec) {
+      rec = { referenceCode: ref, state: NEW, createdAt: ts, updatedAt: ts, events: [], flags: [] };
+      this.records.set(ref, rec);
+    }
+    const event = { type, at: ts, occurredAt, transactionId, amount, rid, applied: false, flags: [] };
+    if (eventId !== transactionId) event.eventId = eventId;
+    if (data !== undefined) event.data = data;
+    const flag = (code, detail) => {
+      event.flags.push(code);
+      rec.flags.push({ code, type, at: ts, transactionId, detail });
+    };
+
+    const duplicate = eventId && rec.events.some((e) => e.type === type && (e.eventId ?? e.transactionId) === eventId);
+    const last = [...rec.events].reverse().find((e) => e.applied && e.occurredAt);
+    if (duplicate) {
+      flag('duplicate_event');
+    } else if (DEVICE_EVENTS.includes(type)) {
+      this.applyDeviceResult(rec, event, flag);
+    } else {
+      if (occurredAt && last && Date.parse(occurredAt) < Date.parse(last.occurredAt)) {
+        flag('out_of_order', `${type} at ${occurredAt} arrived after ${last.type} at ${last.occurredAt}`);
+      }
+      if (PAYMENT_EVENTS[type]) this.applyPayment(rec, event, flag);
+      else this.applyInvoice(rec, event, flag);
+    }
+
+    rec.events.push(event);
+    this.touch(rec, ts);
+    if (event.flags.length) {
+      log.warn('Ledger event flagged', { rid, ref, type, state: rec.state, flags: event.flags });
+    }
+    this.evict();
+    this.persist();
+    return { record: rec, event };
+  }
+
+  applyPayment(rec, event, flag) {
+    const { type } = event;
+    const rule = PAYMENT_EVENTS[type];
+    if (type === 'payment-succeeded' && rec.state === 'paid') {
+      flag('conflicting_payment', `already paid by ${rec.transactionId || 'unknown'}`);
+      return;
+    }
+    if (!rule.from.includes(rec.state)) {
+      flag('invalid_transition', `${rec.state} → ${rule.to}`);
+      return;
+    }
+    if (rec.state === NEW && type !== 'basket-served') flag('basket_not_served');
+    event.from = rec.state;
+    rec.state = rule.to;
+    event.applied = true;
+    if (type === 'payment-succeeded') {
+      rec.transactionId = event.transactionId;
+      rec.paidAmount = event.amount;
+    }
+    if (type === 'payback-succeeded') {
+      rec.refundedAmount = fromMinor(toMinor(rec.refundedAmount || 0) + toMinor(event.amount || 0));
+    }
+  }
+
+  applyInvoice(rec, event, flag) {
+    const rule = INVOICE_EVENTS[event.type];
+    if (!rule.from.includes(rec.invoice)) {
+      flag('invalid_transition', `invoice ${rec.invoice || 'none'} → ${rule.to}`);
+      return;
+    }
+    if (event.type === 'einvoice-created' && rec.state !== 'paid' && rec.state !== 'refunded') {
+      flag('invoice_before_payment');
+    }
+    event.from = rec.invoice;
+    rec.invoice = rule.to;
+    event.applied = true;
+  }
+
+  applyDeviceResult(rec, event, flag) {
+    const outcome = event.data?.outcome;
+    rec.deviceResult = { outcome, at: event.at, transactionId: event.transactionId };
+    if (OUTCOME_CONFLICTS[outcome]?.includes(rec.state)) flag('device_result_mismatch', `device reported ${outcome}, ledger is ${rec.state}`);
+  }
+
+  basketServed(basket, { rid, requestedReference } = {}) {
+    const snapshot = basketSnapshot(basket);
+    if (requestedReference && requestedReference !== basket?.referenceCode) snapshot.requestedReference = requestedReference;
+    return this.record(basket?.referenceCode, 'basket-served', { amount: basket?.basketPrice?.grossPrice, data: snapshot, rid });
+  }
+
+  // Webhook event as received from Ödeal
+  webhookEvent(type, body, { rid } = {}) {
+    const ref = body?.basketReferenceCode || body?.referenceCode;
+    const occurredAt = eventTime(body);
+    return this.record(ref, type, {
+      transactionId: body?.transactionId,
+      eventId: body?.paybackId ?? body?.paybackTransactionId ?? body?.refundTransactionId ?? body?.ettn ?? body?.transactionId,
+      amount: eventAmount(body),
+      occurredAt: occurredAt ? new Date(occurredAt).toISOString() : undefined,
+      rid,
+    });
+  }
+
+  // Parsed App-to-App result (see a2aResult.js). The callback is unsigned, so it never creates a
+  // record: only references the ledger already knows get it; returns undefined for the rest.
+  deviceResult(result, { rid } = {}) {
+    const { referenceCode, transactionId, amount, ...data } = result;
+    if (!this.records.has(String(referenceCode || ''))) return undefined;
+    return this.record(referenceCode, 'a2a-result', { transactionId, eventId: transactionId ?? data.outcome, amount, data, rid });
+  }
+
+  get(referenceCode) {
+    return this.records.get(String(referenceCode));
+  }
+
+  // Snapshot of the last basket served for a reference; a later basket cancel invalidates it
+  // unless includeCancelled is set
+  servedSnapshot(referenceCode, { includeCancelled = false } = {}) {
+    const rec = this.records.get(String(referenceCode || ''));
+    for (const e of [...(rec?.events || [])].reverse()) {
+      if (e.type === 'basket-cancelled' && e.applied && !includeCancelled) return undefined;
+      if (e.type === 'basket-served') return e.data;
+    }
+    return undefined;
+  }
+
+  // Flag a problem found outside the state machine (e.g. a refund larger than the payment)
+  flag(referenceCode, code, { type, transactionId, detail, rid } = {}) {
+    const rec = this.records.get(String(referenceCode || ''));
+    if (!rec) return undefined;
+    const ts = new Date(this.now()).toISOString();
+    rec.flags.push({ code, type, at: ts, transactionId, detail });
+    this.touch(rec, ts);
+    log.warn('Ledger flag', { rid, ref: rec.referenceCode, code, detail });
+    this.persist();
+    return rec;
+  }
+
+  // Result of reconciling a payment (see reconciliation.js); mismatches are flagged
+  attachReconciliation(referenceCode, result, { transactionId, rid } = {}) {
+    const rec = this.records.get(String(referenceCode || ''));
+    if (!rec) return undefined;
+    const ts = new Date(this.now()).toISOString();
+    rec.reconciliation = { ...result, transactionId, at: ts };
+    if (result.status === 'mismatch') {
+      for (const code of result.issues) rec.flags.push({ code, type: 'payment-succeeded', at: ts, transactionId });
+      log.warn('Payment does not match served basket', { rid, ref: rec.referenceCode, issues: result.issues, expected: result.amount?.expected, actual: result.amount?.actual });
+    }
+    this.touch(rec, ts);
+    this.persist();
+    return rec;
+  }
+
+  // Newest first; filters: state, flagged, reconciliation status, since/until (updatedAt, ISO), limit
+  list({ state, flagged, reconciliation, since, until, limit = 100 } = {}) {
+    const statuses = reconciliation ? [].concat(reconciliation) : undefined;
+    return [...this.records.values()]
+      .filter((r) => !state || r.state === state)
+      .filter((r) => !statuses || statuses.includes(r.reconciliation?.status))
+      .filter((r) => flagged == null || (r.flags.length > 0) === flagged)
+      .filter((r) => !since || r.updatedAt >= since)
+      .filter((r) => !until || r.updatedAt <= until)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, Math.max(1, limit));
+  }
+}
+
+export const ledger = new TransactionLedger({ persist: String(process.env.LEDGER_STORE || 'file').toLowerCase() !== 'memory' });
+
+export { TransactionLedger, basketSnapshot, EVENT_TYPES };
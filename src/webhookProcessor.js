@@ -0,0 +1,433 @@
+// Webhook event processing (runs from the webhook queue, after Ödeal got its 200)
+// - every event: recorded in the transaction ledger
+// - payment-succeeded: reconciled against the served basket snapshot
+// - split-bill children: record the share as paid
+// - payment links: link marked paid; the payment reaches ROP on the linked check
+// - payments and paybacks: tracked per check in the refund ledger
+// - basket-cancelled: refMap entry and payment plan released, served snapshot invalidated
+// - e-invoice events: invoice metadata stored per reference
+// - payment, payback and e-invoice events: bridge PaymentStatus to ROP through the outbox (ROUTE_ROP_AUTOSYNC=true)
+//
+// Each step's result is kept on the queued event (event.steps). A retry or replay of the event reuses
+// them instead of running a step twice, so a share or payback recorded before the failure is still
+// bridged, and a bridge already in the outbox is not enqueued again.
+
+import { log } from './logger.js';
+import { postPaymentStatus } from './ropClient.js';
+import { outbox } from './outbox.js';
+import { checkSplits } from './checkSplits.js';
+import { parseCompositeReference, parseSplitReference } from './referenceParser.js';
+import { toMinor, fromMinor } from './money.js';
+import { ledger } from './transactionLedger.js';
+import { reconcilePayment } from './reconciliation.js';
+import { mapWebhookPayment, mapRefundPayment, mapCustomer } from './ropPaymentMapper.js';
+import { refunds, RefundError } from './refundLedger.js';
+import { invoices, toRopInvoice } from './invoiceStore.js';
+import { refMap } from './refMap.js';
+import { paymentPlans } from './paymentOptions.js';
+import { customerStore, toOdealCustomer } from './customers.js';
+import { paymentLinks } from './paymentLinks.js';
+
+const ROUTE_ROP_AUTOSYNC = String(process.env.ROUTE_ROP_AUTOSYNC || 'false').toLowerCase() === 'true';
+// PaymentStatus sent for a paid split share while the rest of the check is still open
+const ROP_PARTIAL_PAYMENT_STATUS = Number(process.env.ROP_PARTIAL_PAYMENT_STATUS || 2);
+const ROP_PAYMENT_STATUS = 'rop.paymentStatus'; // outbox kind
+// Optional PaymentStatus for payments that do not match the served basket (default: normal success status)
+const ROP_MISMATCH_PAYMENT_STATUS = process.env.ROP_MISMATCH_PAYMENT_STATUS ? Number(process.env.ROP_MISMATCH_PAYMENT_STATUS) : undefined;
+// PaymentStatus for paybacks: everything paid on the check refunded vs. part of it
+const ROP_REFUND_STATUS = Number(process.env.ROP_REFUND_STATUS || 3);
+const ROP_PARTIAL_REFUND_STATUS = Number(process.env.ROP_PARTIAL_REFUND_STATUS || 4);
+// PaymentStatus that carries an issued/cancelled invoice for a paid check; refunded, partially paid
+// and cancelled checks keep their own status (invoiceStatus)
+const ROP_INVOICE_STATUS = Number(process.env.ROP_INVOICE_STATUS || 1);
+// Optional PaymentStatus for a cancelled basket (unset: ROP is not told)
+const ROP_BASKET_CANCEL_STATUS = process.env.ROP_BASKET_CANCEL_STATUS ? Number(process.env.ROP_BASKET_CANCEL_STATUS) : undefined;
+
+outbox.handle(ROP_PAYMENT_STATUS, (payload) => postPaymentStatus(payload));
+
+function eventReference(body) {
+  return body?.basketReferenceCode || body?.referenceCode || '';
+}
+
+// Events are ordered per check: split shares and payment links queue behind their check
+function eventOrderingKey(body) {
+  const ref = eventReference(body);
+  return parseSplitReference(ref)?.parentReference || paymentLinks.checkOf(ref) || ref;
+}
+
+// ROP credentials of a check: parsed from a composite reference, from the refMap entry of a
+// device UUID reference, or from the check a payment link was created for
+function checkComposite(ref) {
+  return parseCompositeReference(ref)
+    || parseCompositeReference(refMap.effectiveReference(ref))
+    || parseCompositeReference(paymentLinks.checkOf(ref));
+}
+
+// Plain copy of a split result; it is kept on the event, so no live store records
+function shareResult({ split, child, ...rest }) {
+  return {
+    ...rest,
+    parentReference: split.parentReference,
+    paidMinor: split.paidMinor,
+    totalMinor: split.totalMinor,
+    child: child && { referenceCode: child.referenceCode, amountMinor: child.amountMinor, transactionId: child.transactionId },
+  };
+}
+
+// Split-bill children: record the share as paid so the check balance stays current.
+// A cancelled share payment opens the share again; failed payments leave it open and never touch the check on ROP.
+function applySplitPayment({ type, body, rid }) {
+  const ref = eventReference(body);
+  if (!checkSplits.findChild(ref)) return undefined;
+  if (type === 'payment-cancelled') {
+    const result = checkSplits.voidPayment(ref, { transactionId: body?.transactionId });
+    log.info(result.voided ? 'Split payment voided; share open again' : 'Split child event (share stays open)', {
+      rid,
+      type,
+      ref,
+      paid: fromMinor(result.split.paidMinor),
+      total: fromMinor(result.split.totalMinor),
+    });
+    return shareResult(result);
+  }
+  if (type !== 'payment-succeeded') {
+    log.info('Split child event (share stays open)', { rid, type, ref });
+    return { child: undefined };
+  }
+  const result = checkSplits.recordPayment(ref, { transactionId: body?.transactionId });
+  log.info('Split payment recorded', {
+    rid,
+    ref,
+    duplicate: result.alreadyPaid,
+    paid: fromMinor(result.split.paidMinor),
+    total: fromMinor(result.split.totalMinor),
+    settled: result.settled,
+  });
+  return shareResult(result);
+}
+
+// Payment links: paid on success, failed attempts counted, voided when the payment is cancelled
+function applyPaymentLink({ type, body, rid }) {
+  const ref = eventReference(body);
+  const link = paymentLinks.paymentEvent(type, ref, { transactionId: body?.transactionId });
+  if (!link) return undefined;
+  log.info('Payment link event', { rid, type, ref, check: link.checkReference, status: link.status, attempts: link.attempts });
+  return { referenceCode: link.referenceCode, checkReference: link.checkReference, channel: link.channel, status: link.status };
+}
+
+function amountMinorOf(v) {
+  return v == null || v === '' || !Number.isFinite(Number(v)) ? undefined : toMinor(v);
+}
+
+// Keep paid/refunded totals per check. Returns the recorded refund for payback events.
+function trackRefunds({ type, body, rid, split }) {
+  const ref = eventReference(body);
+  const checkRef = eventOrderingKey(body);
+  if (!checkRef) return undefined;
+  if (type === 'payment-succeeded') {
+    if (split?.alreadyPaid) return undefined;
+    const amountMinor = split?.child?.amountMinor
+      ?? amountMinorOf(body?.amount ?? body?.paidAmount ?? body?.totalAmount)
+      ?? amountMinorOf(ledger.servedSnapshot(ref)?.basketPrice?.grossPrice);
+    refunds.recordPayment(checkRef, { transactionId: body?.transactionId, amountMinor, referenceCode: ref });
+    return undefined;
+  }
+  if (type === 'payment-cancelled') {
+    refunds.voidPayment(checkRef, body?.transactionId);
+    return undefined;
+  }
+  if (type !== 'payback-succeeded') return undefined;
+  try {
+    const result = refunds.recordRefund(checkRef, {
+      refundId: body?.paybackId ?? body?.paybackTransactionId ?? body?.refundTransactionId,
+      originalTransactionId: body?.originalTransactionId ?? body?.transactionId,
+      amountMinor: amountMinorOf(body?.paybackAmount ?? body?.refundAmount ?? body?.amount),
+      referenceCode: ref,
+    });
+    log.info('Payback recorded', {
+      rid,
+      ref,
+      duplicate: result.duplicate,
+      amount: fromMinor(result.refund.amountMinor),
+      refunded: fromMinor(result.refundedMinor),
+      paid: fromMinor(result.paidMinor),
+      full: result.full,
+    });
+    return result;
+  } catch (e) {
+    if (!(e instanceof RefundError)) throw e;
+    const { paidMinor, refundedMinor } = refunds.totals(checkRef);
+    const detail = `paid ${fromMinor(paidMinor)}, refunded ${fromMinor(refundedMinor)}`;
+    log.error('Payback rejected; not bridged', { rid, ref, error: e.message, detail });
+    ledger.flag(ref, e.message, { type, transactionId: body?.transactionId, detail, rid });
+    return { rejected: e.message };
+  }
+}
+
+// The device gave up on the basket: drop what was prepared for this payment so a retry starts clean.
+// The ledger (already updated) no longer hands out the served snapshot; stored baskets stay for the retry.
+// Returns the check's ROP credentials as they were before the refMap entry went away; undefined when
+// the ledger did not apply the cancel (e.g. the basket is already paid), so nothing is released.
+function releaseCancelledBasket({ type, body, rid, recorded }) {
+  if (type !== 'basket-cancelled') return undefined;
+  const ref = eventReference(body);
+  if (!ref) return undefined;
+  if (!recorded?.applied) {
+    log.warn('Basket cancel not applied; state kept', { rid, ref, state: recorded?.state });
+    return undefined;
+  }
+  const composite = checkComposite(ref);
+  const requested = ledger.servedSnapshot(ref, { includeCancelled: true })?.requestedReference;
+  const refs = [...new Set([ref, requested].filter(Boolean))];
+  let released = 0;
+  for (const r of refs) {
+    if (refMap.delete(r)) released += 1;
+    if (paymentPlans.delete(r)) released += 1;
+  }
+  log.info('Basket cancelled; state released', { rid, ref, released });
+  return { composite };
+}
+
+function storeInvoice({ type, body, rid }) {
+  const ref = eventReference(body);
+  let invoice;
+  if (type === 'einvoice-created') invoice = invoices.created(ref, body, { transactionId: body?.transactionId });
+  else if (type === 'einvoice-cancelled') invoice = invoices.cancelled(ref, body);
+  if (invoice) log.info('Invoice stored', { rid, ref, ettn: invoice.ettn, number: invoice.number, status: invoice.status });
+  return invoice;
+}
+
+// Customer captured on the device for this payment: named on the webhook, or linked to the
+// reference (a split share falls back to its parent check)
+function paymentCustomer(body) {
+  const named = body?.customerReferenceCode ?? body?.customer?.referenceCode;
+  const stored = (named && customerStore.get(named))
+    || customerStore.forBasket(eventReference(body))
+    || customerStore.forBasket(eventOrderingKey(body));
+  return toOdealCustomer(stored);
+}
+
+function reconcileWebhookPayment({ type, body, rid }) {
+  if (type !== 'payment-succeeded') return undefined;
+  const ref = eventReference(body);
+  const result = reconcilePayment(ledger.servedSnapshot(ref), body);
+  ledger.attachReconciliation(ref, result, { transactionId: body?.transactionId, rid });
+  return result;
+}
+
+async function maybeBridgeToRop({ type, body, rid, split, reconciliation, refund, invoice, released, link }) {
+  if (!ROUTE_ROP_AUTOSYNC) return;
+  if (type === 'payback-succeeded') return bridgeRefund({ body, rid, refund });
+  if (invoice) return bridgeInvoice({ type, body, rid, invoice });
+  if (type === 'basket-cancelled') return bridgeBasketCancel({ body, rid, released });
+  // Only bridge payment events from here on
+  const bridgeable = type === 'payment-succeeded' || type === 'payment-cancelled' || type === 'payment-failed';
+  if (!bridgeable) return;
+  const ref = eventReference(body);
+  if (!split && parseSplitReference(ref)) {
+    // A share of a split we do not know (never created, or deleted): its check balance is unknown
+    log.warn('Bridge skipped: unknown split share', { rid, type, refPrefix: String(ref).slice(0, 12) });
+    return;
+  }
+  if (split?.voided) return bridgeSplitVoid({ body, rid, split });
+  let status = -1;
+  if (type === 'payment-succeeded') status = 1;
+  else if (type === 'payment-cancelled') status = 0;
+  else status = -1;
+  let composite = checkComposite(ref);
+  let shareSplit;
+  if (split) {
+    // Only new share payments reach ROP: partial status until the whole check is settled
+    if (type !== 'payment-succeeded' || !split.child || split.alreadyPaid) return;
+    composite = checkComposite(split.parentReference);
+    status = split.settled ? 1 : ROP_PARTIAL_PAYMENT_STATUS;
+    shareSplit = {
+      amountMinor: split.child.amountMinor,
+      transactionId: split.child.transactionId,
+      referenceCode: split.child.referenceCode,
+    };
+  }
+  const mapped = mapWebhookPayment(type, body, { split: shareSplit });
+  const options = { ...mapped.Options };
+  // Remote payment: tell ROP which link and channel the check was paid through
+  if (link) options.PaymentLink = { ReferenceCode: link.referenceCode, Channel: link.channel };
+  if (reconciliation?.status === 'mismatch') {
+    // Let ROP see that the device charged something else than the basket we served
+    if (ROP_MISMATCH_PAYMENT_STATUS != null) status = ROP_MISMATCH_PAYMENT_STATUS;
+    options.Reconciliation = {
+      Status: 'mismatch',
+      Issues: reconciliation.issues,
+      ExpectedAmount: reconciliation.amount?.expected,
+      PaidAmount: reconciliation.amount?.actual,
+    };
+  }
+  if (!composite) {
+    log.warn('Bridge skipped: non-composite reference', { rid, type, refPrefix: String(ref).slice(0, 12) });
+    return;
+  }
+  const customer = type === 'payment-succeeded' ? mapCustomer(paymentCustomer(body)) : undefined;
+  await sendPaymentStatus({
+    composite,
+    status,
+    mapped: { ...mapped, Options: options },
+    customer,
+    meta: { type, ref, checkId: composite.checkId, reconciliation: reconciliation?.status, customer: Boolean(customer) },
+    rid,
+  });
+}
+
+// Payback → reversal on the check: negative Payments entry, full or partial refund status
+async function bridgeRefund({ body, rid, refund }) {
+  if (!refund || refund.rejected || refund.duplicate) return;
+  const ref = eventReference(body);
+  const composite = checkComposite(eventOrderingKey(body));
+  if (!composite) {
+    log.warn('Bridge skipped: non-composite reference', { rid, type: 'payback-succeeded', refPrefix: String(ref).slice(0, 12) });
+    return;
+  }
+  const mapped = mapRefundPayment(body, {
+    amountMinor: refund.refund.amountMinor,
+    referenceCode: ref,
+    originalTransactionId: refund.refund.originalTransactionId,
+  });
+  await sendPaymentStatus({
+    composite,
+    status: refund.full ? ROP_REFUND_STATUS : ROP_PARTIAL_REFUND_STATUS,
+    mapped,
+    meta: { type: 'payback-succeeded', ref, checkId: composite.checkId, refunded: fromMinor(refund.refundedMinor) },
+    rid,
+  });
+}
+
+// Cancelled share payment → reversal of the share on the check: still partially paid while other
+// shares are paid, otherwise back to the cancelled status
+async function bridgeSplitVoid({ body, rid, split }) {
+  const ref = eventReference(body);
+  const composite = checkComposite(split.parentReference);
+  if (!composite) {
+    log.warn('Bridge skipped: non-composite reference', { rid, type: 'payment-cancelled', refPrefix: String(ref).slice(0, 12) });
+    return;
+  }
+  const mapped = mapRefundPayment(body, {
+    amountMinor: split.child.amountMinor,
+    referenceCode: split.child.referenceCode,
+    originalTransactionId: split.voidedTransactionId,
+  });
+  await sendPaymentStatus({
+    composite,
+    status: split.paidMinor > 0 ? ROP_PARTIAL_PAYMENT_STATUS : 0,
+    mapped,
+    meta: { type: 'payment-cancelled', ref, checkId: composite.checkId, paid: fromMinor(split.paidMinor) },
+    rid,
+  });
+}
+
+// Cancelled basket → ROP_BASKET_CANCEL_STATUS on the check, so the waiter can take payment again.
+// A cancelled split share leaves the rest of the check alone; a cancel the ledger did not apply
+// (late, after the payment) is not posted.
+async function bridgeBasketCancel({ body, rid, released }) {
+  if (ROP_BASKET_CANCEL_STATUS == null || !released) return;
+  const ref = eventReference(body);
+  if (checkSplits.findChild(ref)) return;
+  const composite = released.composite;
+  if (!composite) {
+    log.warn('Bridge skipped: non-composite reference', { rid, type: 'basket-cancelled', refPrefix: String(ref).slice(0, 12) });
+    return;
+  }
+  await sendPaymentStatus({
+    composite,
+    status: ROP_BASKET_CANCEL_STATUS,
+    mapped: mapWebhookPayment('basket-cancelled', body),
+    meta: { type: 'basket-cancelled', ref, checkId: composite.checkId },
+    rid,
+  });
+}
+
+// Status the check already has on ROP, so posting an invoice never moves it; undefined when the
+// check has no payment on record. Amounts come from the refund ledger (whole check), else the
+// ledger state of the reference.
+function invoiceStatus(body) {
+  const checkRef = eventOrderingKey(body);
+  const { paidMinor, refundedMinor } = refunds.totals(checkRef);
+  if (paidMinor > 0) {
+    if (refundedMinor >= paidMinor) return ROP_REFUND_STATUS;
+    if (refundedMinor > 0) return ROP_PARTIAL_REFUND_STATUS;
+    const split = checkSplits.get(checkRef);
+    return split && split.paidMinor < split.totalMinor ? ROP_PARTIAL_PAYMENT_STATUS : ROP_INVOICE_STATUS;
+  }
+  const state = ledger.get(eventReference(body))?.state;
+  return { paid: ROP_INVOICE_STATUS, refunded: ROP_REFUND_STATUS, cancelled: 0 }[state];
+}
+
+// Issued/cancelled invoice → Invoice on the check (split shares go to their parent check)
+async function bridgeInvoice({ type, body, rid, invoice }) {
+  const ref = eventReference(body);
+  const composite = checkComposite(eventOrderingKey(body));
+  if (!composite) {
+    log.warn('Bridge skipped: non-composite reference', { rid, type, refPrefix: String(ref).slice(0, 12) });
+    return;
+  }
+  const status = invoiceStatus(body);
+  if (status == null) {
+    log.warn('Bridge skipped: invoice for a check without payment', { rid, type, ref, ettn: invoice.ettn });
+    return;
+  }
+  const mapped = mapWebhookPayment(type, body);
+  await sendPaymentStatus({
+    composite,
+    status,
+    mapped,
+    invoice: toRopInvoice(invoice),
+    meta: { type, ref, checkId: composite.checkId, ettn: invoice.ettn },
+    rid,
+  });
+}
+
+async function sendPaymentStatus({ composite, status, mapped, customer, invoice, meta, rid }) {
+  log.info('Bridge PaymentStatus → ROP', { rid, ...meta, deviceId: composite.deviceId, restaurantId: composite.restaurantId, status, paymentType: mapped.PaymentType, payments: mapped.Payments.length });
+  // Recorded in the outbox first, so a failed call is retried in the background.
+  // Keyed by check: a status never overtakes an earlier one for the same check that is still undelivered.
+  const entry = outbox.enqueue(ROP_PAYMENT_STATUS, {
+    deviceId: composite.deviceId,
+    restaurantId: composite.restaurantId,
+    CheckId: composite.checkId,
+    Status: status,
+    PaymentType: mapped.PaymentType,
+    Payments: mapped.Payments,
+    Options: mapped.Options,
+    Customer: customer,
+    Invoice: invoice,
+  }, meta, { key: `${composite.deviceId}_${composite.restaurantId}_${composite.checkId}` });
+  const sent = await outbox.deliver(entry.id);
+  if (sent.ok) log.info('Bridge OK', { rid, checkId: composite.checkId });
+  else if (sent.blockedBy) log.warn('Bridge queued behind an undelivered call for the check', { rid, outboxId: entry.id, blockedBy: sent.blockedBy });
+  else log.warn('Bridge failed; queued in outbox', { rid, outboxId: entry.id, status: sent.entry?.status, error: sent.entry?.lastError });
+}
+
+// Runs a step once per event; a retry gets the result recorded by the earlier attempt
+function once(steps, name, step) {
+  if (!(name in steps)) steps[name] = step() ?? null;
+  return steps[name] ?? undefined;
+}
+
+// Queue processor for one stored webhook event
+async function processWebhookEvent(event) {
+  const { type, body, rid } = event;
+  const steps = (event.steps ||= {});
+  const recorded = once(steps, 'recorded', () => {
+    const r = ledger.webhookEvent(type, body, { rid });
+    return r && { applied: r.event.applied, state: r.record.state };
+  });
+  const released = once(steps, 'released', () => releaseCancelledBasket({ type, body, rid, recorded }));
+  const reconciliation = once(steps, 'reconciliation', () => reconcileWebhookPayment({ type, body, rid }));
+  const split = once(steps, 'split', () => applySplitPayment({ type, body, rid }));
+  const link = once(steps, 'link', () => applyPaymentLink({ type, body, rid }));
+  const refund = once(steps, 'refund', () => trackRefunds({ type, body, rid, split }));
+  const invoice = once(steps, 'invoice', () => storeInvoice({ type, body, rid }));
+  if (steps.bridged) return;
+  // Only the outbox enqueue can throw here; once it is in, delivery is the outbox's job
+  await maybeBridgeToRop({ type, body, rid, split, reconciliation, refund, invoice, released, link });
+  steps.bridged = true;
+}
+
+export { processWebhookEvent, eventReference, eventOrderingKey, ROUTE_ROP_AUTOSYNC };
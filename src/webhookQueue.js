@@ -0,0 +1,166 @@
+// Durable in-process queue for Ödeal webhook events
+// The webhook route stores the event and answers 200 at once; a worker processes it afterwards.
+// Events for the same check run strictly in arrival order (one chain per ordering key), so a
+// payment-succeeded is never processed after a later cancel for that check. Different checks
+// run independently.
+//
+// An event whose processing throws is retried in place with exponential backoff
+// (WEBHOOK_RETRY_BASE_MS default 1000, WEBHOOK_RETRY_MAX_MS default 30 s), holding the later events
+// of its check. After WEBHOOK_MAX_ATTEMPTS (default 3) it is marked failed and the chain moves on;
+// failed events stay until an operator replays them.
+//
+// Events persist to ADAPTER_DATA_DIR/webhook-events.json until processed (WEBHOOK_QUEUE_STORE=memory
+// keeps them in memory only); unprocessed events are resumed on start.
+
+import crypto from 'node:crypto';
+import { log } from './logger.js';
+import { JsonFileStore } from './jsonFileStore.js';
+import { backoffDelay } from './retry.js';
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 3);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 1000);
+const RETRY_MAX_MS = Number(process.env.WEBHOOK_RETRY_MAX_MS || 30 * 1000);
+
+class WebhookQueueError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookQueueError';
+  }
+}
+
+class WebhookQueue {
+  constructor({ file = 'webhook-events.json', persist = true, now = Date.now, maxAttempts = MAX_ATTEMPTS, retryBaseMs = RETRY_BASE_MS, retryMaxMs = RETRY_MAX_MS } = {}) {
+    this.fileStore = persist ? new JsonFileStore(file, { seq: 0, events: [] }) : undefined;
+    this.now = now;
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.retryBaseMs = retryBaseMs;
+    this.retryMaxMs = retryMaxMs;
+    this.processor = undefined;
+    this.events = new Map(); // id -> event
+    this.chains = new Map(); // ordering key -> tail promise
+    this.seq = 0;
+    if (this.fileStore) {
+      const saved = this.fileStore.load();
+      this.seq = Number(saved.seq) || 0;
+      for (const e of saved.events || []) this.events.set(e.id, e);
+    }
+  }
+
+  // processor(event) → Promise; errors are retried, then mark the event failed (kept for replay)
+  setProcessor(processor) {
+    this.processor = processor;
+  }
+
+  persist() {
+    if (!this.fileStore) return;
+    this.fileStore.save({ seq: this.seq, events: [...this.events.values()] });
+  }
+
+  // Store and schedule; throws only when the event cannot be persisted
+  push({ type, body, key, rid }) {
+    const event = {
+      id: crypto.randomUUID(),
+      seq: ++this.seq,
+      type,
+      key: String(key ?? ''),
+      body,
+      rid,
+      status: 'pending',
+      receivedAt: new Date(this.now()).toISOString(),
+    };
+    this.events.set(event.id, event);
+    try {
+      this.persist();
+    } catch (e) {
+      this.events.delete(event.id);
+      throw e;
+    }
+    this.schedule(event);
+    return event;
+  }
+
+  // Returns a promise that resolves once the event has run
+  schedule(event) {
+    const tail = this.chains.get(event.key) || Promise.resolve();
+    const next = tail.then(() => this.run(event));
+    this.chains.set(event.key, next);
+    next.then(() => {
+      if (this.chains.get(event.key) === next) this.chains.delete(event.key);
+    });
+    return next;
+  }
+
+  async run(event) {
+    const t0 = this.now();
+    for (;;) {
+      event.attempts = (event.attempts || 0) + 1;
+      try {
+        await this.processor(event);
+        this.events.delete(event.id);
+        log.debug('Webhook event processed', { rid: event.rid, id: event.id, type: event.type, attempts: event.attempts, ms: this.now() - t0 });
+        break;
+      } catch (e) {
+        event.lastError = String(e?.message || e);
+        if (event.attempts >= this.maxAttempts) {
+          event.status = 'failed';
+          event.failedAt = new Date(this.now()).toISOString();
+          log.error('Webhook event processing failed', { rid: event.rid, id: event.id, type: event.type, attempts: event.attempts, error: event.lastError });
+          break;
+        }
+        const delayMs = backoffDelay(event.attempts - 1, { baseDelayMs: this.retryBaseMs, maxDelayMs: this.retryMaxMs });
+        log.warn('Webhook event processing failed; retrying', { rid: event.rid, id: event.id, type: event.type, attempt: event.attempts, delayMs, error: event.lastError });
+        this.save();
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+      }
+    }
+    this.save();
+  }
+
+  // persist() that only logs; used where the event has already been accepted
+  save() {
+    try {
+      this.persist();
+    } catch (e) {
+      log.error('Webhook queue persist failed', { error: String(e?.message || e) });
+    }
+  }
+
+  // Put a failed event back in its check's chain; resolves with the event once it has run
+  // (status 'failed' again when it still throws, otherwise gone from the queue)
+  async replay(id) {
+    const event = this.events.get(String(id));
+    if (!event) throw new WebhookQueueError('webhook_event_not_found');
+    if (event.status !== 'failed') throw new WebhookQueueError('webhook_event_not_failed');
+    event.status = 'pending';
+    event.attempts = 0;
+    event.replayedAt = new Date(this.now()).toISOString();
+    this.save();
+    log.info('Webhook event replay', { rid: event.rid, id: event.id, type: event.type });
+    await this.schedule(event);
+    return event;
+  }
+
+  // Re-schedule events left pending by a previous process, in arrival order
+  resume() {
+    const pending = this.list('pending').sort((a, b) => a.seq - b.seq);
+    for (const e of pending) this.schedule(e);
+    return pending.length;
+  }
+
+  list(status) {
+    return [...this.events.values()].filter((e) => !status || e.status === status);
+  }
+
+  // Resolves once every scheduled event has run
+  async idle() {
+    while (this.chains.size) await Promise.all([...this.chains.values()]);
+  }
+
+  stats() {
+    return { pending: this.list('pending').length, failed: this.list('failed').length, running: this.chains.size };
+  }
+}
+
+export const webhookQueue = new WebhookQueue({ persist: String(process.env.WEBHOOK_QUEUE_STORE || 'file').toLowerCase() !== 'memory' });
+
+export { WebhookQueue, WebhookQueueError };